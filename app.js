@@ -11,6 +11,35 @@ class PuzzleDetectorApp {
         this.frameCount = 0;
         this.lastFrameTime = 0;
         this.skipCounter = 0;
+        this.isLoadingReference = false;
+        this.isAdjustingCorners = false;
+        
+        // A multi-shot capture is in progress, with this many shots in the worker's mosaic
+        this.isMultiShot = false;
+        this.stitchShotCount = 0;
+        
+        // A multi-shot frame is being registered or the mosaic composed
+        this.isStitching = false;
+        
+        // A reference photo is being taken
+        this.isTakingPhoto = false;
+        this.showGrid = CONFIG.GRID.SHOW_OVERLAY;
+        
+        // Reference regions of pieces confirmed as placed
+        this.placedRegions = [];
+        
+        // Keep the reference view centred on the match
+        this.followMatch = false;
+        
+        // Match the user is looking at, which is what "Placed" records
+        this.shownMatch = null;
+        
+        // Live detection paused on a frozen frame (while searching and while results are shown)
+        this.isFrozen = false;
+        this.isSearching = false;
+        
+        // Ranked locations from the last exhaustive search (shown until resume)
+        this.searchResults = [];
         
         // Performance monitoring
         this.fpsHistory = [];
@@ -28,31 +57,62 @@ class PuzzleDetectorApp {
         // Initialize components
         domUtils.initialize();
         
+        // Saved settings apply before anything reads CONFIG
+        settingsManager.initialize();
+        
         // Wait for OpenCV to be available
         await this.waitForOpenCV();
         
-        // Initialize image processor
-        if (!imageProcessor.initialize()) {
-            console.error('Failed to initialize image processor');
+        // Start detection worker (loads its own OpenCV instance)
+        if (!(await workerManager.initialize())) {
+            console.error('Failed to initialize detection worker');
             return false;
         }
         
+        // The worker loads CONFIG defaults; send it the saved settings
+        await this.syncSettings();
+        
         // Initialize camera
         if (!(await cameraManager.initialize())) {
             console.error('Failed to initialize camera');
             return false;
         }
         
-        // Initialize match detector
-        matchDetector.initialize();
+        cornerEditor.initialize();
         
         // Add event listeners
         this.setupEventListeners();
         
+        // Pick up where the last session left off
+        if (await storageManager.open() && CONFIG.STORAGE.RESTORE_ON_STARTUP) {
+            if (await this.restoreSession()) {
+                return true;
+            }
+        }
+        
         domUtils.updateStatus('Ready for reference capture', 'success');
         return true;
     }
     
+    /**
+     * Restore the puzzle from the last session without using the camera
+     * @returns {Promise<boolean>} - Whether a puzzle was restored
+     */
+    async restoreSession() {
+        domUtils.updateStatus('Restoring last puzzle...');
+        
+        const restored = await storageManager.restoreLastSession();
+        if (!restored) return false;
+        
+        // Grid settings and placed pieces belong to the puzzle
+        puzzleGrid.setSpec(restored.puzzle.gridSpec);
+        domUtils.elements.gridInput.value = restored.puzzle.gridSpec;
+        this.placedRegions = restored.puzzle.placedRegions || [];
+        
+        cameraManager.setReferenceImage(restored.referenceImage);
+        return this.applyReference(restored.referenceImage, 'storage');
+    }
+    
     /**
      * Wait for OpenCV to be available
      * @returns {Promise} - Promise that resolves when OpenCV is ready
@@ -85,6 +145,39 @@ class PuzzleDetectorApp {
         // Reference capture event
         document.addEventListener('reference-capture', this.handleReferenceCapture.bind(this));
         
+        // Reference import event (file picker or drag-and-drop)
+        document.addEventListener('reference-import', this.handleReferenceImport.bind(this));
+        
+        // Multi-shot reference capture events
+        document.addEventListener('stitch-start', this.handleStitchStart.bind(this));
+        document.addEventListener('stitch-finish', this.handleStitchFinish.bind(this));
+        document.addEventListener('stitch-cancel', this.handleStitchCancel.bind(this));
+        
+        // Puzzle grid events
+        document.addEventListener('grid-change', this.handleGridChange.bind(this));
+        document.addEventListener('grid-toggle', this.handleGridToggle.bind(this));
+        
+        // Follow-match toggle
+        document.addEventListener('follow-toggle', this.handleFollowToggle.bind(this));
+        
+        // Settings panel events
+        document.addEventListener('settings-open', this.handleSettingsOpen.bind(this));
+        document.addEventListener('settings-change', this.handleSettingsChange.bind(this));
+        document.addEventListener('settings-profile', this.handleSettingsProfile.bind(this));
+        document.addEventListener('settings-save', this.handleSettingsSave.bind(this));
+        document.addEventListener('settings-delete', this.handleSettingsDelete.bind(this));
+        document.addEventListener('settings-import', this.handleSettingsImport.bind(this));
+        document.addEventListener('settings-export', this.handleSettingsExport.bind(this));
+        document.addEventListener('camera-change', this.handleCameraChange.bind(this));
+        
+        // Placement confirmation event
+        document.addEventListener('placement-confirm', this.handlePlacementConfirm.bind(this));
+        
+        // Frozen-frame exhaustive search events
+        document.addEventListener('search-freeze', this.handleSearchFreeze.bind(this));
+        document.addEventListener('search-cancel', this.handleSearchCancel.bind(this));
+        document.addEventListener('candidate-select', this.handleCandidateSelect.bind(this));
+        
         // Reset application event
         document.addEventListener('app-reset', this.resetApplication.bind(this));
         
@@ -127,9 +220,9 @@ class PuzzleDetectorApp {
      * Resume processing when page is visible again
      */
     resumeProcessing() {
-        if (!this.isDetecting && cameraManager.isInitialized) {
+        if (!this.isDetecting && !this.isFrozen && cameraManager.isInitialized) {
             // Only resume if we were previously detecting
-            if (imageProcessor.cachedRefMat) {
+            if (workerManager.hasReference) {
                 this.isDetecting = true;
                 domUtils.updateStatus('Processing resumed', 'success');
                 requestAnimationFrame(this.processDetection.bind(this));
@@ -147,31 +240,583 @@ class PuzzleDetectorApp {
         console.log('Layout changed, resetting performance metrics');
     }
     
+    /**
+     * Handle a new grid spec (piece count or rows × columns)
+     * @param {CustomEvent} event - Event with the entered spec in detail.spec
+     */
+    handleGridChange(event) {
+        if (!puzzleGrid.setSpec(event.detail.spec)) {
+            domUtils.updateStatus('Enter a piece count (1000) or rows × columns (25x40)', 'warn');
+            return;
+        }
+        
+        if (puzzleGrid.isConfigured()) {
+            domUtils.updateStatus('Grid: ' + puzzleGrid.describe(), 'success');
+            domUtils.updateGridOverlay(puzzleGrid, this.showGrid);
+        }
+        
+        storageManager.updateCurrentPuzzle({
+            gridSpec: puzzleGrid.spec,
+            rows: puzzleGrid.rows,
+            cols: puzzleGrid.cols
+        });
+    }
+    
+    /**
+     * Toggle the grid overlay on the reference
+     */
+    handleGridToggle() {
+        this.showGrid = !this.showGrid;
+        domUtils.updateGridOverlay(puzzleGrid, this.showGrid);
+    }
+    
+    /**
+     * Open the settings panel
+     */
+    handleSettingsOpen() {
+        domUtils.renderSettingsForm(settingsManager.getSchema(), settingsManager.getValues());
+        this.refreshSettingsPanel();
+        domUtils.showSettingsPanel(true);
+        
+        // Pick up cameras plugged in since startup
+        cameraManager.updateDeviceList();
+    }
+    
+    /**
+     * Switch the camera or resolution of a section
+     * @param {CustomEvent} event - Event with detail { section, deviceId, resolution }
+     */
+    async handleCameraChange(event) {
+        const { section, deviceId, resolution } = event.detail;
+        
+        domUtils.updateStatus('Switching camera...');
+        await cameraManager.selectCamera(section, { deviceId: deviceId, resolution: resolution });
+    }
+    
+    /**
+     * Show the current values and profiles in the settings panel
+     */
+    refreshSettingsPanel() {
+        const profiles = settingsManager.getProfileNames().map(name => ({
+            name: name,
+            builtIn: settingsManager.isBuiltIn(name)
+        }));
+        
+        domUtils.updateSettingsValues(settingsManager.getValues());
+        domUtils.updateProfileControls(profiles, settingsManager.activeProfile, settingsManager.isModified);
+    }
+    
+    /**
+     * Apply an edited setting
+     * @param {CustomEvent} event - Event with detail { path, value }
+     */
+    handleSettingsChange(event) {
+        const { path, value } = event.detail;
+        const result = settingsManager.set(path, value);
+        
+        if (result.error) {
+            domUtils.markSettingInvalid(path, result.error);
+            domUtils.updateStatus(result.error, 'warn');
+            return;
+        }
+        
+        this.refreshSettingsPanel();
+        this.syncSettings();
+    }
+    
+    /**
+     * Switch to another settings profile
+     * @param {CustomEvent} event - Event with detail { name }
+     */
+    handleSettingsProfile(event) {
+        if (!settingsManager.selectProfile(event.detail.name)) return;
+        
+        this.refreshSettingsPanel();
+        this.syncSettings();
+        domUtils.updateStatus(`Settings profile: ${event.detail.name}`, 'success');
+    }
+    
+    /**
+     * Save the current settings as a named profile
+     * @param {CustomEvent} event - Event with detail { name }
+     */
+    handleSettingsSave(event) {
+        const result = settingsManager.saveProfile(event.detail.name);
+        if (result.error) {
+            domUtils.updateStatus(result.error, 'warn');
+            return;
+        }
+        
+        this.refreshSettingsPanel();
+        domUtils.updateStatus(`Saved settings profile "${result.name}"`, 'success');
+    }
+    
+    /**
+     * Delete the active settings profile (its values stay applied)
+     */
+    handleSettingsDelete() {
+        const name = settingsManager.activeProfile;
+        if (!settingsManager.deleteProfile(name)) {
+            domUtils.updateStatus('Built-in profiles cannot be deleted', 'warn');
+            return;
+        }
+        
+        this.refreshSettingsPanel();
+        domUtils.updateStatus(`Deleted settings profile "${name}"`, 'success');
+    }
+    
+    /**
+     * Import a settings profile file
+     * @param {CustomEvent} event - Event with detail { text }
+     */
+    handleSettingsImport(event) {
+        const result = settingsManager.importProfile(event.detail.text);
+        if (result.error) {
+            domUtils.updateStatus('Profile import failed: ' + result.error, 'warn');
+            return;
+        }
+        
+        this.refreshSettingsPanel();
+        this.syncSettings();
+        
+        const skipped = result.rejected.length > 0 ? ` (skipped ${result.rejected.join(', ')})` : '';
+        domUtils.updateStatus(`Imported settings profile "${result.name}"${skipped}`, skipped ? 'warn' : 'success');
+    }
+    
+    /**
+     * Download the current settings as a profile file
+     */
+    handleSettingsExport() {
+        const fileName = settingsManager.activeProfile.replace(/[^\w-]+/g, '-') + '.json';
+        domUtils.downloadFile(fileName, settingsManager.exportProfile());
+    }
+    
+    /**
+     * Send the current settings to the detection worker
+     * @returns {Promise<boolean>} - Whether the worker accepted them
+     */
+    async syncSettings() {
+        try {
+            await workerManager.updateConfig(settingsManager.getValues());
+            return true;
+        } catch (error) {
+            console.warn('Failed to update worker settings:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Toggle keeping the reference view centred on the match
+     */
+    handleFollowToggle() {
+        this.followMatch = !this.followMatch;
+        domUtils.updateFollowState(this.followMatch);
+        
+        if (!this.followMatch) {
+            domUtils.resetZoom(true);
+        }
+    }
+    
+    /**
+     * Record the shown match (live, or the picked search result on a frozen frame) as a placed piece
+     */
+    async handlePlacementConfirm() {
+        if (!this.isDetecting && !(this.isFrozen && !this.isSearching)) return;
+        
+        let region = null;
+        try {
+            region = await workerManager.confirmPlacement(this.shownMatch);
+        } catch (error) {
+            console.error('Placement error:', error);
+        }
+        
+        if (!region) {
+            domUtils.updateStatus('No match to confirm - hold the piece in view', 'warn');
+            return;
+        }
+        
+        this.placedRegions.push(region);
+        storageManager.updateCurrentPuzzle({ placedRegions: this.placedRegions });
+        
+        const dimensions = cameraManager.getReferenceDimensions();
+        domUtils.updateCoverageOverlay(this.placedRegions, dimensions.width, dimensions.height);
+        this.shownMatch = null;
+        domUtils.updateMatchIndicator(null);
+        domUtils.updateCandidateOutlines([]);
+        
+        // The next piece starts a new track (live, if it was picked from a search)
+        matchTracker.reset();
+        domUtils.updateRawMatchIndicator(null);
+        if (this.isFrozen) {
+            this.resumeFromFreeze();
+        }
+        
+        const location = puzzleGrid.locate(region);
+        const where = location ? `Row ${location.row}, Col ${location.col}` : 'piece';
+        domUtils.updateStatus(`Placed ${where} (${this.placedRegions.length} placed)`, 'success');
+    }
+    
     /**
      * Handle reference capture event
      */
-    handleReferenceCapture() {
-        if (this.isDetecting) {
+    async handleReferenceCapture() {
+        // A frozen frame belongs to the live session too, so a tap ends it rather than capturing over it
+        if (this.isDetecting || this.isFrozen) {
             this.resetApplication();
             return;
         }
         
-        // Capture reference image
-        const referenceImage = cameraManager.captureReferenceImage();
-        if (!referenceImage) {
+        // Ignore taps while the worker is still processing a reference
+        if (this.isLoadingReference || this.isAdjustingCorners) {
+            return;
+        }
+        
+        // During a multi-shot capture each tap adds a shot
+        if (this.isMultiShot) {
+            await this.addStitchShot();
+            return;
+        }
+        
+        // Capture reference image (a photo can take a moment; taps in the meantime are ignored)
+        if (this.isTakingPhoto) return;
+        this.isTakingPhoto = true;
+        domUtils.updateStatus('Capturing reference...');
+        
+        let capturedImage;
+        try {
+            capturedImage = await cameraManager.captureReferenceImage();
+        } finally {
+            this.isTakingPhoto = false;
+        }
+        
+        if (!capturedImage) {
             domUtils.updateStatus('Failed to capture reference', 'error');
             return;
         }
         
-        // Process reference image
-        if (!imageProcessor.processReferenceImage(referenceImage)) {
-            domUtils.updateStatus('Failed to process reference', 'error');
+        // Straightening keeps the photo's resolution for display and zoom; the worker
+        // matches a downsampled copy if it is very large
+        const referenceImage = await this.rectifyReference(capturedImage,
+            Math.max(CONFIG.PERSPECTIVE.MAX_OUTPUT_SIZE, capturedImage.width, capturedImage.height));
+        if (!referenceImage) return;
+        
+        await this.applyReference(referenceImage, 'camera');
+    }
+    
+    /**
+     * Start a multi-shot capture of a puzzle too big for one frame
+     */
+    async handleStitchStart() {
+        if (this.isLoadingReference || this.isAdjustingCorners || this.isMultiShot) {
+            return;
+        }
+        
+        // The mosaic replaces the current reference
+        if (this.isDetecting || this.isFrozen) {
+            this.resetApplication();
+        }
+        
+        this.isMultiShot = true;
+        this.stitchShotCount = 0;
+        domUtils.updateStitchState(true);
+        domUtils.updateStatus('Multi-shot capture - tap for each shot, Done when the puzzle is covered');
+        
+        try {
+            await workerManager.startStitch();
+        } catch (error) {
+            console.error('Multi-shot start error:', error);
+            this.isMultiShot = false;
+            domUtils.updateStitchState(false);
+            domUtils.updateStatus('Multi-shot capture failed: ' + error.message, 'error');
+        }
+    }
+    
+    /**
+     * Register the current upper frame and add it to the mosaic (in the worker, so the video keeps running)
+     */
+    async addStitchShot() {
+        // Registration takes a moment; taps in the meantime are ignored
+        if (this.isStitching) return;
+        
+        const frame = cameraManager.captureUpperFrame();
+        if (!frame) {
+            domUtils.updateStatus('Failed to capture shot', 'error');
+            return;
+        }
+        
+        this.isStitching = true;
+        domUtils.updateStatus(`Stitching shot ${this.stitchShotCount + 1}...`);
+        
+        let result = null;
+        try {
+            result = await workerManager.addStitchFrame(frame);
+        } catch (error) {
+            console.error('Stitching error:', error);
+            domUtils.updateStatus('Stitching error: ' + error.message, 'error');
+        } finally {
+            this.isStitching = false;
+        }
+        
+        // Cancelled or reset while registering
+        if (!result || !this.isMultiShot) return;
+        
+        const count = result.count;
+        this.stitchShotCount = count;
+        const size = count > 0 ? `${Math.round(result.width)}×${Math.round(result.height)}` : '';
+        domUtils.updateStitchPreview(result.preview, `${count} shot${count === 1 ? '' : 's'}, ${size} px`);
+        
+        if (result.added) {
+            domUtils.updateStatus(`Shot ${count} added` + (result.inliers ? ` (${result.inliers} matching points)` : ''), 'success');
+        } else {
+            domUtils.updateStatus(`Shot not added: ${result.reason}`, 'warn');
+        }
+    }
+    
+    /**
+     * Stitch the shots into one reference and start detection with it
+     */
+    async handleStitchFinish() {
+        if (!this.isMultiShot || this.isStitching || this.stitchShotCount === 0) {
+            return;
+        }
+        
+        this.isStitching = true;
+        domUtils.updateStatus('Stitching reference...');
+        
+        let mosaic = null;
+        try {
+            mosaic = await workerManager.composeStitch(CONFIG.STITCHING.MAX_MOSAIC_SIZE);
+        } catch (error) {
+            console.error('Stitching error:', error);
+        } finally {
+            this.isStitching = false;
+        }
+        
+        // Cancelled or reset while stitching
+        if (!this.isMultiShot) return;
+        
+        // On failure the shots are kept, so Done can be tried again or more shots added
+        if (!mosaic) {
+            domUtils.updateStatus('Stitching failed - try Done again, or Cancel to start over', 'error');
             return;
         }
         
+        this.endMultiShot();
+        
+        // Show the mosaic at its true size, then outline the puzzle on it as for a single shot
+        cameraManager.setReferenceImage(mosaic.image);
+        
+        const referenceImage = await this.rectifyReference(mosaic.image, CONFIG.STITCHING.MAX_MOSAIC_SIZE);
+        if (!referenceImage) return;
+        
+        await this.applyReference(referenceImage, 'mosaic');
+    }
+    
+    /**
+     * Drop the shots taken so far and go back to single-shot capture
+     */
+    handleStitchCancel() {
+        this.endMultiShot();
+        domUtils.updateStatus('Ready for reference capture');
+    }
+    
+    /**
+     * End the multi-shot capture and free its shots in the worker
+     */
+    endMultiShot() {
+        this.isMultiShot = false;
+        this.stitchShotCount = 0;
+        domUtils.updateStitchState(false);
+        
+        workerManager.resetStitch().catch(error => {
+            console.warn('Failed to drop the shots:', error);
+        });
+    }
+    
+    /**
+     * Handle reference import event
+     * @param {CustomEvent} event - Event with the selected file in detail.file
+     */
+    async handleReferenceImport(event) {
+        const file = event.detail && event.detail.file;
+        
+        if (this.isLoadingReference || this.isAdjustingCorners) {
+            return;
+        }
+        
+        if (!fileImporter.isSupported(file)) {
+            domUtils.updateStatus('Unsupported file - use JPEG, PNG or WebP', 'error');
+            return;
+        }
+        
+        // An import replaces the current reference
+        if (this.isDetecting || this.isFrozen) {
+            this.resetApplication();
+        }
+        
+        domUtils.updateStatus('Loading ' + file.name + '...');
+        
+        let importedImage;
+        try {
+            importedImage = await fileImporter.decode(file);
+        } catch (error) {
+            console.error('Reference import error:', error);
+            domUtils.updateStatus('Failed to load image: ' + error.message, 'error');
+            return;
+        }
+        
+        // Show the imported image at its true size
+        cameraManager.setReferenceImage(importedImage);
+        
+        const referenceImage = await this.rectifyReference(importedImage);
+        if (!referenceImage) return;
+        
+        await this.applyReference(referenceImage, 'file');
+    }
+    
+    /**
+     * Let the user confirm the puzzle outline and warp the reference to a rectangle
+     * @param {ImageData} referenceImage - Reference image shown on the reference canvas
+     * @param {number} maxSize - Longest side in pixels of the warped reference
+     * @returns {Promise<ImageData|null>} - Image to use as reference, or null if cancelled
+     */
+    async rectifyReference(referenceImage, maxSize = CONFIG.PERSPECTIVE.MAX_OUTPUT_SIZE) {
+        if (!CONFIG.PERSPECTIVE.ENABLED) {
+            return referenceImage;
+        }
+        
+        const width = referenceImage.width;
+        const height = referenceImage.height;
+        
+        // Outline detection and the warp run in the worker: a full-resolution photo or mosaic
+        // would hold up the video and touch handling on the main thread
+        let detected = null;
+        try {
+            detected = await workerManager.detectBoundary(referenceImage);
+        } catch (error) {
+            console.error('Outline detection error:', error);
+        }
+        if (detected) {
+            domUtils.updateStatus('Puzzle outline found - adjust the corners, then Apply', 'success');
+        } else {
+            domUtils.updateStatus('No outline found - drag the corners to the puzzle edges', 'warn');
+        }
+        
+        this.isAdjustingCorners = true;
+        let corners;
+        try {
+            corners = await cornerEditor.edit(
+                detected || perspectiveCorrector.getFullImageCorners(width, height),
+                width,
+                height
+            );
+        } finally {
+            this.isAdjustingCorners = false;
+        }
+        
+        // Cancelled by a reset
+        if (!corners) return null;
+        
+        if (perspectiveCorrector.isFullImage(corners, width, height)) {
+            return referenceImage;
+        }
+        
+        domUtils.updateStatus('Straightening reference...');
+        let rectified = null;
+        try {
+            rectified = await workerManager.rectify(referenceImage, corners, maxSize);
+        } catch (error) {
+            console.error('Perspective correction error:', error);
+        }
+        if (!rectified) {
+            domUtils.updateStatus('Perspective correction failed - using original image', 'warn');
+            return referenceImage;
+        }
+        
+        // Display the rectified image so match coordinates line up with what is shown
+        cameraManager.setReferenceImage(rectified);
+        return rectified;
+    }
+    
+    /**
+     * Process a reference image and start detection
+     * @param {ImageData} referenceImage - Reference image already shown on the reference canvas
+     * @param {string} source - Where the image came from: 'camera', 'mosaic', 'file' or 'storage'
+     * @returns {Promise<boolean>} - Whether detection started
+     */
+    async applyReference(referenceImage, source) {
+        // The worker drops a running search when the reference changes
+        this.clearFreeze();
+        
+        // Process reference image in the detection worker
+        this.isLoadingReference = true;
+        domUtils.updateStatus('Processing reference...');
+        
+        const generation = workerManager.generation;
+        let processed = false;
+        try {
+            processed = await workerManager.setReference(referenceImage);
+        } catch (error) {
+            console.error('Reference processing error:', error);
+        } finally {
+            this.isLoadingReference = false;
+        }
+        
+        // Reset while processing: the reset already cleared the view, so nothing to report
+        if (generation !== workerManager.generation) return false;
+        
+        if (!processed) {
+            domUtils.updateStatus('Failed to process reference', 'error');
+            return false;
+        }
+        
+        // Tracked coordinates belong to the old reference
+        matchTracker.reset();
+        
+        // Lay the puzzle grid over the new reference
+        const dimensions = cameraManager.getReferenceDimensions();
+        puzzleGrid.update(dimensions.width, dimensions.height);
+        domUtils.updateGridOverlay(puzzleGrid, this.showGrid);
+        
+        // Placed pieces carry over only when the puzzle was restored
+        if (source !== 'storage') {
+            this.placedRegions = [];
+        }
+        domUtils.updateCoverageOverlay(this.placedRegions, dimensions.width, dimensions.height);
+        try {
+            await workerManager.setPlacedRegions(this.placedRegions);
+        } catch (error) {
+            console.error('Failed to restore placed pieces:', error);
+        }
+        
+        // Save new references before detecting, so found and placed pieces have a puzzle
+        // to go to (restored ones are already stored); taps wait as while processing
+        if (source !== 'storage') {
+            this.isLoadingReference = true;
+            domUtils.updateStatus('Saving puzzle...');
+            try {
+                await storageManager.createPuzzle(referenceImage, {
+                    source: source,
+                    gridSpec: puzzleGrid.spec,
+                    rows: puzzleGrid.rows,
+                    cols: puzzleGrid.cols
+                });
+            } finally {
+                this.isLoadingReference = false;
+            }
+            
+            // Reset while saving
+            if (!workerManager.hasReference) return false;
+        }
+        
         // Update UI
         domUtils.updateReferenceState(true);
-        domUtils.updateStatus('Reference captured - Detecting pieces', 'success');
+        if (source === 'storage') {
+            const foundCount = storageManager.currentPuzzle.foundPieces.length;
+            domUtils.updateStatus(`Restored puzzle (${foundCount} pieces found) - Detecting pieces`, 'success');
+        } else {
+            domUtils.updateStatus(`Reference captured - Detecting pieces (grid ${puzzleGrid.describe()})`, 'success');
+        }
         
         // Start detection
         this.isDetecting = true;
@@ -184,6 +829,122 @@ class PuzzleDetectorApp {
         
         // Start detection processing loop
         requestAnimationFrame(this.processDetection.bind(this));
+        return true;
+    }
+    
+    /**
+     * Freeze the current piece frame and search it exhaustively, or go back to live detection
+     */
+    async handleSearchFreeze() {
+        if (this.isFrozen) {
+            if (!this.isSearching) this.resumeFromFreeze();
+            return;
+        }
+        
+        if (!this.isDetecting || !workerManager.hasReference) return;
+        
+        // The detection canvas keeps showing the snapshot while live detection is paused
+        const ctx = cameraManager.updateDetectionCanvas();
+        const template = ctx ? cameraManager.capturePuzzlePieceTemplate(domUtils.pieceScale) : null;
+        if (!template) {
+            domUtils.updateStatus('Piece camera not ready', 'warn');
+            return;
+        }
+        
+        this.isDetecting = false;
+        this.isFrozen = true;
+        this.isSearching = true;
+        domUtils.updateFreezeState(true, 'Searching every rotation and scale...');
+        domUtils.showSearchProgress(true, 0);
+        domUtils.updateCandidateOutlines([]);
+        domUtils.updateRawMatchIndicator(null);
+        
+        // Search results are shown as they are; live tracking starts over on resume
+        matchTracker.reset();
+        
+        let result = null;
+        try {
+            result = await workerManager.search(template, (done, total) => {
+                domUtils.showSearchProgress(true, done / total);
+            });
+        } catch (error) {
+            console.error('Exhaustive search error:', error);
+            domUtils.updateStatus('Search failed: ' + error.message, 'error');
+        } finally {
+            this.isSearching = false;
+            domUtils.showSearchProgress(false);
+        }
+        
+        // Reset or replaced reference while searching
+        if (!this.isFrozen) return;
+        
+        if (!result || result.cancelled) {
+            this.resumeFromFreeze();
+            if (result) {
+                domUtils.updateStatus('Search cancelled', 'warn');
+            }
+            return;
+        }
+        
+        const candidates = result.candidates;
+        this.searchResults = candidates;
+        this.updateMatchDisplay(candidates[0] || null, null, candidates);
+        domUtils.updateFreezeState(true, candidates.length > 0
+            ? `${candidates.length} ranked locations - tap a number to pick it, Placed to record it, Resume for live detection`
+            : 'No match found - tap Resume for live detection');
+    }
+    
+    /**
+     * Make a search result the shown match, so Placed records it
+     * @param {CustomEvent} event - Event with the tapped location's rank in detail.rank
+     */
+    handleCandidateSelect(event) {
+        if (!this.isFrozen || this.isSearching) return;
+        
+        const rank = event.detail && event.detail.rank;
+        const selected = this.searchResults.find(candidate => candidate.rank === rank);
+        if (!selected) return;
+        
+        // The picked location takes the main outline; the others keep their numbers
+        const others = this.searchResults.filter(candidate => candidate !== selected);
+        this.updateMatchDisplay(selected, null, [selected].concat(others));
+    }
+    
+    /**
+     * Cancel the running exhaustive search
+     */
+    handleSearchCancel() {
+        if (!this.isSearching) return;
+        
+        workerManager.cancelSearch().catch(error => {
+            console.warn('Failed to cancel search:', error);
+        });
+    }
+    
+    /**
+     * Leave the frozen frame and restart live detection
+     */
+    resumeFromFreeze() {
+        this.clearFreeze();
+        domUtils.updateCandidateOutlines([]);
+        
+        if (workerManager.hasReference) {
+            this.isDetecting = true;
+            this.skipCounter = 0;
+            requestAnimationFrame(this.processDetection.bind(this));
+        }
+    }
+    
+    /**
+     * Forget the frozen frame without restarting detection
+     */
+    clearFreeze() {
+        if (!this.isFrozen) return;
+        
+        this.isFrozen = false;
+        this.searchResults = [];
+        domUtils.updateFreezeState(false);
+        domUtils.showSearchProgress(false);
     }
     
     /**
@@ -201,8 +962,8 @@ class PuzzleDetectorApp {
             return;
         }
         
-        // Avoid processing if we're still processing the previous frame
-        if (this.isProcessing) {
+        // Drop this frame while the worker is still busy with the previous one
+        if (this.isProcessing || workerManager.isBusy()) {
             requestAnimationFrame(this.processDetection.bind(this));
             return;
         }
@@ -211,11 +972,6 @@ class PuzzleDetectorApp {
         const startTime = performance.now();
         
         try {
-            // Periodic memory cleanup
-            if (this.frameCount % 300 === 0) {
-                imageProcessor.cleanupRotationCache();
-            }
-            
             // Update detection canvas with current video
             const ctx = cameraManager.updateDetectionCanvas();
             if (!ctx) {
@@ -234,47 +990,134 @@ class PuzzleDetectorApp {
                 return;
             }
             
-            // Detect piece in reference image
-            const bestMatch = matchDetector.detectPiece(puzzlePieceTemplate);
-            
-            // Update UI with match result
-            this.updateMatchDisplay(bestMatch);
-            
-            // Update performance statistics
-            this.updatePerformanceStats(startTime);
-            
-            // Increment frame counter
-            this.frameCount++;
+            const templateRegion = cameraManager.getTemplateRegion();
             
+            // Detect piece in reference image (template buffer is transferred to the worker)
+            workerManager.detect(puzzlePieceTemplate).then(result => {
+                // Ignore results that arrive after detection was stopped or reset
+                if (!result || !this.isDetecting) return;
+                
+                // Outline the segmented piece over the frame it came from
+                if (CONFIG.SEGMENTATION.SHOW_MASK) {
+                    domUtils.drawPieceOutline(ctx, result.segmentation, templateRegion);
+                }
+                
+                // Update UI with match result, smoothed over frames unless tracking is off
+                const fitting = this.checkShapeFit(result);
+                const tracked = CONFIG.TRACKING.ENABLED ? matchTracker.update(fitting.bestMatch) : null;
+                if (CONFIG.TRACKING.ENABLED) {
+                    this.updateMatchDisplay(tracked, result.roi, matchTracker.arrange(tracked, fitting.candidates));
+                } else {
+                    this.updateMatchDisplay(fitting.bestMatch, result.roi, fitting.candidates);
+                }
+                domUtils.updatePieceShape(result.shape);
+                
+                // Raw per-frame result next to the filtered one, for debugging
+                const dimensions = cameraManager.getReferenceDimensions();
+                domUtils.updateRawMatchIndicator(CONFIG.DEBUG.ENABLED && CONFIG.TRACKING.SHOW_RAW ? fitting.bestMatch : null,
+                    dimensions.width, dimensions.height);
+                
+                // Remember confidently found pieces for this puzzle (the worker's stable count is for its own best match)
+                if (fitting.bestMatch === result.bestMatch) {
+                    this.recordFoundPiece(result.bestMatch, result.state, result.shape);
+                }
+                
+                // Update performance statistics
+                this.updatePerformanceStats(startTime, result.state);
+                
+                // Increment frame counter
+                this.frameCount++;
+            }).catch(error => {
+                console.error('Detection error:', error);
+                domUtils.updateStatus('Detection Error: ' + error.message, 'error');
+            }).finally(() => {
+                this.isProcessing = false;
+            });
+        
         } catch (error) {
             console.error('Detection error:', error);
             domUtils.updateStatus('Detection Error: ' + error.message, 'error');
-        } finally {
             this.isProcessing = false;
-            
-            // Continue processing loop
-            requestAnimationFrame(this.processDetection.bind(this));
         }
+        
+        // Continue processing loop
+        requestAnimationFrame(this.processDetection.bind(this));
+    }
+    
+    /**
+     * Drop candidate locations whose grid cell can't take the piece's flat sides
+     * @param {Object} result - Detection result { bestMatch, candidates, shape }
+     * @returns {Object} - { bestMatch, candidates }, the worker's own if every location fits, none does,
+     *                     or there is no grid or signature to check against
+     */
+    checkShapeFit(result) {
+        const unchanged = { bestMatch: result.bestMatch, candidates: result.candidates };
+        const signature = result.shape ? result.shape.signature : null;
+        if (!CONFIG.SHAPE.CHECK_GRID || !signature || !result.bestMatch) return unchanged;
+        
+        const candidates = result.candidates || [];
+        const fitting = candidates.filter(candidate => puzzleGrid.fitsShape(candidate, signature) !== false);
+        
+        // A misread outline shouldn't hide every location the matcher found
+        if (fitting.length === 0 || fitting.length === candidates.length) return unchanged;
+        
+        const ranked = fitting.map((candidate, index) => Object.assign({}, candidate, { rank: index + 1 }));
+        return { bestMatch: ranked[0], candidates: ranked };
     }
     
     /**
      * Update match display
      * @param {Object} bestMatch - Best match information
+     * @param {Object} roi - Region of interest searched by the worker
+     * @param {Array} candidates - Ranked candidate locations (best first)
      */
-    updateMatchDisplay(bestMatch) {
+    updateMatchDisplay(bestMatch, roi, candidates = []) {
         const dimensions = cameraManager.getReferenceDimensions();
         
+        // Outlines shown on the reference (cell-snapped when the grid is set up)
+        const snapToGrid = (match) => {
+            const location = CONFIG.GRID.SNAP_OUTLINE ? puzzleGrid.locate(match) : null;
+            return location ? Object.assign({}, match, location.cell, { rotation: 0 }) : match;
+        };
+        let displayMatch = bestMatch;
+        let displayCandidates = [];
+        
+        // The outline may be the tracker's estimate or a location the grid check preferred,
+        // neither of which is the worker's own last match
+        this.shownMatch = bestMatch && bestMatch.confidence >= CONFIG.DETECTION_THRESHOLD ? bestMatch : null;
+        
         // Get status message
         let statusMsg;
         if (bestMatch && bestMatch.confidence >= CONFIG.DETECTION_THRESHOLD) {
-            statusMsg = `Match: ${(bestMatch.confidence * 100).toFixed(1)}%, ` +
-                `Rot: ${bestMatch.rotation.toFixed(0)}°, ` +
-                `Scale: ${bestMatch.scale.toFixed(2)}x`;
+            const location = puzzleGrid.locate(bestMatch);
+            
+            if (location) {
+                statusMsg = `Row ${location.row}, Col ${location.col}, rotate ${location.rotation}° ` +
+                    `(${(bestMatch.confidence * 100).toFixed(1)}%)`;
+            } else {
+                statusMsg = `Match: ${(bestMatch.confidence * 100).toFixed(1)}%, ` +
+                    `Rot: ${bestMatch.rotation.toFixed(0)}°, ` +
+                    `Scale: ${bestMatch.scale.toFixed(2)}x`;
+            }
+            
+            displayMatch = snapToGrid(bestMatch);
+            displayCandidates = (candidates || []).map(snapToGrid);
+            
+            // Mention the numbered alternatives to try next
+            if (displayCandidates.length > 1) {
+                statusMsg += ` [+${displayCandidates.length - 1} more]`;
+            }
+            
+            // Which matching methods the score came from
+            if (CONFIG.DEBUG.ENABLED && bestMatch.methodScores) {
+                const methods = Object.entries(bestMatch.methodScores)
+                    .map(([name, score]) => `${name} ${(score * 100).toFixed(0)}%`);
+                statusMsg += ` (${methods.join(', ')})`;
+            }
             
             // Draw ROI for debugging if enabled
             if (CONFIG.DEBUG.ENABLED && CONFIG.DEBUG.SHOW_ROI) {
                 const ctx = domUtils.elements.referenceCanvas.getContext('2d');
-                const roi = matchDetector.getCurrentRoi();
                 domUtils.drawROI(roi, ctx);
             }
         } else {
@@ -285,14 +1128,55 @@ class PuzzleDetectorApp {
         domUtils.updateStatus(statusMsg);
         
         // Update match indicator
-        domUtils.updateMatchIndicator(bestMatch, dimensions.width, dimensions.height);
+        domUtils.updateMatchIndicator(displayMatch, dimensions.width, dimensions.height);
+        domUtils.updateCandidateOutlines(displayCandidates, dimensions.width, dimensions.height);
+        
+        if (this.followMatch && displayMatch && displayMatch.confidence >= CONFIG.DETECTION_THRESHOLD) {
+            domUtils.followMatch(displayMatch, dimensions.width, dimensions.height);
+        }
+    }
+    
+    /**
+     * Record a stable, high-confidence match in the puzzle's found-piece history
+     * @param {Object} bestMatch - Best match information
+     * @param {Object} matchState - Detector state reported by the worker
+     * @param {Object} shape - Piece classification with its signature, so found pieces can be grouped
+     */
+    recordFoundPiece(bestMatch, matchState, shape = null) {
+        if (!bestMatch ||
+            bestMatch.confidence < CONFIG.HIGH_CONFIDENCE_THRESHOLD ||
+            !matchState ||
+            matchState.stableCount < CONFIG.STORAGE.FOUND_STABLE_COUNT) {
+            return;
+        }
+        
+        const location = puzzleGrid.locate(bestMatch);
+        storageManager.addFoundPiece({
+            row: location ? location.row : null,
+            col: location ? location.col : null,
+            x: bestMatch.x,
+            y: bestMatch.y,
+            width: bestMatch.width,
+            height: bestMatch.height,
+            rotation: bestMatch.rotation,
+            confidence: bestMatch.confidence,
+            shape: shape ? shape.type : null,
+            signature: shape && shape.signature ? {
+                code: shape.signature.code,
+                tabs: shape.signature.tabs,
+                blanks: shape.signature.blanks,
+                flats: shape.signature.flats,
+                descriptor: shape.signature.descriptor
+            } : null
+        });
     }
     
     /**
      * Update performance statistics
      * @param {number} startTime - Start time of processing
+     * @param {Object} matchState - Detector state reported by the worker
      */
-    updatePerformanceStats(startTime) {
+    updatePerformanceStats(startTime, matchState = null) {
         const endTime = performance.now();
         const frameTime = endTime - startTime;
         
@@ -324,7 +1208,9 @@ class PuzzleDetectorApp {
         if (this.frameCount % CONFIG.PERFORMANCE_UPDATE_INTERVAL === 0) {
             domUtils.showProcessingIndicator(true, {
                 avgTime: avgTime,
-                fps: avgFps
+                fps: avgFps,
+                levelTimings: CONFIG.DEBUG.ENABLED && matchState ? matchState.levelTimings : null,
+                normalization: CONFIG.DEBUG.ENABLED && matchState ? matchState.normalization : null
             });
         }
     }
@@ -333,13 +1219,29 @@ class PuzzleDetectorApp {
      * Reset application to initial state
      */
     resetApplication() {
-        // Stop detection
+        // Stop detection (a running search is dropped by the worker reset)
         this.isDetecting = false;
         this.isProcessing = false;
+        this.clearFreeze();
+        
+        // Reset worker-side components (detection and the multi-shot capture)
+        workerManager.reset();
+        cornerEditor.cancel();
+        this.isMultiShot = false;
+        this.stitchShotCount = 0;
+        domUtils.updateStitchState(false);
+        cameraManager.clearReference();
+        puzzleGrid.reset();
+        domUtils.updateGridOverlay(puzzleGrid, false);
+        this.placedRegions = [];
+        this.shownMatch = null;
+        domUtils.updateCoverageOverlay(this.placedRegions, 0, 0);
+        domUtils.updateCandidateOutlines([]);
+        matchTracker.reset();
+        domUtils.updateRawMatchIndicator(null);
         
-        // Reset components
-        imageProcessor.reset();
-        matchDetector.reset();
+        // Start fresh next time (the puzzle itself stays stored)
+        storageManager.clearSession();
         
         // Reset UI
         domUtils.updateReferenceState(false);
@@ -4,12 +4,28 @@
  */
 class CameraManager {
     constructor() {
-        this.stream = null;
-        this.videoTrack = null;
-        this.capabilities = null;
+        // Per-section camera state: { video, stream, track, capabilities, deviceId }
+        this.sections = {
+            upper: { video: null, stream: null, track: null, capabilities: null, deviceId: '' },
+            lower: { video: null, stream: null, track: null, capabilities: null, deviceId: '' }
+        };
+        
+        // Camera chosen for each section: { deviceId, resolution } ('' = default)
+        this.selections = {
+            upper: { deviceId: '', resolution: '' },
+            lower: { deviceId: '', resolution: '' }
+        };
+        
+        // Video inputs from the last enumeration: { deviceId, label }
+        this.devices = [];
+        
+        // Pending stream restart, so device events don't open streams twice
+        this.restartPromise = null;
+        
         this.referenceImage = null;
         this.referenceWidth = 0;
         this.referenceHeight = 0;
+        this.templateRegion = null;
         this.isInitialized = false;
     }
     
@@ -24,46 +40,24 @@ class CameraManager {
             this.lowerVideo = domUtils.elements.lowerVideo;
             this.referenceCanvas = domUtils.elements.referenceCanvas;
             this.detectionCanvas = domUtils.elements.detectionCanvas;
+            this.sections.upper.video = this.upperVideo;
+            this.sections.lower.video = this.lowerVideo;
             
             // Set important video attributes
             this.setupVideoElements();
             
-            // Set up camera with optimized constraints
-            const constraints = {
-                video: {
-                    facingMode: CONFIG.CAMERA.FACING_MODE,
-                    width: CONFIG.CAMERA.WIDTH,
-                    height: CONFIG.CAMERA.HEIGHT
-                }
-            };
-            
-            // Request camera access with promise-based approach
-            this.stream = await navigator.mediaDevices.getUserMedia(constraints);
-            
-            // Get video track and capabilities
-            this.videoTrack = this.stream.getVideoTracks()[0];
-            this.capabilities = this.videoTrack.getCapabilities();
-            
-            // Apply optimal camera settings if available
-            this.applyOptimalCameraSettings();
+            // Open the remembered cameras (or the default one)
+            this.loadSelections();
+            await this.openStreams();
             
-            // Set up video streams
-            this.upperVideo.srcObject = this.stream;
-            this.lowerVideo.srcObject = this.stream;
+            // Labels are only available once camera access was granted
+            await this.updateDeviceList();
             
-            // Explicitly start playing videos
-            await Promise.all([
-                this.upperVideo.play().catch(e => console.error("Upper video play error:", e)),
-                this.lowerVideo.play().catch(e => console.error("Lower video play error:", e))
-            ]);
-            
-            // Wait for videos to be ready
-            await Promise.all([
-                this.waitForVideoReady(this.upperVideo),
-                this.waitForVideoReady(this.lowerVideo)
-            ]);
+            if (navigator.mediaDevices.addEventListener) {
+                navigator.mediaDevices.addEventListener('devicechange', () => this.handleDeviceChange());
+            }
             
-            domUtils.updateStatus(`Camera ready: ${this.videoTrack.getSettings().width}x${this.videoTrack.getSettings().height}`, 'success');
+            domUtils.updateStatus(`Camera ready: ${this.describeCameras()}`, 'success');
             this.isInitialized = true;
             
             // Set up periodic check to ensure video is still playing
@@ -77,6 +71,300 @@ class CameraManager {
         }
     }
     
+    /**
+     * Open a stream for each section and attach it to the section's video
+     * (sections set to the same camera share one stream)
+     * @returns {Promise} - Resolves once both videos are playing
+     */
+    async openStreams() {
+        this.stopStreams();
+        
+        const upper = this.selections.upper;
+        const lower = this.selections.lower;
+        
+        // Most phones can't open the same camera twice, so the reference's resolution wins
+        if (upper.deviceId === lower.deviceId) {
+            const stream = await this.openStream('upper', upper.resolution ? upper : lower);
+            this.attachStream('upper', stream);
+            this.attachStream('lower', stream);
+        } else {
+            const upperStream = await this.openStream('upper', upper);
+            this.attachStream('upper', upperStream);
+            
+            // A second stream can fail when "default" resolves to the camera already in use
+            try {
+                this.attachStream('lower', await this.openStream('lower', lower));
+            } catch (error) {
+                console.warn('Could not open piece camera, sharing the reference camera:', error);
+                domUtils.updateStatus('Piece camera unavailable - sharing the reference camera', 'warn');
+                this.attachStream('lower', upperStream);
+            }
+        }
+        
+        // Explicitly start playing videos
+        await Promise.all([
+            this.upperVideo.play().catch(e => console.error("Upper video play error:", e)),
+            this.lowerVideo.play().catch(e => console.error("Lower video play error:", e))
+        ]);
+        
+        // Wait for videos to be ready
+        await Promise.all([
+            this.waitForVideoReady(this.upperVideo),
+            this.waitForVideoReady(this.lowerVideo)
+        ]);
+    }
+    
+    /**
+     * Request a camera stream, falling back to the default camera if the chosen one is gone
+     * @param {string} section - 'upper' or 'lower'
+     * @param {Object} selection - { deviceId, resolution }
+     * @returns {Promise<MediaStream>} - Camera stream
+     */
+    async openStream(section, selection) {
+        try {
+            return await navigator.mediaDevices.getUserMedia({ video: this.buildConstraints(section, selection) });
+        } catch (error) {
+            if (!selection.deviceId) throw error;
+            
+            // Keep the saved choice so the camera is used again once it's plugged back in
+            console.warn(`Camera ${selection.deviceId} unavailable:`, error);
+            domUtils.updateStatus(`Selected ${section === 'upper' ? 'reference' : 'piece'} camera unavailable - using default`, 'warn');
+            return navigator.mediaDevices.getUserMedia({
+                video: this.buildConstraints(section, { deviceId: '', resolution: selection.resolution })
+            });
+        }
+    }
+    
+    /**
+     * Build the getUserMedia video constraints for a section
+     * @param {string} section - 'upper' or 'lower'
+     * @param {Object} selection - { deviceId, resolution }
+     * @returns {Object} - MediaTrackConstraints
+     */
+    buildConstraints(section, selection) {
+        const constraints = Object.assign({
+            width: CONFIG.CAMERA.WIDTH,
+            height: CONFIG.CAMERA.HEIGHT
+        }, CONFIG.CAMERA.SECTIONS[section]);
+        
+        if (selection.resolution) {
+            const [width, height] = selection.resolution.split('x').map(Number);
+            constraints.width = { ideal: width };
+            constraints.height = { ideal: height };
+        }
+        
+        if (selection.deviceId) {
+            constraints.deviceId = { exact: selection.deviceId };
+        } else {
+            constraints.facingMode = CONFIG.CAMERA.FACING_MODE;
+        }
+        
+        return constraints;
+    }
+    
+    /**
+     * Show a stream in a section's video
+     * @param {string} section - 'upper' or 'lower'
+     * @param {MediaStream} stream - Camera stream
+     */
+    attachStream(section, stream) {
+        const state = this.sections[section];
+        
+        state.stream = stream;
+        state.track = stream.getVideoTracks()[0];
+        state.capabilities = state.track.getCapabilities ? state.track.getCapabilities() : null;
+        state.deviceId = state.track.getSettings().deviceId || '';
+        
+        // Apply optimal camera settings if available
+        this.applyOptimalCameraSettings(state.track, state.capabilities);
+        
+        // Unplugging a camera ends its track
+        state.track.addEventListener('ended', () => this.handleTrackEnded(section));
+        
+        state.video.srcObject = stream;
+    }
+    
+    /**
+     * Stop all camera tracks
+     */
+    stopStreams() {
+        Object.values(this.sections).forEach(state => {
+            if (state.stream) {
+                state.stream.getTracks().forEach(track => track.stop());
+            }
+            state.stream = null;
+            state.track = null;
+            state.capabilities = null;
+            state.deviceId = '';
+        });
+    }
+    
+    /**
+     * Reopen the streams once, however many device events arrive
+     * (a camera chosen while reopening is opened straight after)
+     * @returns {Promise<boolean>} - Whether the cameras were reopened
+     */
+    restart() {
+        if (!this.restartPromise) {
+            this.restartPromise = this.openSelectedStreams()
+                .then(() => {
+                    domUtils.updateStatus(`Camera ready: ${this.describeCameras()}`, 'success');
+                    return true;
+                })
+                .catch(error => {
+                    console.error('Failed to reopen camera:', error);
+                    domUtils.updateStatus(`Camera access error: ${error.message}`, 'error');
+                    return false;
+                })
+                .finally(() => {
+                    this.restartPromise = null;
+                });
+        }
+        
+        return this.restartPromise;
+    }
+    
+    /**
+     * Open the streams until they match the selections, which can change while a camera is opening
+     * @returns {Promise} - Resolves once the selected cameras are playing
+     */
+    async openSelectedStreams() {
+        let opening;
+        do {
+            opening = JSON.stringify(this.selections);
+            try {
+                await this.openStreams();
+            } catch (error) {
+                // A newer choice gets its own try
+                if (opening === JSON.stringify(this.selections)) throw error;
+            }
+        } while (opening !== JSON.stringify(this.selections));
+    }
+    
+    /**
+     * Recover when a section's camera stops delivering frames
+     * @param {string} section - 'upper' or 'lower'
+     */
+    handleTrackEnded(section) {
+        // Tracks we stopped ourselves never fire 'ended'
+        const track = this.sections[section].track;
+        if (!this.isInitialized || !track || track.readyState !== 'ended') return;
+        
+        domUtils.updateStatus(`${section === 'upper' ? 'Reference' : 'Piece'} camera disconnected`, 'warn');
+        this.restart();
+    }
+    
+    /**
+     * Refresh the device list and switch back to a remembered camera that was plugged in again
+     */
+    async handleDeviceChange() {
+        await this.updateDeviceList();
+        if (!this.isInitialized) return;
+        
+        const available = new Set(this.devices.map(device => device.deviceId));
+        const needsRestart = Object.keys(this.sections).some(section => {
+            const wanted = this.selections[section].deviceId;
+            return wanted && wanted !== this.sections[section].deviceId && available.has(wanted);
+        });
+        
+        if (needsRestart) {
+            this.restart();
+        }
+    }
+    
+    /**
+     * List the available cameras and show them in the settings panel
+     * @returns {Promise<Array>} - Devices { deviceId, label }
+     */
+    async updateDeviceList() {
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            this.devices = devices
+                .filter(device => device.kind === 'videoinput' && device.deviceId)
+                .map((device, index) => ({
+                    deviceId: device.deviceId,
+                    label: device.label || `Camera ${index + 1}`
+                }));
+        } catch (error) {
+            console.warn('Could not list cameras:', error);
+            this.devices = [];
+        }
+        
+        domUtils.updateCameraControls(this.devices, this.selections, CONFIG.CAMERA.RESOLUTIONS);
+        return this.devices;
+    }
+    
+    /**
+     * Use a different camera or resolution for a section
+     * @param {string} section - 'upper' or 'lower'
+     * @param {Object} selection - { deviceId, resolution } ('' = default)
+     * @returns {Promise<boolean>} - Whether the cameras were reopened
+     */
+    async selectCamera(section, selection) {
+        if (!this.selections[section]) return false;
+        
+        this.selections[section] = {
+            deviceId: selection.deviceId || '',
+            resolution: selection.resolution || ''
+        };
+        this.saveSelections();
+        
+        const reopened = await this.restart();
+        domUtils.updateCameraControls(this.devices, this.selections, CONFIG.CAMERA.RESOLUTIONS);
+        return reopened;
+    }
+    
+    /**
+     * Describe the open cameras for status messages
+     * @returns {string} - e.g. "1920x1080" or "reference 1920x1080, pieces 1280x720"
+     */
+    describeCameras() {
+        const size = section => {
+            const settings = this.sections[section].track.getSettings();
+            return `${settings.width}x${settings.height}`;
+        };
+        
+        if (this.sections.upper.stream === this.sections.lower.stream) {
+            return size('upper');
+        }
+        return `reference ${size('upper')}, pieces ${size('lower')}`;
+    }
+    
+    /**
+     * Load the remembered camera choices
+     */
+    loadSelections() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.CAMERA.STORAGE_KEY) || 'null');
+            if (!stored) return;
+            
+            Object.keys(this.selections).forEach(section => {
+                if (stored[section]) {
+                    this.selections[section] = {
+                        deviceId: String(stored[section].deviceId || ''),
+                        resolution: CONFIG.CAMERA.RESOLUTIONS.includes(stored[section].resolution) ? stored[section].resolution : ''
+                    };
+                }
+            });
+        } catch (error) {
+            console.warn('Failed to load camera selection:', error);
+        }
+    }
+    
+    /**
+     * Remember the camera choices for the next session
+     * @returns {boolean} - Whether the choices were saved
+     */
+    saveSelections() {
+        try {
+            localStorage.setItem(CONFIG.CAMERA.STORAGE_KEY, JSON.stringify(this.selections));
+            return true;
+        } catch (error) {
+            console.warn('Failed to save camera selection:', error);
+            return false;
+        }
+    }
+    
     /**
      * Setup video elements with required attributes
      */
@@ -111,41 +399,41 @@ class CameraManager {
     
     /**
      * Apply optimal camera settings for puzzle detection
+     * @param {MediaStreamTrack} track - Video track
+     * @param {Object|null} capabilities - Track capabilities
      */
-    applyOptimalCameraSettings() {
-        if (!this.videoTrack || !this.capabilities) return;
+    applyOptimalCameraSettings(track, capabilities) {
+        if (!track || !capabilities) return;
         
         const settings = {};
         
         // Apply focus mode if available (prefer continuous auto focus)
-        if (this.capabilities.focusMode && 
-            this.capabilities.focusMode.includes('continuous')) {
+        if (capabilities.focusMode && 
+            capabilities.focusMode.includes('continuous')) {
             settings.focusMode = 'continuous';
         }
         
         // Apply white balance if available
-        if (this.capabilities.whiteBalanceMode && 
-            this.capabilities.whiteBalanceMode.includes('continuous')) {
+        if (capabilities.whiteBalanceMode && 
+            capabilities.whiteBalanceMode.includes('continuous')) {
             settings.whiteBalanceMode = 'continuous';
         }
         
         // Apply exposure mode if available
-        if (this.capabilities.exposureMode && 
-            this.capabilities.exposureMode.includes('continuous')) {
+        if (capabilities.exposureMode && 
+            capabilities.exposureMode.includes('continuous')) {
             settings.exposureMode = 'continuous';
         }
         
         // Try setting zoom to minimum for widest field of view
-        if (this.capabilities.zoom) {
-            settings.zoom = this.capabilities.zoom.min;
+        if (capabilities.zoom) {
+            settings.zoom = capabilities.zoom.min;
         }
         
         // Try to apply settings
-        try {
-            this.videoTrack.applyConstraints({ advanced: [settings] });
-        } catch (e) {
+        track.applyConstraints({ advanced: [settings] }).catch(e => {
             console.warn('Could not apply optimal camera settings:', e);
-        }
+        });
     }
     
     /**
@@ -177,12 +465,53 @@ class CameraManager {
     }
     
     /**
-     * Capture reference image from upper video
-     * @returns {ImageData} - Captured reference image data
+     * Capture reference image from the upper camera: a full-resolution photo where
+     * the browser supports ImageCapture, otherwise the current video frame
+     * @returns {Promise<ImageData|null>} - Captured reference image data
      */
-    captureReferenceImage() {
+    async captureReferenceImage() {
+        const photo = CONFIG.CAMERA.PHOTO_CAPTURE ? await this.takeReferencePhoto() : null;
+        const frame = photo || this.captureUpperFrame();
+        return frame ? this.setReferenceImage(frame) : null;
+    }
+    
+    /**
+     * Take a photo with the upper camera at the largest size it supports
+     * (video frames are capped at the stream resolution, photos use the whole sensor)
+     * @returns {Promise<ImageData|null>} - Photo, or null if photo capture isn't available or failed
+     */
+    async takeReferencePhoto() {
+        const track = this.sections.upper.track;
+        if (typeof ImageCapture === 'undefined' || !track || track.readyState !== 'live') {
+            return null;
+        }
+        
+        try {
+            const imageCapture = new ImageCapture(track);
+            const capabilities = await imageCapture.getPhotoCapabilities();
+            
+            const settings = {};
+            if (capabilities.imageWidth && capabilities.imageWidth.max &&
+                capabilities.imageHeight && capabilities.imageHeight.max) {
+                settings.imageWidth = capabilities.imageWidth.max;
+                settings.imageHeight = capabilities.imageHeight.max;
+            }
+            
+            const blob = await imageCapture.takePhoto(settings);
+            return await fileImporter.decode(blob);
+        } catch (error) {
+            console.warn('Photo capture failed, using the video frame:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Grab the current upper video frame without showing it as the reference
+     * (multi-shot capture keeps the live view up between shots)
+     * @returns {ImageData|null} - Frame at the video's resolution, or null on failure
+     */
+    captureUpperFrame() {
         const video = this.upperVideo;
-        const canvas = this.referenceCanvas;
         
         // Make sure video is playing
         if (video.paused) {
@@ -198,28 +527,19 @@ class CameraManager {
             return null;
         }
         
-        // Set canvas size to match video
+        // Offscreen canvas at the video's size
+        const canvas = document.createElement('canvas');
         canvas.width = video.videoWidth;
         canvas.height = video.videoHeight;
-        this.referenceWidth = canvas.width;
-        this.referenceHeight = canvas.height;
-        
-        // Use optimized 2D context settings
-        const ctx = canvas.getContext('2d', { 
-            alpha: false,
-            desynchronized: true // Use desynchronized for better performance
-        });
         
-        // Clear the canvas first
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        const ctx = canvas.getContext('2d', { alpha: false, willReadFrequently: true });
         
         // Draw the video frame
         ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
         
         // Get image data
         try {
-            this.referenceImage = ctx.getImageData(0, 0, canvas.width, canvas.height);
-            return this.referenceImage;
+            return ctx.getImageData(0, 0, canvas.width, canvas.height);
         } catch (e) {
             console.error('Failed to get image data:', e);
             domUtils.updateStatus('Failed to capture image', 'error');
@@ -227,6 +547,41 @@ class CameraManager {
         }
     }
     
+    /**
+     * Use an existing image (e.g. an imported file) as the reference
+     * @param {ImageData} imageData - Reference image data
+     * @returns {ImageData} - The reference image data
+     */
+    setReferenceImage(imageData) {
+        const canvas = this.referenceCanvas;
+        
+        // Canvas takes the image's true size
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        this.referenceWidth = imageData.width;
+        this.referenceHeight = imageData.height;
+        
+        const ctx = canvas.getContext('2d', { alpha: false });
+        ctx.putImageData(imageData, 0, 0);
+        
+        this.referenceImage = imageData;
+        return this.referenceImage;
+    }
+    
+    /**
+     * Clear the displayed reference so the live view shows again
+     */
+    clearReference() {
+        const canvas = this.referenceCanvas;
+        if (canvas) {
+            canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+        }
+        
+        this.referenceImage = null;
+        this.referenceWidth = 0;
+        this.referenceHeight = 0;
+    }
+    
     /**
      * Capture puzzle piece template from lower video with adaptive sizing
      * @param {number} scale - Scale factor for template
@@ -259,6 +614,14 @@ class CameraManager {
         canvas.width = templateWidth;
         canvas.height = templateHeight;
         
+        // Remember where the template sits in the video frame
+        this.templateRegion = {
+            x: Math.floor(centerX - templateWidth/2),
+            y: Math.floor(centerY - templateHeight/2),
+            width: templateWidth,
+            height: templateHeight
+        };
+        
         // Get optimized 2D context
         const ctx = canvas.getContext('2d', { 
             alpha: false,
@@ -322,14 +685,16 @@ class CameraManager {
      * Release camera resources
      */
     releaseCamera() {
-        if (this.stream) {
-            this.stream.getTracks().forEach(track => track.stop());
-            this.stream = null;
-        }
-        
-        this.videoTrack = null;
-        this.capabilities = null;
         this.isInitialized = false;
+        this.stopStreams();
+    }
+    
+    /**
+     * Get the region of the lower video used for the last piece template
+     * @returns {Object|null} - { x, y, width, height } in video pixels
+     */
+    getTemplateRegion() {
+        return this.templateRegion;
     }
     
     /**
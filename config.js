@@ -18,7 +18,52 @@ const CONFIG = {
     CAMERA: {
         WIDTH: { ideal: 1280 },
         HEIGHT: { ideal: 720 },
-        FACING_MODE: 'environment'
+        FACING_MODE: 'environment',       // Used when no camera was chosen for a section
+        STORAGE_KEY: 'puzzleDetectorPro.cameras', // localStorage key for the chosen cameras
+        RESOLUTIONS: ['640x480', '1280x720', '1920x1080', '3840x2160'], // Choices offered per section
+        PHOTO_CAPTURE: true,              // Take the reference with ImageCapture.takePhoto at the sensor's full resolution
+        SECTIONS: {                       // Extra getUserMedia video constraints per section
+            upper: {},                    // Reference view
+            lower: {}                     // Piece view
+        }
+    },
+    
+    // Detection worker settings
+    WORKER: {
+        SCRIPT: 'detectionWorker.js',     // Worker entry point (loads its own OpenCV.js)
+        INIT_TIMEOUT: 30000               // Maximum time in ms to wait for the worker to load OpenCV
+    },
+    
+    // Reference import settings
+    IMPORT: {
+        ACCEPTED_TYPES: ['image/jpeg', 'image/png', 'image/webp']
+    },
+    
+    // Reference perspective correction (keystone removal after capture)
+    PERSPECTIVE: {
+        ENABLED: true,                   // Detect the puzzle outline and let the user adjust its corners
+        WORK_SIZE: 800,                  // Longest side in pixels used for outline detection
+        CANNY_LOW: 50,                   // Canny edge thresholds
+        CANNY_HIGH: 150,
+        MIN_AREA_FRACTION: 0.2,          // Smallest outline area relative to the image
+        APPROX_EPSILON: 0.02,            // Outline simplification relative to its perimeter
+        MAX_OUTPUT_SIZE: 2048,           // Longest side in pixels of the rectified reference
+        HANDLE_RADIUS: 14,               // Corner handle radius in screen pixels
+    },
+    
+    // Puzzle and session storage (IndexedDB)
+    STORAGE: {
+        DB_NAME: 'puzzleDetectorPro',
+        DB_VERSION: 1,
+        IMAGE_TYPE: 'image/jpeg',        // Encoding for stored reference images
+        IMAGE_QUALITY: 0.95,
+        FOUND_STABLE_COUNT: 5,           // Stable frames before a match is recorded as found
+        RESTORE_ON_STARTUP: true,        // Reload the last puzzle when the app starts
+    },
+    
+    // Runtime settings panel and profiles
+    SETTINGS: {
+        STORAGE_KEY: 'puzzleDetectorPro.settings',  // localStorage key for profiles and overrides
     },
     
     // Template settings
@@ -28,6 +73,93 @@ const CONFIG = {
         MIN_SIZE: 20,                 // Minimum template size in pixels
     },
     
+    // Lighting normalization shared by the reference and every piece frame
+    NORMALIZATION: {
+        WHITE_BALANCE: false,            // Gray-world white balance per image (also feeds colour scoring)
+        MAX_GAIN: 1.5,                   // Largest per-channel white balance gain (and 1 / smallest)
+        CLAHE: true,                     // Contrast-limited adaptive histogram equalization
+        CLAHE_CLIP_LIMIT: 2.0,           // Histogram clip limit per tile
+        CLAHE_TILES: 8,                  // Tiles across and down
+        LOCAL_CONTRAST: false,           // Subtract the local mean and divide by the local std dev
+        LOCAL_CONTRAST_RADIUS: 16,       // Neighbourhood radius in pixels
+        LOCAL_CONTRAST_FLOOR: 4,         // Added to the local std dev so flat areas stay flat
+        LOCAL_CONTRAST_GAIN: 32,         // Output grey levels per local std dev (around 128)
+    },
+    
+    // Piece segmentation settings (separates the piece from the table background)
+    SEGMENTATION: {
+        ENABLED: true,                   // Match only the piece's pixels
+        WORK_SIZE: 160,                  // Longest side in pixels used while segmenting
+        BORDER_FRACTION: 0.08,           // Template border ring assumed to show background
+        LEARNING_RATE: 0.1,              // Background model update rate per frame
+        DISTANCE_THRESHOLD: 3.0,         // Lab distance (in background std devs) to count as piece
+        MIN_BACKGROUND_STD: 4,           // Floor for the background std of each Lab channel
+        MIN_AREA_FRACTION: 0.05,         // Smallest piece area relative to the template
+        MAX_AREA_FRACTION: 0.85,         // Larger blobs mean the background model is off
+        MORPH_SIZE: 5,                   // Kernel size for speckle removal and gap closing
+        CONTOUR_EPSILON: 0.005,          // Contour simplification relative to its perimeter
+        SHOW_MASK: true,                 // Draw the segmented outline over the detection canvas
+    },
+    
+    // Edge and corner pieces (flat sides found in the segmented outline)
+    SHAPE: {
+        ENABLED: true,                   // Search border pieces along the reference border only
+        FLAT_MIN_LENGTH: 0.6,            // Shortest flat side relative to the piece size (square root of its area)
+        FLAT_TOLERANCE: 0.04,            // Largest deviation from a straight side, relative to the piece size
+        FLAT_COVERAGE: 0.85,             // Share of a flat side the outline must trace (a blank's hollow leaves a gap)
+        CORNER_ANGLE_TOLERANCE: 20,      // Degrees a corner's flat sides may be off a right angle
+        BORDER_MARGIN: 3,                // Outline runs this close to the template edge are crop edges, not flat sides
+        HISTORY: 5,                      // Frames in the majority vote that steadies the classification
+        BAND_FACTOR: 1.2,                // Border band width relative to the template at its largest scale
+        CORNER_WINDOW: 0.1,              // Outline stretch either side of a body corner, relative to the piece size
+        CORNER_STRAIGHTNESS: 30,         // Degrees the outline may bend within those stretches
+        SIDE_DEPTH: 0.1,                 // Shallowest tab or blank, relative to its side length
+        SIGNATURE_POINTS: 256,           // Outline points the side signature and descriptor are measured on
+        SIGNATURE_COEFFICIENTS: 8,       // Length of the normalized outline descriptor
+        CHECK_GRID: true,                // Skip match locations whose grid cell can't take the piece's flat sides
+    },
+    
+    // Reference view zoom and pan
+    ZOOM: {
+        MAX_SCALE: 8,                    // Deepest zoom into the reference
+        WHEEL_STEP: 1.2,                 // Zoom factor per mouse wheel notch
+        DOUBLE_TAP_MS: 300,              // Second tap within this time counts as a double tap
+        TAP_SLOP: 10,                    // Pointer movement in pixels that turns a tap into a pan
+        MATCH_FILL: 0.3,                 // Fraction of the view a match fills after zooming to it
+        FOLLOW_SCALE: 2,                 // Minimum zoom while following the match
+    },
+    
+    // Puzzle grid settings (report matches as row/column)
+    GRID: {
+        DEFAULT_PIECE_COUNT: 1000,       // Piece count used to estimate the grid when none is entered
+        SNAP_OUTLINE: true,              // Snap the match outline to the grid cell
+        SHOW_OVERLAY: false,             // Draw the grid over the reference initially
+        LINE_COLOR: 'rgba(255, 255, 255, 0.4)',
+    },
+    
+    // Placed pieces (confirmed placements stop attracting matches)
+    PLACEMENT: {
+        ENABLED: true,                   // Penalise matches centred on placed pieces
+        PENALTY: 0.5,                    // Score subtracted there (2 or more masks them out entirely)
+        CORE_FRACTION: 0.6,              // Central part of a placed region that is penalised
+        COVERAGE_COLOR: 'rgba(0, 200, 255, 0.35)',
+    },
+    
+    // Multi-shot reference capture: overlapping frames of a big puzzle registered with ORB
+    // features and a RANSAC homography, then stitched into one reference
+    STITCHING: {
+        WORK_SIZE: 960,                  // Longest side frames are registered at
+        MAX_FEATURES: 2000,              // ORB keypoints per frame
+        RATIO_TEST: 0.75,                // Lowe's ratio test threshold
+        MIN_INLIERS: 25,                 // RANSAC inliers needed to place a frame
+        RANSAC_THRESHOLD: 5.0,           // Reprojection error threshold in frame pixels
+        NEIGHBOURS: 4,                   // Most-overlapping earlier frames each new frame is fitted to
+        MAX_SCALE_CHANGE: 1.6,           // Frames this much nearer or farther than the one they overlap are rejected
+        MAX_FRAMES: 24,                  // Frames per mosaic (each is kept at full resolution until Done)
+        MAX_MOSAIC_SIZE: 4096,           // Longest side of the stitched reference
+        PREVIEW_SIZE: 240,               // Longest side of the coverage preview
+    },
+    
     // Match settings
     MATCH: {
         STABLE_POSITION_THRESHOLD: 20,   // Maximum position difference for stable match
@@ -36,6 +168,86 @@ const CONFIG = {
         MAX_SEARCH_ITERATIONS: 10,       // Maximum search iterations before giving up
     },
     
+    // Temporal filtering of the best match (main thread)
+    TRACKING: {
+        ENABLED: true,                   // Draw the filtered match instead of each frame's raw result
+        POSITION_NOISE: 0.05,            // Per-frame position jitter, relative to the piece size
+        SIZE_NOISE: 0.05,                // Per-frame size and scale jitter, relative to their value
+        ROTATION_NOISE: 4,               // Per-frame rotation jitter in degrees
+        MOTION: 2,                       // How quickly the match may speed up, in piece sizes per second²
+        ROTATION_MOTION: 90,             // How quickly the rotation may speed up, in degrees per second²
+        MAX_STEP: 0.5,                   // Longest prediction step in seconds (detection pauses)
+        GATE: 0.5,                       // Matches within this fraction of the piece size belong to the track
+        ROTATION_GATE: 30,               // ...and within this many degrees
+        CONFIDENCE_RATE: 0.3,            // Weight of each frame in the accumulated confidence
+        SWITCH_FRAMES: 3,                // Frames in a row a new location needs before the outline moves
+        MAX_MISSES: 5,                   // Frames in a row without the tracked location before it is dropped
+        SHOW_RAW: true,                  // With DEBUG.ENABLED, also outline each frame's raw best match
+    },
+    
+    // Image pyramid settings for coarse-to-fine search
+    PYRAMID: {
+        ENABLED: true,                   // Sweep rotations/scales at low resolution first
+        LEVELS: 4,                       // Maximum number of levels including full resolution
+        MIN_LEVEL_SIZE: 64,              // Smallest side in pixels a level may have
+        BASE_SIZE: 2048,                 // Longest side of level 0; larger references are matched downsampled
+        MIN_TEMPLATE_SIZE: 12,           // Smallest template side in pixels for the coarse sweep
+        COARSE_THRESHOLD: 0.30,          // Minimum coarse score for a candidate to be refined
+        TOP_CANDIDATES: 3,               // Candidates refined at each finer level
+        REFINE_WINDOW: 4,                // Search margin in pixels around a candidate at each finer level
+    },
+    
+    // Continuous rotation and scale of the best candidates (template mode), measured by
+    // phase correlation of log-polar magnitude spectra instead of picked from the lists above
+    FOURIER_MELLIN: {
+        ENABLED: true,                   // Estimate the actual angle and scale of each candidate
+        SIZE: 128,                       // Working size of the spectra (power of two)
+        DISC_FRACTION: 0.9,              // Diameter of the compared disc, relative to the piece size
+        CANDIDATES: 3,                   // Best candidates measured per frame
+        MIN_RESPONSE: 0.05,              // Weaker correlation peaks are ignored
+        SEARCH_WINDOW: 8,                // Margin in pixels for re-matching at the estimated angle and scale
+    },
+    
+    // Grayscale template score: each method's map on a common scale (1 = identical,
+    // 0 = an unrelated patch), combined into one map
+    SCORING: {
+        MODE: 'weighted',                // 'weighted' (weighted mean) or 'vote' (mean scaled by the methods that agree)
+        CCOEFF_WEIGHT: 1,                // Zero-mean normalized correlation (ignores brightness and contrast)
+        CCORR_WEIGHT: 0,                 // Normalized correlation (keeps brightness)
+        SQDIFF_WEIGHT: 0,                // Normalized squared difference (keeps brightness and contrast)
+        GRADIENT_WEIGHT: 0,              // Zero-mean correlation of gradient magnitudes (edges, not shading)
+        CCORR_FLOOR: 0.8,                // Normalized correlation of unrelated patches (maps to 0)
+        SQDIFF_FLOOR: 0.8,               // Same for 1 - squared difference / 2
+        VOTE_THRESHOLD: 0.4,             // Common-scale score at which a method votes for a location
+    },
+    
+    // Colour-aware matching (template mode): Lab chroma fused with the grayscale score
+    COLOR: {
+        ENABLED: true,                   // Re-rank candidates by colour
+        GRAY_WEIGHT: 0.6,                // Weight of the grayscale correlation
+        CHROMA_WEIGHT: 0.2,              // Weight of the a/b channel correlation
+        MEAN_WEIGHT: 0.2,                // Weight of the mean colour similarity
+        MAX_MEAN_DISTANCE: 40,           // Mean a/b distance at which colour similarity reaches 0
+        MIN_CHROMA_STD: 2,               // Chroma channels flatter than this are not correlated
+    },
+    
+    // Ranked alternative locations
+    CANDIDATES: {
+        COUNT: 3,                        // Ranked locations reported per frame
+        PEAKS_PER_MAP: 3,                // Peaks taken from each rotation/scale result map
+        MIN_CONFIDENCE: 0.35,            // Alternatives below this score are not shown
+        SHOW_OUTLINES: true,             // Draw numbered outlines for the alternatives
+    },
+    
+    // Exhaustive search of a frozen piece frame (every fine rotation, no iteration cap)
+    SEARCH: {
+        SCALE_MIN: 0.2,                  // Dense scale range tried at each rotation
+        SCALE_MAX: 1.2,
+        SCALE_STEP: 0.05,
+        TOP_CANDIDATES: 12,              // Candidates kept for refinement at finer levels
+        RESULT_COUNT: 5,                 // Ranked locations shown when the search finishes
+    },
+    
     // ROI settings for focused processing
     ROI: {
         ENABLED: true,                   // Enable/disable ROI processing
@@ -45,6 +257,24 @@ const CONFIG = {
     
     // Algorithm settings
     ALGORITHM: {
+        // Matching mode: 'template' (rotation/scale sweep) or 'feature' (keypoints + homography)
+        MATCHING_MODE: 'template',
+        
+        // Keypoint matching settings (used in 'feature' mode)
+        FEATURES: {
+            DETECTOR: 'ORB',              // 'ORB' or 'AKAZE'
+            MAX_FEATURES: 3000,           // ORB keypoint budget for the reference
+            TEMPLATE_MAX_FEATURES: 500,   // ORB keypoint budget for each piece frame
+            RATIO_TEST: 0.75,             // Lowe's ratio test threshold
+            MIN_INLIERS: 8,               // Minimum RANSAC inliers for a valid match
+            CONFIDENT_INLIERS: 30,        // Inlier count that counts as full confidence
+            RANSAC_THRESHOLD: 5.0,        // Reprojection error threshold in pixels
+            MIN_SCALE: 0.1,               // Reject homographies outside this scale range
+            MAX_SCALE: 3.0,
+            MAX_SKEW: 0.35,               // Maximum shear allowed (0 = pure similarity)
+            MAX_PERSPECTIVE: 0.2          // Maximum change of the perspective divisor across the piece (0 = affine)
+        },
+        
         // Rotation settings for different modes
         ROTATIONS: {
             COARSE: [0, 90, 180, 270],
@@ -90,4 +320,46 @@ const CONFIG = {
 
 // Pre-computed values
 CONFIG.PI_180 = Math.PI / 180;
-CONFIG.EARLY_TERMINATION_THRESHOLD = 0.85; // Confidence threshold for early termination
\ No newline at end of file
+CONFIG.EARLY_TERMINATION_THRESHOLD = 0.85; // Confidence threshold for early termination
+
+/**
+ * Apply setting values to CONFIG (used by the settings panel on the main thread
+ * and by the detection worker, which has its own copy of CONFIG)
+ * @param {Object} values - Dotted path -> value, e.g. { 'ROI.MARGIN_FACTOR_LOW': 0.8 }
+ * @returns {Array} - Paths whose value actually changed
+ */
+function applyConfigOverrides(values) {
+    const changed = [];
+    
+    Object.keys(values).forEach(path => {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((node, key) => node ? node[key] : undefined, CONFIG);
+        
+        if (!parent || !(last in parent)) {
+            console.warn('Unknown setting:', path);
+            return;
+        }
+        
+        const value = values[path];
+        if (JSON.stringify(parent[last]) !== JSON.stringify(value)) {
+            parent[last] = Array.isArray(value) ? value.slice() : value;
+            changed.push(path);
+        }
+    });
+    
+    return changed;
+}
+
+/**
+ * Get the signed angle from one direction to another (shared by the main thread and the worker)
+ * @param {number} a - Angle in degrees
+ * @param {number} b - Angle in degrees
+ * @returns {number} - b - a wrapped to (-180, 180]
+ */
+function signedAngleDifference(a, b) {
+    let difference = (b - a) % 360;
+    if (difference > 180) difference -= 360;
+    if (difference <= -180) difference += 360;
+    return difference;
+}
\ No newline at end of file
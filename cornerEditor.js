@@ -0,0 +1,234 @@
+/**
+ * Corner Editor for Puzzle Detector Pro
+ * Lets the user drag the four corners of the detected puzzle outline
+ * over the reference canvas before perspective correction
+ */
+class CornerEditor {
+    constructor() {
+        this.canvas = null;
+        this.ctx = null;
+        
+        // Corners [tl, tr, br, bl] in reference image coordinates
+        this.corners = null;
+        this.imageWidth = 0;
+        this.imageHeight = 0;
+        
+        // Index of the corner being dragged (-1 when idle)
+        this.activeCorner = -1;
+        
+        // Resolves the promise returned by edit()
+        this.resolveEdit = null;
+    }
+    
+    /**
+     * Cache elements and set up pointer handlers
+     */
+    initialize() {
+        this.canvas = domUtils.elements.cornerCanvas;
+        this.ctx = this.canvas.getContext('2d');
+        
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown.bind(this));
+        this.canvas.addEventListener('pointermove', this.handlePointerMove.bind(this));
+        this.canvas.addEventListener('pointerup', this.handlePointerUp.bind(this));
+        this.canvas.addEventListener('pointercancel', this.handlePointerUp.bind(this));
+        
+        // Taps while editing must not trigger a reference capture
+        this.canvas.addEventListener('click', event => event.stopPropagation());
+        domUtils.elements.cornerControls.addEventListener('click', event => event.stopPropagation());
+        
+        domUtils.elements.applyCornersButton.addEventListener('click', () => {
+            this.finish(this.corners);
+        });
+        
+        // Skip keeps the whole image
+        domUtils.elements.skipCornersButton.addEventListener('click', () => {
+            this.finish(perspectiveCorrector.getFullImageCorners(this.imageWidth, this.imageHeight));
+        });
+    }
+    
+    /**
+     * Show the editor and wait for the user to confirm the corners
+     * @param {Array} corners - Initial corners [tl, tr, br, bl] in image coordinates
+     * @param {number} width - Reference image width
+     * @param {number} height - Reference image height
+     * @returns {Promise<Array|null>} - Confirmed corners, or null if editing was cancelled
+     */
+    edit(corners, width, height) {
+        // Only one edit session at a time
+        this.cancel();
+        
+        this.corners = corners.map(corner => ({ x: corner.x, y: corner.y }));
+        this.imageWidth = width;
+        this.imageHeight = height;
+        
+        // Handles are placed in unzoomed view coordinates
+        domUtils.resetZoom();
+        
+        domUtils.elements.upperSection.classList.add('adjusting-corners');
+        domUtils.elements.upperOverlay.textContent = 'Drag the corners to the puzzle edges';
+        this.draw();
+        
+        return new Promise(resolve => {
+            this.resolveEdit = resolve;
+        });
+    }
+    
+    /**
+     * Close the editor without confirming
+     */
+    cancel() {
+        this.finish(null);
+    }
+    
+    /**
+     * Hide the editor and resolve the pending edit
+     * @param {Array|null} corners - Result passed to the caller
+     */
+    finish(corners) {
+        domUtils.elements.upperSection.classList.remove('adjusting-corners');
+        this.activeCorner = -1;
+        
+        if (this.resolveEdit) {
+            const resolve = this.resolveEdit;
+            this.resolveEdit = null;
+            resolve(corners);
+        }
+    }
+    
+    /**
+     * Convert a pointer event position to reference image coordinates
+     * @param {PointerEvent} event - Pointer event
+     * @returns {Object} - { x, y } in image coordinates
+     */
+    toImagePoint(event) {
+        const bounds = this.canvas.getBoundingClientRect();
+        const content = domUtils.getReferenceContentRect(this.imageWidth, this.imageHeight);
+        
+        return {
+            x: (event.clientX - bounds.left - content.x) / content.scale,
+            y: (event.clientY - bounds.top - content.y) / content.scale
+        };
+    }
+    
+    /**
+     * Convert reference image coordinates to canvas pixels
+     * @param {Object} point - { x, y } in image coordinates
+     * @param {Object} content - Displayed reference rect from domUtils
+     * @returns {Object} - { x, y } in canvas pixels
+     */
+    toCanvasPoint(point, content) {
+        return {
+            x: content.x + point.x * content.scale,
+            y: content.y + point.y * content.scale
+        };
+    }
+    
+    /**
+     * Start dragging the corner closest to the pointer
+     * @param {PointerEvent} event - Pointer event
+     */
+    handlePointerDown(event) {
+        if (!this.corners) return;
+        
+        const content = domUtils.getReferenceContentRect(this.imageWidth, this.imageHeight);
+        const bounds = this.canvas.getBoundingClientRect();
+        const x = event.clientX - bounds.left;
+        const y = event.clientY - bounds.top;
+        
+        // Generous hit area so handles are easy to grab on touch screens
+        const hitRadius = CONFIG.PERSPECTIVE.HANDLE_RADIUS * 2;
+        let closest = -1;
+        let closestDistance = hitRadius;
+        
+        this.corners.forEach((corner, index) => {
+            const point = this.toCanvasPoint(corner, content);
+            const distance = Math.hypot(point.x - x, point.y - y);
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                closest = index;
+            }
+        });
+        
+        if (closest >= 0) {
+            this.activeCorner = closest;
+            this.canvas.setPointerCapture(event.pointerId);
+            event.preventDefault();
+        }
+    }
+    
+    /**
+     * Move the active corner, clamped to the image
+     * @param {PointerEvent} event - Pointer event
+     */
+    handlePointerMove(event) {
+        if (this.activeCorner < 0) return;
+        
+        const point = this.toImagePoint(event);
+        this.corners[this.activeCorner] = {
+            x: Math.max(0, Math.min(this.imageWidth - 1, point.x)),
+            y: Math.max(0, Math.min(this.imageHeight - 1, point.y))
+        };
+        
+        this.draw();
+    }
+    
+    /**
+     * Stop dragging
+     * @param {PointerEvent} event - Pointer event
+     */
+    handlePointerUp(event) {
+        if (this.activeCorner < 0) return;
+        
+        this.activeCorner = -1;
+        if (this.canvas.hasPointerCapture(event.pointerId)) {
+            this.canvas.releasePointerCapture(event.pointerId);
+        }
+        this.draw();
+    }
+    
+    /**
+     * Draw the outline and corner handles
+     */
+    draw() {
+        const canvas = this.canvas;
+        
+        // Keep the drawing buffer in screen pixels so handles stay a fixed size
+        canvas.width = canvas.clientWidth;
+        canvas.height = canvas.clientHeight;
+        
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (!this.corners) return;
+        
+        const content = domUtils.getReferenceContentRect(this.imageWidth, this.imageHeight);
+        const points = this.corners.map(corner => this.toCanvasPoint(corner, content));
+        
+        // Outline
+        ctx.beginPath();
+        points.forEach((point, index) => {
+            if (index === 0) {
+                ctx.moveTo(point.x, point.y);
+            } else {
+                ctx.lineTo(point.x, point.y);
+            }
+        });
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(0, 255, 0, 0.1)';
+        ctx.fill();
+        ctx.strokeStyle = CONFIG.UI.MATCH_COLORS.HIGH;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        
+        // Handles
+        points.forEach((point, index) => {
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, CONFIG.PERSPECTIVE.HANDLE_RADIUS, 0, Math.PI * 2);
+            ctx.fillStyle = index === this.activeCorner ? 'rgba(0, 255, 0, 0.6)' : 'rgba(0, 0, 0, 0.4)';
+            ctx.fill();
+            ctx.stroke();
+        });
+    }
+}
+
+// Create global instance
+const cornerEditor = new CornerEditor();
\ No newline at end of file
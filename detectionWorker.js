@@ -0,0 +1,240 @@
+/**
+ * Detection Worker for Puzzle Detector Pro
+ * Loads OpenCV.js off the main thread, keeps the processed reference
+ * and runs piece detection for frames posted by the WorkerManager
+ */
+
+// Status bridge: worker-side components report through the main thread UI
+const domUtils = {
+    updateStatus(msg, type = 'info') {
+        self.postMessage({ type: 'status', msg: msg, level: type });
+    }
+};
+
+// Frames processed since the reference was set (drives periodic cleanup)
+let detectionCount = 0;
+
+// Set by cancelSearch (or a reset) to stop the running exhaustive search
+let searchCancelled = false;
+
+/**
+ * Rebuild image data from a transferred buffer
+ * @param {Object} payload - { width, height, buffer }
+ * @returns {Object} - ImageData-compatible object
+ */
+function toImageData(payload) {
+    return {
+        data: new Uint8ClampedArray(payload.buffer),
+        width: payload.width,
+        height: payload.height
+    };
+}
+
+/**
+ * Convert a match from matching to reference coordinates (a very large reference is
+ * matched downsampled, while the main thread shows and records the full image)
+ * @param {Object|null} rect - Match or region in matching coordinates
+ * @returns {Object|null} - Converted copy, or null
+ */
+function toReference(rect) {
+    return rect ? imageProcessor.convertReferenceRect(rect, true) : null;
+}
+
+/**
+ * Request handlers, keyed by request type
+ */
+const handlers = {
+    setReference(payload) {
+        searchCancelled = true;
+        matchDetector.reset();
+        featureMatcher.reset();
+        detectionCount = 0;
+        
+        if (!imageProcessor.processReferenceImage(toImageData(payload))) {
+            return false;
+        }
+        
+        // Compute reference descriptors up front so the first frame isn't slow
+        if (CONFIG.ALGORITHM.MATCHING_MODE === 'feature') {
+            featureMatcher.prepareReference(imageProcessor.cachedRefGray);
+        }
+        return true;
+    },
+    
+    detect(payload) {
+        // Periodic memory cleanup
+        if (detectionCount % 300 === 0) {
+            imageProcessor.cleanupRotationCache();
+        }
+        detectionCount++;
+        
+        const bestMatch = matchDetector.detectPiece(toImageData(payload));
+        const state = matchDetector.getMatchState();
+        
+        return {
+            bestMatch: toReference(bestMatch),
+            candidates: matchDetector.getLastCandidates().map(toReference),
+            roi: toReference(matchDetector.getCurrentRoi()),
+            state: Object.assign(state, { lastMatch: toReference(state.lastMatch) }),
+            segmentation: matchDetector.getLastSegmentation(),
+            shape: matchDetector.getLastShape()
+        };
+    },
+    
+    // One rotation per step; yielding between steps lets progress out and cancelSearch in
+    async exhaustiveSearch(payload, id) {
+        searchCancelled = false;
+        
+        const job = matchDetector.startExhaustiveSearch(toImageData(payload));
+        if (!job) return null;
+        
+        for (let step = 0; step < job.total; step++) {
+            if (searchCancelled || !matchDetector.stepExhaustiveSearch()) {
+                matchDetector.cancelExhaustiveSearch();
+                return { cancelled: true, candidates: [] };
+            }
+            
+            self.postMessage({ id: id, type: 'progress', done: step + 1, total: job.total });
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        
+        return { cancelled: false, candidates: matchDetector.finishExhaustiveSearch().map(toReference) };
+    },
+    
+    cancelSearch() {
+        searchCancelled = true;
+        return true;
+    },
+    
+    confirmPlacement(payload) {
+        const shown = payload.region ? imageProcessor.convertReferenceRect(payload.region, false) : null;
+        return toReference(matchDetector.confirmPlacement(shown));
+    },
+    
+    setPlacedRegions(payload) {
+        matchDetector.setPlacedRegions((payload.regions || []).map(region =>
+            imageProcessor.convertReferenceRect(region, false)));
+        return true;
+    },
+    
+    detectBoundary(payload) {
+        return perspectiveCorrector.detectBoundary(toImageData(payload));
+    },
+    
+    rectify(payload) {
+        return perspectiveCorrector.rectify(toImageData(payload), payload.corners, payload.maxSize);
+    },
+    
+    stitchStart() {
+        referenceStitcher.start();
+        return true;
+    },
+    
+    // The preview of the mosaic so far goes back with every shot
+    addStitchFrame(payload) {
+        const result = referenceStitcher.addFrame(toImageData(payload));
+        const layout = referenceStitcher.getLayout();
+        
+        return Object.assign(result, {
+            count: referenceStitcher.getFrameCount(),
+            width: layout ? layout.width : 0,
+            height: layout ? layout.height : 0,
+            preview: referenceStitcher.compose(CONFIG.STITCHING.PREVIEW_SIZE)
+        });
+    },
+    
+    composeStitch(payload) {
+        return referenceStitcher.compose(payload.maxSize);
+    },
+    
+    stitchReset() {
+        referenceStitcher.reset();
+        return true;
+    },
+    
+    updateConfig(payload) {
+        const changed = applyConfigOverrides(payload.values);
+        
+        // Rebuild what depends on the changed settings; the reference stays loaded
+        imageProcessor.applySettings(changed);
+        matchDetector.applySettings(changed);
+        return changed;
+    },
+    
+    reset() {
+        searchCancelled = true;
+        featureMatcher.reset();
+        pieceSegmenter.reset();
+        imageProcessor.reset();
+        matchDetector.reset();
+        referenceStitcher.reset();
+        detectionCount = 0;
+        return true;
+    }
+};
+
+/**
+ * Dispatch a request and post the response back
+ * @param {MessageEvent} event - Message from the main thread
+ */
+async function handleRequest(event) {
+    const { id, type, payload } = event.data;
+    const handler = handlers[type];
+    
+    if (!handler) {
+        self.postMessage({ id: id, type: 'response', error: `Unknown request: ${type}` });
+        return;
+    }
+    
+    try {
+        const result = await handler(payload, id);
+        self.postMessage({ id: id, type: 'response', result: result });
+    } catch (error) {
+        console.error(`Worker ${type} error:`, error);
+        self.postMessage({ id: id, type: 'response', error: error.message || String(error) });
+    }
+}
+
+/**
+ * Wait for the OpenCV runtime, then load the detection components
+ */
+function waitForOpenCV() {
+    const checkInterval = 100;
+    const maxInterval = 1000;
+    let currentInterval = checkInterval;
+    
+    const checkOpenCV = () => {
+        if (typeof cv !== 'undefined' && cv.Mat) {
+            try {
+                importScripts(
+                    'config.js', 'imageProcessor.js', 'featureMatcher.js', 'fourierMellin.js',
+                    'pieceSegmenter.js', 'pieceShape.js', 'matchDetector.js', 'perspectiveCorrector.js',
+                    'referenceStitcher.js'
+                );
+                
+                if (!imageProcessor.initialize()) {
+                    self.postMessage({ type: 'initError', error: 'Image processor failed to initialize' });
+                    return;
+                }
+                matchDetector.initialize();
+                
+                self.addEventListener('message', handleRequest);
+                self.postMessage({ type: 'ready' });
+            } catch (error) {
+                self.postMessage({ type: 'initError', error: error.message || String(error) });
+            }
+        } else {
+            currentInterval = Math.min(currentInterval * 1.5, maxInterval);
+            setTimeout(checkOpenCV, currentInterval);
+        }
+    };
+    
+    checkOpenCV();
+}
+
+try {
+    importScripts('opencv.js');
+    waitForOpenCV();
+} catch (error) {
+    self.postMessage({ type: 'initError', error: 'Failed to load OpenCV: ' + (error.message || error) });
+}
\ No newline at end of file
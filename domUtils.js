@@ -9,6 +9,21 @@ class DOMUtils {
         
         // Use fixed piece scale
         this.pieceScale = CONFIG.UI.DEFAULT_PIECE_SCALE;
+        
+        // Reference view transform: screen = offset + scale * view position
+        this.view = { scale: 1, x: 0, y: 0 };
+        
+        // Active pointers and gesture state for pinch/pan
+        this.pointers = new Map();
+        this.gesture = null;
+        this.suppressTap = false;
+        
+        // Pending single tap (held back until a double tap is ruled out)
+        this.tapTimer = null;
+        this.lastTapTime = 0;
+        
+        // Match to zoom to on double tap (reference coordinates)
+        this.currentMatch = null;
     }
     
     /**
@@ -27,7 +42,16 @@ class DOMUtils {
         const elements = [
             'upperVideo', 'lowerVideo', 'referenceCanvas', 'detectionCanvas', 
             'upperOverlay', 'lowerOverlay', 'matchIndicator', 'workerStatus',
-            'matchOverlay', 'processingIndicator', 'lowerSection', 'upperSection'
+            'matchOverlay', 'processingIndicator', 'lowerSection', 'upperSection',
+            'importButton', 'referenceFileInput', 'cornerCanvas', 'cornerControls',
+            'applyCornersButton', 'skipCornersButton', 'gridCanvas', 'gridControls',
+            'gridInput', 'gridToggleButton', 'coverageCanvas', 'placeButton', 'candidateOutlines',
+            'referenceView', 'followButton', 'settingsButton', 'settingsPanel', 'settingsForm',
+            'profileSelect', 'saveProfileButton', 'deleteProfileButton', 'importProfileButton',
+            'exportProfileButton', 'closeSettingsButton', 'profileFileInput', 'cameraSettings',
+            'upperCameraSelect', 'upperResolutionSelect', 'lowerCameraSelect', 'lowerResolutionSelect',
+            'freezeButton', 'searchProgress', 'searchProgressBar', 'cancelSearchButton', 'rawMatchIndicator',
+            'stitchButton', 'stitchPanel', 'stitchPreview', 'stitchStatus', 'finishStitchButton', 'cancelStitchButton'
         ];
         
         elements.forEach(id => {
@@ -39,21 +63,525 @@ class DOMUtils {
      * Set up all event handlers
      */
     setupEventHandlers() {
-        // Reference image capture
-        this.elements.upperSection.addEventListener('click', () => {
-            // Dispatch capture event
-            const captureEvent = new CustomEvent('reference-capture');
-            document.dispatchEvent(captureEvent);
-        }, { passive: true });
+        // Reference image capture (single tap) and zoom to match (double tap)
+        this.elements.upperSection.addEventListener('click', this.handleUpperTap.bind(this), { passive: true });
         
         // Reset application
         this.elements.lowerSection.addEventListener('dblclick', () => {
             const resetEvent = new CustomEvent('app-reset');
             document.dispatchEvent(resetEvent);
         }, { passive: true });
+        
+        this.setupImportHandlers();
+        this.setupStitchHandlers();
+        this.setupGridHandlers();
+        this.setupZoomHandlers();
+        this.setupSettingsHandlers();
+        
+        // Confirm placement of the matched piece
+        this.elements.placeButton.addEventListener('click', () => {
+            document.dispatchEvent(new CustomEvent('placement-confirm'));
+        });
+        
+        // Freeze the frame for an exhaustive search (or go back to live detection)
+        this.elements.freezeButton.addEventListener('click', () => {
+            document.dispatchEvent(new CustomEvent('search-freeze'));
+        });
+        
+        this.elements.cancelSearchButton.addEventListener('click', () => {
+            document.dispatchEvent(new CustomEvent('search-cancel'));
+        });
+        
+        // Quick repeated taps must not reset the app
+        [this.elements.placeButton, this.elements.freezeButton, this.elements.searchProgress].forEach(element => {
+            element.addEventListener('dblclick', (event) => {
+                event.stopPropagation();
+            });
+        });
+    }
+    
+    /**
+     * Set up the file picker and drag-and-drop for importing a reference
+     */
+    setupImportHandlers() {
+        const dispatchImport = (file) => {
+            if (!file) return;
+            const importEvent = new CustomEvent('reference-import', { detail: { file: file } });
+            document.dispatchEvent(importEvent);
+        };
+        
+        // Import button opens the picker without triggering a capture
+        this.elements.importButton.addEventListener('click', (event) => {
+            event.stopPropagation();
+            this.elements.referenceFileInput.click();
+        });
+        
+        this.elements.referenceFileInput.addEventListener('click', (event) => {
+            event.stopPropagation();
+        });
+        
+        this.elements.referenceFileInput.addEventListener('change', (event) => {
+            dispatchImport(event.target.files[0]);
+            
+            // Allow picking the same file again
+            event.target.value = '';
+        });
+        
+        // Drag-and-drop onto the reference view
+        const section = this.elements.upperSection;
+        section.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+            section.classList.add('drag-over');
+        });
+        
+        section.addEventListener('dragleave', () => {
+            section.classList.remove('drag-over');
+        });
+        
+        section.addEventListener('drop', (event) => {
+            event.preventDefault();
+            section.classList.remove('drag-over');
+            dispatchImport(event.dataTransfer.files[0]);
+        });
+    }
+    
+    /**
+     * Set up the multi-shot capture buttons
+     */
+    setupStitchHandlers() {
+        // Taps on the buttons and the preview aren't shots
+        [this.elements.stitchButton, this.elements.stitchPanel].forEach(element => {
+            element.addEventListener('click', (event) => {
+                event.stopPropagation();
+            });
+        });
+        
+        this.elements.stitchButton.addEventListener('click', () => {
+            document.dispatchEvent(new CustomEvent('stitch-start'));
+        });
+        
+        this.elements.finishStitchButton.addEventListener('click', () => {
+            document.dispatchEvent(new CustomEvent('stitch-finish'));
+        });
+        
+        this.elements.cancelStitchButton.addEventListener('click', () => {
+            document.dispatchEvent(new CustomEvent('stitch-cancel'));
+        });
+    }
+    
+    /**
+     * Set up the grid spec input and overlay toggle
+     */
+    setupGridHandlers() {
+        // Typing into the controls must not trigger a reference capture
+        this.elements.gridControls.addEventListener('click', (event) => {
+            event.stopPropagation();
+        });
+        
+        this.elements.gridInput.addEventListener('change', (event) => {
+            const gridEvent = new CustomEvent('grid-change', { detail: { spec: event.target.value } });
+            document.dispatchEvent(gridEvent);
+        });
+        
+        this.elements.gridToggleButton.addEventListener('click', () => {
+            document.dispatchEvent(new CustomEvent('grid-toggle'));
+        });
+    }
+    
+    /**
+     * Set up pinch-zoom, pan and wheel zoom on the reference view
+     */
+    setupZoomHandlers() {
+        const section = this.elements.upperSection;
+        
+        section.addEventListener('pointerdown', this.handleZoomPointerDown.bind(this));
+        section.addEventListener('pointermove', this.handleZoomPointerMove.bind(this));
+        section.addEventListener('pointerup', this.handleZoomPointerUp.bind(this));
+        section.addEventListener('pointercancel', this.handleZoomPointerUp.bind(this));
+        
+        section.addEventListener('wheel', (event) => {
+            if (!this.canZoom()) return;
+            event.preventDefault();
+            
+            const point = this.getSectionPoint(event);
+            const factor = event.deltaY < 0 ? CONFIG.ZOOM.WHEEL_STEP : 1 / CONFIG.ZOOM.WHEEL_STEP;
+            this.zoomAt(this.view.scale * factor, point.x, point.y);
+        }, { passive: false });
+        
+        this.elements.followButton.addEventListener('click', (event) => {
+            event.stopPropagation();
+            document.dispatchEvent(new CustomEvent('follow-toggle'));
+        });
+    }
+    
+    /**
+     * Set up the settings panel controls
+     */
+    setupSettingsHandlers() {
+        const dispatch = (name, detail = {}) => {
+            document.dispatchEvent(new CustomEvent(name, { detail: detail }));
+        };
+        
+        this.elements.settingsButton.addEventListener('click', () => dispatch('settings-open'));
+        this.elements.closeSettingsButton.addEventListener('click', () => this.showSettingsPanel(false));
+        
+        // Each field is applied as soon as it is committed
+        this.elements.settingsForm.addEventListener('change', (event) => {
+            const input = event.target;
+            if (!input.dataset.path) return;
+            
+            const value = input.type === 'checkbox' ? input.checked : input.value;
+            dispatch('settings-change', { path: input.dataset.path, value: value });
+        });
+        
+        this.elements.settingsForm.addEventListener('submit', (event) => event.preventDefault());
+        
+        this.elements.profileSelect.addEventListener('change', (event) => {
+            dispatch('settings-profile', { name: event.target.value });
+        });
+        
+        this.elements.saveProfileButton.addEventListener('click', () => {
+            const name = window.prompt('Save current settings as profile:');
+            if (name !== null) {
+                dispatch('settings-save', { name: name });
+            }
+        });
+        
+        this.elements.deleteProfileButton.addEventListener('click', () => dispatch('settings-delete'));
+        this.elements.exportProfileButton.addEventListener('click', () => dispatch('settings-export'));
+        
+        this.elements.importProfileButton.addEventListener('click', () => {
+            this.elements.profileFileInput.click();
+        });
+        
+        this.elements.profileFileInput.addEventListener('change', async (event) => {
+            const file = event.target.files[0];
+            event.target.value = '';
+            if (!file) return;
+            
+            dispatch('settings-import', { text: await file.text() });
+        });
+        
+        // Camera and resolution changes reopen that section's stream
+        this.elements.cameraSettings.addEventListener('change', (event) => {
+            const section = event.target.dataset.section;
+            if (!section) return;
+            
+            dispatch('camera-change', {
+                section: section,
+                deviceId: this.elements[`${section}CameraSelect`].value,
+                resolution: this.elements[`${section}ResolutionSelect`].value
+            });
+        });
+    }
+    
+    /**
+     * Check whether the reference view can be zoomed right now
+     * @returns {boolean} - True once a reference is shown and corners aren't being edited
+     */
+    canZoom() {
+        const classes = this.elements.upperSection.classList;
+        return classes.contains('has-reference') && !classes.contains('adjusting-corners');
+    }
+    
+    /**
+     * Get a pointer position relative to the upper section
+     * @param {PointerEvent|MouseEvent} event - Pointer event
+     * @returns {Object} - { x, y } in section pixels
+     */
+    getSectionPoint(event) {
+        const bounds = this.elements.upperSection.getBoundingClientRect();
+        return { x: event.clientX - bounds.left, y: event.clientY - bounds.top };
+    }
+    
+    /**
+     * Track a new pointer and start a pan or pinch
+     * @param {PointerEvent} event - Pointer event
+     */
+    handleZoomPointerDown(event) {
+        // Buttons and inputs keep their own behaviour
+        if (!this.canZoom() || event.target.closest('button, input')) return;
+        
+        this.pointers.set(event.pointerId, this.getSectionPoint(event));
+        this.startGesture();
+    }
+    
+    /**
+     * Pan with one pointer, pinch-zoom with two
+     * @param {PointerEvent} event - Pointer event
+     */
+    handleZoomPointerMove(event) {
+        if (!this.pointers.has(event.pointerId) || !this.gesture) return;
+        
+        this.pointers.set(event.pointerId, this.getSectionPoint(event));
+        const points = Array.from(this.pointers.values());
+        const gesture = this.gesture;
+        
+        const center = this.getGestureCenter(points);
+        const moved = Math.hypot(center.x - gesture.center.x, center.y - gesture.center.y);
+        
+        // Small jitter still counts as a tap
+        if (points.length < 2 && moved < CONFIG.ZOOM.TAP_SLOP && !this.suppressTap) return;
+        this.suppressTap = true;
+        
+        let scale = gesture.view.scale;
+        if (points.length >= 2 && gesture.distance > 0) {
+            scale = gesture.view.scale * this.getGestureDistance(points) / gesture.distance;
+        }
+        scale = Math.max(1, Math.min(CONFIG.ZOOM.MAX_SCALE, scale));
+        
+        // Keep the reference point under the gesture centre fixed while zooming and moving
+        const viewX = (gesture.center.x - gesture.view.x) / gesture.view.scale;
+        const viewY = (gesture.center.y - gesture.view.y) / gesture.view.scale;
+        this.setView(scale, center.x - viewX * scale, center.y - viewY * scale);
+    }
+    
+    /**
+     * Stop tracking a pointer
+     * @param {PointerEvent} event - Pointer event
+     */
+    handleZoomPointerUp(event) {
+        if (!this.pointers.delete(event.pointerId)) return;
+        
+        // Continue with the remaining finger (pinch -> pan) or finish
+        if (this.pointers.size > 0) {
+            this.startGesture();
+        } else {
+            this.gesture = null;
+        }
+    }
+    
+    /**
+     * Snapshot the view and pointer positions at the start of a gesture
+     */
+    startGesture() {
+        const points = Array.from(this.pointers.values());
+        this.gesture = {
+            view: Object.assign({}, this.view),
+            center: this.getGestureCenter(points),
+            distance: points.length >= 2 ? this.getGestureDistance(points) : 0
+        };
+        
+        // A second finger always means a pinch, never a tap
+        if (points.length >= 2) {
+            this.suppressTap = true;
+        }
+    }
+    
+    /**
+     * Get the centre of the active pointers
+     * @param {Array} points - Pointer positions
+     * @returns {Object} - { x, y }
+     */
+    getGestureCenter(points) {
+        const sum = points.reduce((acc, point) => ({ x: acc.x + point.x, y: acc.y + point.y }), { x: 0, y: 0 });
+        return { x: sum.x / points.length, y: sum.y / points.length };
+    }
+    
+    /**
+     * Get the distance between the first two pointers
+     * @param {Array} points - Pointer positions
+     * @returns {number} - Distance in pixels
+     */
+    getGestureDistance(points) {
+        return Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+    }
+    
+    /**
+     * Handle a tap on the upper section: capture on single tap, zoom on double tap
+     * @param {MouseEvent} event - Click event
+     */
+    handleUpperTap(event) {
+        // The click that ends a pan or pinch isn't a tap
+        if (this.suppressTap) {
+            this.suppressTap = false;
+            return;
+        }
+        
+        // On a frozen frame a tap on a numbered location picks it instead of ending the session
+        const rank = this.getCandidateRankAt(event);
+        if (rank) {
+            document.dispatchEvent(new CustomEvent('candidate-select', { detail: { rank: rank } }));
+            return;
+        }
+        
+        const dispatchCapture = () => {
+            document.dispatchEvent(new CustomEvent('reference-capture'));
+        };
+        
+        // Nothing to zoom before a reference exists, so capture straight away
+        if (!this.canZoom()) {
+            dispatchCapture();
+            return;
+        }
+        
+        const now = performance.now();
+        if (this.tapTimer && now - this.lastTapTime < CONFIG.ZOOM.DOUBLE_TAP_MS) {
+            clearTimeout(this.tapTimer);
+            this.tapTimer = null;
+            this.handleDoubleTap(this.getSectionPoint(event));
+            return;
+        }
+        
+        // Hold the single tap back until a double tap is ruled out
+        this.lastTapTime = now;
+        this.tapTimer = setTimeout(() => {
+            this.tapTimer = null;
+            dispatchCapture();
+        }, CONFIG.ZOOM.DOUBLE_TAP_MS);
+    }
+    
+    /**
+     * Find the numbered location outline under a tap on a frozen frame
+     * @param {MouseEvent} event - Click event
+     * @returns {number|null} - Rank of the tapped location, or null
+     */
+    getCandidateRankAt(event) {
+        if (!this.elements.lowerSection.classList.contains('frozen')) return null;
+        
+        const outline = Array.from(this.elements.candidateOutlines.children).find(element => {
+            if (element.style.display === 'none') return false;
+            const rect = element.getBoundingClientRect();
+            return event.clientX >= rect.left && event.clientX <= rect.right &&
+                event.clientY >= rect.top && event.clientY <= rect.bottom;
+        });
+        
+        return outline ? Number(outline.dataset.rank) : null;
+    }
+    
+    /**
+     * Zoom to the current match, or back out if already zoomed in
+     * @param {Object} point - Tap position in section pixels
+     */
+    handleDoubleTap(point) {
+        if (this.view.scale > 1) {
+            this.resetZoom(true);
+        } else if (this.currentMatch) {
+            this.zoomToMatch(this.currentMatch.match, this.currentMatch.width, this.currentMatch.height);
+        } else {
+            this.zoomAt(CONFIG.ZOOM.FOLLOW_SCALE, point.x, point.y, true);
+        }
+    }
+    
+    /**
+     * Zoom so that a match fills part of the view, centred
+     * @param {Object} match - Match in reference coordinates
+     * @param {number} referenceWidth - Width of reference image
+     * @param {number} referenceHeight - Height of reference image
+     * @param {number} minScale - Optional lower bound for the zoom
+     */
+    zoomToMatch(match, referenceWidth, referenceHeight, minScale = 1) {
+        const content = this.getReferenceContentRect(referenceWidth, referenceHeight);
+        const section = this.elements.upperSection;
+        
+        const matchWidth = match.width * content.scale;
+        const matchHeight = match.height * content.scale;
+        const fill = CONFIG.ZOOM.MATCH_FILL;
+        const scale = Math.max(minScale, Math.min(
+            section.clientWidth * fill / matchWidth,
+            section.clientHeight * fill / matchHeight
+        ));
+        
+        this.centerOn(
+            content.x + (match.x + match.width / 2) * content.scale,
+            content.y + (match.y + match.height / 2) * content.scale,
+            scale
+        );
+    }
+    
+    /**
+     * Keep the view centred on a match (follow mode)
+     * @param {Object} match - Match in reference coordinates, or null
+     * @param {number} referenceWidth - Width of reference image
+     * @param {number} referenceHeight - Height of reference image
+     */
+    followMatch(match, referenceWidth, referenceHeight) {
+        // Don't fight the user mid-gesture
+        if (!match || this.gesture || !this.canZoom()) return;
+        
+        const content = this.getReferenceContentRect(referenceWidth, referenceHeight);
+        this.centerOn(
+            content.x + (match.x + match.width / 2) * content.scale,
+            content.y + (match.y + match.height / 2) * content.scale,
+            Math.max(this.view.scale, CONFIG.ZOOM.FOLLOW_SCALE)
+        );
+    }
+    
+    /**
+     * Centre the view on a point of the unzoomed reference view
+     * @param {number} viewX - X in reference view pixels
+     * @param {number} viewY - Y in reference view pixels
+     * @param {number} scale - Zoom level
+     */
+    centerOn(viewX, viewY, scale) {
+        const section = this.elements.upperSection;
+        const clamped = Math.max(1, Math.min(CONFIG.ZOOM.MAX_SCALE, scale));
+        
+        this.setView(
+            clamped,
+            section.clientWidth / 2 - viewX * clamped,
+            section.clientHeight / 2 - viewY * clamped,
+            true
+        );
+    }
+    
+    /**
+     * Zoom around a fixed point in the section
+     * @param {number} scale - New zoom level
+     * @param {number} x - Section X that stays in place
+     * @param {number} y - Section Y that stays in place
+     * @param {boolean} animate - Animate the change
+     */
+    zoomAt(scale, x, y, animate = false) {
+        const clamped = Math.max(1, Math.min(CONFIG.ZOOM.MAX_SCALE, scale));
+        const viewX = (x - this.view.x) / this.view.scale;
+        const viewY = (y - this.view.y) / this.view.scale;
+        
+        this.setView(clamped, x - viewX * clamped, y - viewY * clamped, animate);
+    }
+    
+    /**
+     * Reset the reference view to fit the section
+     * @param {boolean} animate - Animate the change
+     */
+    resetZoom(animate = false) {
+        this.setView(1, 0, 0, animate);
     }
     
-    // Removed pan, zoom, and piece size control handlers
+    /**
+     * Apply a zoom/pan, keeping the view covering the whole section
+     * @param {number} scale - Zoom level (1 = fit)
+     * @param {number} x - Horizontal offset in pixels
+     * @param {number} y - Vertical offset in pixels
+     * @param {boolean} animate - Animate the change
+     */
+    setView(scale, x, y, animate = false) {
+        const section = this.elements.upperSection;
+        const minX = section.clientWidth * (1 - scale);
+        const minY = section.clientHeight * (1 - scale);
+        
+        this.view = {
+            scale: scale,
+            x: Math.min(0, Math.max(minX, x)),
+            y: Math.min(0, Math.max(minY, y))
+        };
+        
+        // Overlays live inside the view, so they move and scale with the reference
+        const view = this.elements.referenceView;
+        view.classList.toggle('animated', animate);
+        view.style.transform = `translate(${this.view.x}px, ${this.view.y}px) scale(${this.view.scale})`;
+    }
+    
+    /**
+     * Update the follow button state
+     * @param {boolean} active - Whether follow mode is on
+     */
+    updateFollowState(active) {
+        this.elements.followButton.classList.toggle('active', active);
+    }
+    
+    // Removed piece size control handlers
     
     /**
      * Update worker status
@@ -92,8 +620,23 @@ class DOMUtils {
         if (show) {
             this.elements.processingIndicator.style.display = 'block';
             if (stats) {
-                this.elements.processingIndicator.textContent = 
-                    `Avg: ${stats.avgTime.toFixed(1)}ms | FPS: ${stats.fps.toFixed(1)}`;
+                let text = `Avg: ${stats.avgTime.toFixed(1)}ms | FPS: ${stats.fps.toFixed(1)}`;
+                
+                // Per-level pyramid timings (debug only)
+                if (stats.levelTimings && stats.levelTimings.length > 0) {
+                    text += ' | ' + stats.levelTimings
+                        .map(timing => `L${timing.level}: ${timing.time.toFixed(1)}ms`)
+                        .join(' ');
+                }
+                
+                // Lighting normalization of the piece frame (debug only)
+                if (stats.normalization && stats.normalization.length > 0) {
+                    text += ' | ' + stats.normalization
+                        .map(step => `${step.name}: ${step.time.toFixed(1)}ms`)
+                        .join(' ');
+                }
+                
+                this.elements.processingIndicator.textContent = text;
             }
         } else {
             this.elements.processingIndicator.style.display = 'none';
@@ -110,14 +653,13 @@ class DOMUtils {
         const indicator = this.elements.matchIndicator;
         
         if (match && match.confidence >= CONFIG.DETECTION_THRESHOLD) {
-            // Percentage-based positioning
-            indicator.style.left = (match.x / referenceWidth * 100) + '%';
-            indicator.style.top = (match.y / referenceHeight * 100) + '%';
-            indicator.style.width = (match.width / referenceWidth * 100) + '%';
-            indicator.style.height = (match.height / referenceHeight * 100) + '%';
+            // Remembered for double-tap zoom
+            this.currentMatch = { match: match, width: referenceWidth, height: referenceHeight };
             
-            // Set rotation
-            indicator.style.transform = `rotate(${match.rotation}deg)`;
+            // Position relative to where the reference is actually drawn (letterboxed);
+            // the zoom transform applies on top because the indicator sits inside the view
+            const content = this.getReferenceContentRect(referenceWidth, referenceHeight);
+            this.positionOutline(indicator, match, content);
             
             // Color-coded match outline based on confidence
             const color = this.getMatchColor(match.confidence);
@@ -133,9 +675,336 @@ class DOMUtils {
             indicator.style.display = 'block';
         } else if (!match) {
             indicator.style.display = 'none';
+            this.currentMatch = null;
         }
     }
     
+    /**
+     * Outline the unfiltered match of the last frame (debugging the tracker)
+     * @param {Object|null} match - Raw best match, or null to hide the outline
+     * @param {number} referenceWidth - Width of reference image
+     * @param {number} referenceHeight - Height of reference image
+     */
+    updateRawMatchIndicator(match, referenceWidth, referenceHeight) {
+        const indicator = this.elements.rawMatchIndicator;
+        
+        if (!match || match.confidence < CONFIG.DETECTION_THRESHOLD) {
+            indicator.style.display = 'none';
+            return;
+        }
+        
+        this.positionOutline(indicator, match, this.getReferenceContentRect(referenceWidth, referenceHeight));
+        indicator.style.display = 'block';
+    }
+    
+    /**
+     * Show numbered outlines for the alternative match locations
+     * @param {Array} candidates - Ranked candidates (best first); the best is shown by the match indicator
+     * @param {number} referenceWidth - Width of reference image
+     * @param {number} referenceHeight - Height of reference image
+     */
+    updateCandidateOutlines(candidates, referenceWidth, referenceHeight) {
+        const container = this.elements.candidateOutlines;
+        const alternatives = CONFIG.CANDIDATES.SHOW_OUTLINES && candidates ? candidates.slice(1) : [];
+        
+        // Reuse outline elements between frames
+        while (container.children.length < alternatives.length) {
+            const outline = document.createElement('div');
+            outline.className = 'candidate-outline';
+            const label = document.createElement('span');
+            label.className = 'candidate-rank';
+            outline.appendChild(label);
+            container.appendChild(outline);
+        }
+        
+        const content = this.getReferenceContentRect(referenceWidth, referenceHeight);
+        Array.from(container.children).forEach((outline, index) => {
+            const candidate = alternatives[index];
+            if (!candidate) {
+                outline.style.display = 'none';
+                return;
+            }
+            
+            this.positionOutline(outline, candidate, content);
+            outline.dataset.rank = candidate.rank;
+            outline.firstChild.textContent = `${candidate.rank} · ${(candidate.confidence * 100).toFixed(0)}%`;
+            outline.style.display = 'block';
+        });
+        
+        // Number the main outline only when there is something to rank it against
+        if (alternatives.length > 0) {
+            this.elements.matchIndicator.dataset.rank = String(candidates[0].rank || 1);
+        } else {
+            delete this.elements.matchIndicator.dataset.rank;
+        }
+    }
+    
+    /**
+     * Place an outline element over a match on the displayed reference
+     * @param {HTMLElement} element - Absolutely positioned outline
+     * @param {Object} match - Match { x, y, width, height, rotation } in reference coordinates
+     * @param {Object} content - Displayed reference rect from getReferenceContentRect
+     */
+    positionOutline(element, match, content) {
+        element.style.left = (content.x + match.x * content.scale) + 'px';
+        element.style.top = (content.y + match.y * content.scale) + 'px';
+        element.style.width = (match.width * content.scale) + 'px';
+        element.style.height = (match.height * content.scale) + 'px';
+        element.style.transform = `rotate(${match.rotation}deg)`;
+    }
+    
+    /**
+     * Get the area the reference image occupies inside the upper section
+     * (the reference canvas uses object-fit: contain)
+     * @param {number} referenceWidth - Width of reference image
+     * @param {number} referenceHeight - Height of reference image
+     * @returns {Object} - { x, y, width, height, scale } in section pixels
+     */
+    getReferenceContentRect(referenceWidth, referenceHeight) {
+        const canvas = this.elements.referenceCanvas;
+        const viewWidth = canvas.clientWidth;
+        const viewHeight = canvas.clientHeight;
+        
+        if (!referenceWidth || !referenceHeight) {
+            return { x: 0, y: 0, width: viewWidth, height: viewHeight, scale: 1 };
+        }
+        
+        const scale = Math.min(viewWidth / referenceWidth, viewHeight / referenceHeight);
+        const width = referenceWidth * scale;
+        const height = referenceHeight * scale;
+        
+        return {
+            x: canvas.offsetLeft + (viewWidth - width) / 2,
+            y: canvas.offsetTop + (viewHeight - height) / 2,
+            width: width,
+            height: height,
+            scale: scale
+        };
+    }
+    
+    /**
+     * Redraw the grid overlay over the reference
+     * @param {PuzzleGrid} grid - Puzzle grid
+     * @param {boolean} visible - Whether the overlay is shown
+     */
+    updateGridOverlay(grid, visible) {
+        const canvas = this.elements.gridCanvas;
+        
+        // Same pixel size as the reference so both letterbox identically
+        canvas.width = grid.width || 1;
+        canvas.height = grid.height || 1;
+        
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        
+        if (visible) {
+            grid.drawOverlay(ctx);
+        }
+        
+        this.elements.gridToggleButton.classList.toggle('active', visible);
+    }
+    
+    /**
+     * Redraw the coverage overlay of placed pieces over the reference
+     * @param {Array} regions - Placed regions in reference coordinates
+     * @param {number} referenceWidth - Width of reference image
+     * @param {number} referenceHeight - Height of reference image
+     */
+    updateCoverageOverlay(regions, referenceWidth, referenceHeight) {
+        const canvas = this.elements.coverageCanvas;
+        
+        // Same pixel size as the reference so both letterbox identically
+        canvas.width = referenceWidth || 1;
+        canvas.height = referenceHeight || 1;
+        
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        
+        ctx.fillStyle = CONFIG.PLACEMENT.COVERAGE_COLOR;
+        regions.forEach(region => {
+            ctx.fillRect(region.x, region.y, region.width, region.height);
+        });
+    }
+    
+    /**
+     * Build the settings form from the schema
+     * @param {Array} schema - Settings { path, group, label, type, min, max, step, options }
+     * @param {Object} values - Current values by path
+     */
+    renderSettingsForm(schema, values) {
+        const form = this.elements.settingsForm;
+        const groups = new Map();
+        form.textContent = '';
+        
+        schema.forEach(setting => {
+            let fieldset = groups.get(setting.group);
+            if (!fieldset) {
+                fieldset = document.createElement('fieldset');
+                const legend = document.createElement('legend');
+                legend.textContent = setting.group;
+                fieldset.appendChild(legend);
+                form.appendChild(fieldset);
+                groups.set(setting.group, fieldset);
+            }
+            
+            const label = document.createElement('label');
+            label.className = 'setting';
+            
+            const title = document.createElement('span');
+            title.textContent = setting.label;
+            
+            const input = this.createSettingInput(setting);
+            input.dataset.path = setting.path;
+            
+            label.appendChild(title);
+            label.appendChild(input);
+            fieldset.appendChild(label);
+        });
+        
+        this.updateSettingsValues(values);
+    }
+    
+    /**
+     * Create the input element for a setting
+     * @param {Object} setting - Schema entry
+     * @returns {HTMLElement} - Input or select
+     */
+    createSettingInput(setting) {
+        if (setting.type === 'select') {
+            const select = document.createElement('select');
+            setting.options.forEach(option => {
+                select.appendChild(new Option(option, option));
+            });
+            return select;
+        }
+        
+        const input = document.createElement('input');
+        
+        if (setting.type === 'boolean') {
+            input.type = 'checkbox';
+        } else if (setting.type === 'list') {
+            input.type = 'text';
+            input.title = `Comma-separated, each ${setting.min}–${setting.max}`;
+        } else {
+            input.type = 'number';
+            input.min = setting.min;
+            input.max = setting.max;
+            input.step = setting.type === 'integer' ? 1 : setting.step;
+        }
+        
+        return input;
+    }
+    
+    /**
+     * Show setting values in the form and clear validation errors
+     * @param {Object} values - Current values by path
+     */
+    updateSettingsValues(values) {
+        this.elements.settingsForm.querySelectorAll('[data-path]').forEach(input => {
+            const value = values[input.dataset.path];
+            
+            if (input.type === 'checkbox') {
+                input.checked = !!value;
+            } else {
+                input.value = Array.isArray(value) ? value.join(', ') : value;
+            }
+            this.markSettingInvalid(input.dataset.path, null);
+        });
+    }
+    
+    /**
+     * Flag a setting whose entered value was rejected
+     * @param {string} path - Setting path
+     * @param {string|null} error - Validation message, or null to clear
+     */
+    markSettingInvalid(path, error) {
+        const input = this.elements.settingsForm.querySelector(`[data-path="${path}"]`);
+        if (!input) return;
+        
+        input.classList.toggle('invalid', !!error);
+        input.setCustomValidity(error || '');
+        if (error) {
+            input.reportValidity();
+        }
+    }
+    
+    /**
+     * Fill the camera pickers
+     * @param {Array} devices - Cameras { deviceId, label }
+     * @param {Object} selections - Section -> { deviceId, resolution } ('' = default)
+     * @param {Array} resolutions - Resolutions offered, e.g. '1280x720'
+     */
+    updateCameraControls(devices, selections, resolutions) {
+        ['upper', 'lower'].forEach(section => {
+            const selection = selections[section];
+            const cameraSelect = this.elements[`${section}CameraSelect`];
+            const resolutionSelect = this.elements[`${section}ResolutionSelect`];
+            
+            cameraSelect.textContent = '';
+            cameraSelect.appendChild(new Option('Default (back camera)', ''));
+            devices.forEach(device => {
+                cameraSelect.appendChild(new Option(device.label, device.deviceId));
+            });
+            
+            // A remembered camera that is unplugged stays selected so it's used again when it returns
+            if (selection.deviceId && !devices.some(device => device.deviceId === selection.deviceId)) {
+                cameraSelect.appendChild(new Option('Unavailable camera', selection.deviceId));
+            }
+            cameraSelect.value = selection.deviceId;
+            
+            resolutionSelect.textContent = '';
+            resolutionSelect.appendChild(new Option('Default', ''));
+            resolutions.forEach(resolution => {
+                resolutionSelect.appendChild(new Option(resolution.replace('x', ' × '), resolution));
+            });
+            resolutionSelect.value = selection.resolution;
+        });
+    }
+    
+    /**
+     * Update the profile picker
+     * @param {Array} profiles - Profiles { name, builtIn }
+     * @param {string} active - Active profile name
+     * @param {boolean} modified - Whether the settings were edited since the profile was applied
+     */
+    updateProfileControls(profiles, active, modified) {
+        const select = this.elements.profileSelect;
+        select.textContent = '';
+        
+        profiles.forEach(profile => {
+            const label = profile.name + (profile.name === active && modified ? ' (modified)' : '');
+            select.appendChild(new Option(label, profile.name, false, profile.name === active));
+        });
+        
+        const activeProfile = profiles.find(profile => profile.name === active);
+        this.elements.deleteProfileButton.disabled = !activeProfile || activeProfile.builtIn;
+    }
+    
+    /**
+     * Show or hide the settings panel
+     * @param {boolean} visible - Whether to show the panel
+     */
+    showSettingsPanel(visible) {
+        this.elements.settingsPanel.hidden = !visible;
+    }
+    
+    /**
+     * Offer text as a file download
+     * @param {string} fileName - Suggested file name
+     * @param {string} text - File contents
+     * @param {string} type - MIME type
+     */
+    downloadFile(fileName, text, type = 'application/json') {
+        const url = URL.createObjectURL(new Blob([text], { type: type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        
+        // Give the download a moment to start before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
     /**
      * Get color based on match confidence
      * @param {number} confidence - Match confidence
@@ -151,6 +1020,108 @@ class DOMUtils {
         }
     }
     
+    /**
+     * Show the piece classification in the piece view
+     * @param {Object|null} shape - Classification { type: 'interior'|'edge'|'corner' }, or null if unknown
+     */
+    updatePieceShape(shape) {
+        const labels = {
+            interior: 'Interior piece',
+            edge: 'Edge piece - searching the border',
+            corner: 'Corner piece - searching the corners'
+        };
+        
+        if (!shape) {
+            this.elements.lowerOverlay.textContent = 'Hold puzzle piece inside outline';
+            return;
+        }
+        
+        // Tabs and blanks, plus the clockwise side code for telling similar pieces apart
+        const signature = shape.signature;
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        this.elements.lowerOverlay.textContent = signature
+            ? `${labels[shape.type]} · ${plural(signature.tabs, 'tab')}, ${plural(signature.blanks, 'blank')} (${signature.code})`
+            : labels[shape.type];
+    }
+    
+    /**
+     * Show the frozen-frame state of the piece view
+     * @param {boolean} frozen - Whether live detection is paused on a frozen frame
+     * @param {string} message - Overlay text while frozen
+     */
+    updateFreezeState(frozen, message = '') {
+        this.elements.lowerSection.classList.toggle('frozen', frozen);
+        this.elements.freezeButton.textContent = frozen ? 'Resume' : 'Freeze';
+        this.elements.lowerOverlay.textContent = frozen ? message : 'Hold puzzle piece inside outline';
+    }
+    
+    /**
+     * Show or hide the exhaustive search progress bar
+     * @param {boolean} visible - Whether a search is running
+     * @param {number} fraction - Completed fraction (0-1)
+     */
+    showSearchProgress(visible, fraction = 0) {
+        this.elements.lowerSection.classList.toggle('searching', visible);
+        this.elements.searchProgress.hidden = !visible;
+        this.elements.searchProgressBar.value = fraction;
+        this.elements.freezeButton.disabled = visible;
+    }
+    
+    /**
+     * Show or hide the multi-shot capture controls
+     * @param {boolean} active - Whether a multi-shot capture is in progress
+     */
+    updateStitchState(active) {
+        this.elements.upperSection.classList.toggle('stitching', active);
+        this.elements.stitchPanel.hidden = !active;
+        this.elements.upperOverlay.textContent = active
+            ? 'Tap to add a shot - overlap each one with the last'
+            : 'Tap to capture complete puzzle reference';
+        
+        if (active) {
+            this.updateStitchPreview(null, 'No shots yet');
+        }
+    }
+    
+    /**
+     * Draw the mosaic so far with the outline of every shot, so gaps in the coverage show
+     * @param {Object|null} preview - { image: ImageData, outlines: [[tl, tr, br, bl]] } or null
+     * @param {string} message - Progress text under the preview
+     */
+    updateStitchPreview(preview, message) {
+        const canvas = this.elements.stitchPreview;
+        this.elements.stitchStatus.textContent = message;
+        this.elements.finishStitchButton.disabled = !preview;
+        
+        if (!preview) {
+            canvas.width = 1;
+            canvas.height = 1;
+            return;
+        }
+        
+        canvas.width = preview.image.width;
+        canvas.height = preview.image.height;
+        
+        const ctx = canvas.getContext('2d');
+        ctx.putImageData(preview.image, 0, 0);
+        
+        // Newest shot highlighted
+        preview.outlines.forEach((outline, index) => {
+            ctx.strokeStyle = index === preview.outlines.length - 1 ? 'lime' : 'rgba(0, 200, 255, 0.8)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            outline.forEach((point, i) => {
+                if (i === 0) {
+                    ctx.moveTo(point.x, point.y);
+                } else {
+                    ctx.lineTo(point.x, point.y);
+                }
+            });
+            ctx.closePath();
+            ctx.stroke();
+        });
+    }
+    
     /**
      * Update UI elements for reference capture state
      * @param {boolean} captured - Whether reference is captured
@@ -159,10 +1130,17 @@ class DOMUtils {
         if (captured) {
             this.elements.upperOverlay.textContent = 'Reference captured - Tap to recapture';
             this.elements.lowerSection.style.display = 'block';
+            this.elements.upperSection.classList.add('has-reference');
+            
+            // A new reference starts fully zoomed out
+            this.resetZoom();
         } else {
             this.elements.upperOverlay.textContent = 'Tap to capture complete puzzle reference';
             this.elements.lowerSection.style.display = 'none';
             this.elements.matchIndicator.style.display = 'none';
+            this.elements.upperSection.classList.remove('has-reference');
+            this.currentMatch = null;
+            this.resetZoom();
         }
     }
     
@@ -176,6 +1154,37 @@ class DOMUtils {
         }
     }
     
+    /**
+     * Draw the segmented piece outline over the detection canvas
+     * @param {CanvasRenderingContext2D} ctx - Detection canvas context
+     * @param {Object} segmentation - Segmentation { contour } in template coordinates
+     * @param {Object} templateRegion - Template position in the video frame
+     */
+    drawPieceOutline(ctx, segmentation, templateRegion) {
+        if (!ctx || !segmentation || !templateRegion || segmentation.contour.length < 3) return;
+        
+        ctx.save();
+        ctx.translate(templateRegion.x, templateRegion.y);
+        
+        ctx.beginPath();
+        segmentation.contour.forEach((point, index) => {
+            if (index === 0) {
+                ctx.moveTo(point.x, point.y);
+            } else {
+                ctx.lineTo(point.x, point.y);
+            }
+        });
+        ctx.closePath();
+        
+        ctx.fillStyle = 'rgba(0, 255, 255, 0.15)';
+        ctx.fill();
+        ctx.strokeStyle = 'rgba(0, 255, 255, 0.9)';
+        ctx.lineWidth = 3;
+        ctx.stroke();
+        
+        ctx.restore();
+    }
+    
     /**
      * Draw ROI on canvas for debugging
      * @param {Object} roi - Region of interest
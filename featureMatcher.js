@@ -0,0 +1,230 @@
+/**
+ * Feature Matcher for Puzzle Detector Pro
+ * Keypoint-based matching (ORB/AKAZE descriptors + RANSAC homography)
+ * as an alternative to the brute-force template matching sweep
+ */
+class FeatureMatcher {
+    constructor() {
+        // Detectors are created lazily so config changes are picked up
+        this.detectorType = null;
+        this.refDetector = null;
+        this.templateDetector = null;
+        this.matcher = null;
+        
+        // Cached reference features
+        this.refSource = null;
+        this.refKeypoints = null;
+        this.refDescriptors = null;
+    }
+    
+    /**
+     * Create keypoint detectors and matcher for the configured detector type
+     */
+    ensureDetectors() {
+        const type = CONFIG.ALGORITHM.FEATURES.DETECTOR;
+        if (this.detectorType === type && this.refDetector) return;
+        
+        this.deleteDetectors();
+        
+        if (type === 'AKAZE') {
+            this.refDetector = new cv.AKAZE();
+            this.templateDetector = new cv.AKAZE();
+        } else {
+            this.refDetector = new cv.ORB(CONFIG.ALGORITHM.FEATURES.MAX_FEATURES);
+            this.templateDetector = new cv.ORB(CONFIG.ALGORITHM.FEATURES.TEMPLATE_MAX_FEATURES);
+        }
+        
+        // Both ORB and AKAZE (MLDB) produce binary descriptors
+        this.matcher = new cv.BFMatcher(cv.NORM_HAMMING, false);
+        this.detectorType = type;
+        
+        // Cached reference descriptors belong to the old detector
+        this.cleanupReference();
+    }
+    
+    /**
+     * Detect and cache keypoints and descriptors for the reference image
+     * @param {cv.Mat} refGray - Grayscale reference image
+     * @returns {boolean} - Whether enough reference features were found
+     */
+    prepareReference(refGray) {
+        if (!refGray) return false;
+        
+        this.ensureDetectors();
+        this.cleanupReference();
+        
+        this.refKeypoints = new cv.KeyPointVector();
+        this.refDescriptors = new cv.Mat();
+        
+        const noMask = new cv.Mat();
+        this.refDetector.detectAndCompute(refGray, noMask, this.refKeypoints, this.refDescriptors);
+        noMask.delete();
+        
+        this.refSource = refGray;
+        return this.refDescriptors.rows >= CONFIG.ALGORITHM.FEATURES.MIN_INLIERS;
+    }
+    
+    /**
+     * Match a piece against the cached reference features
+     * @param {cv.Mat} templateGray - Grayscale template image
+     * @param {cv.Mat} pieceMask - Optional piece mask; keypoints outside it are ignored
+     * @returns {Object|null} - Match in the same shape as template matching results
+     */
+    match(templateGray, pieceMask = null) {
+        const settings = CONFIG.ALGORITHM.FEATURES;
+        
+        // Descriptors are computed once per reference (or after a detector change)
+        this.ensureDetectors();
+        if (this.refSource !== imageProcessor.cachedRefGray) {
+            this.prepareReference(imageProcessor.cachedRefGray);
+        }
+        if (!this.refDescriptors || this.refDescriptors.rows < settings.MIN_INLIERS) {
+            return null;
+        }
+        
+        const keypoints = new cv.KeyPointVector();
+        const descriptors = new cv.Mat();
+        const noMask = new cv.Mat();
+        const knnMatches = new cv.DMatchVectorVector();
+        
+        try {
+            this.templateDetector.detectAndCompute(templateGray, pieceMask || noMask, keypoints, descriptors);
+            if (descriptors.rows < settings.MIN_INLIERS) return null;
+            
+            this.matcher.knnMatch(descriptors, this.refDescriptors, knnMatches, 2);
+            
+            // Lowe's ratio test to keep only distinctive correspondences
+            const srcPoints = [];
+            const dstPoints = [];
+            for (let i = 0; i < knnMatches.size(); i++) {
+                const pair = knnMatches.get(i);
+                if (pair.size() < 2) continue;
+                
+                const first = pair.get(0);
+                const second = pair.get(1);
+                if (first.distance < settings.RATIO_TEST * second.distance) {
+                    const src = keypoints.get(first.queryIdx).pt;
+                    const dst = this.refKeypoints.get(first.trainIdx).pt;
+                    srcPoints.push(src.x, src.y);
+                    dstPoints.push(dst.x, dst.y);
+                }
+            }
+            
+            const goodCount = srcPoints.length / 2;
+            if (goodCount < settings.MIN_INLIERS) return null;
+            
+            return this.estimateMatch(srcPoints, dstPoints, templateGray.cols, templateGray.rows);
+        } finally {
+            imageProcessor.cleanupMats([keypoints, descriptors, noMask, knnMatches]);
+        }
+    }
+    
+    /**
+     * Estimate position, rotation and scale from point correspondences
+     * @param {Array} srcPoints - Flat [x, y, ...] template points
+     * @param {Array} dstPoints - Flat [x, y, ...] reference points
+     * @param {number} templateWidth - Template width in pixels
+     * @param {number} templateHeight - Template height in pixels
+     * @returns {Object|null} - Match information or null if the homography is implausible
+     */
+    estimateMatch(srcPoints, dstPoints, templateWidth, templateHeight) {
+        const settings = CONFIG.ALGORITHM.FEATURES;
+        const goodCount = srcPoints.length / 2;
+        
+        const srcMat = cv.matFromArray(goodCount, 1, cv.CV_32FC2, srcPoints);
+        const dstMat = cv.matFromArray(goodCount, 1, cv.CV_32FC2, dstPoints);
+        const inlierMask = new cv.Mat();
+        
+        let homography = null;
+        try {
+            homography = cv.findHomography(srcMat, dstMat, cv.RANSAC, settings.RANSAC_THRESHOLD, inlierMask);
+            if (!homography || homography.empty()) return null;
+            
+            const inliers = cv.countNonZero(inlierMask);
+            if (inliers < settings.MIN_INLIERS) return null;
+            
+            const h = homography.data64F;
+            
+            // Similarity part of the homography: s * [[cos, -sin], [sin, cos]],
+            // a clockwise turn on screen like rotateImage
+            const scale = Math.sqrt(Math.abs(h[0] * h[4] - h[1] * h[3]));
+            let rotation = Math.atan2(-h[1], h[0]) / CONFIG.PI_180;
+            rotation = (rotation + 360) % 360;
+            
+            // Reject degenerate fits (mirroring, strong shear or perspective); the perspective
+            // terms are measured as how much the projective divisor changes across the template
+            const skew = (Math.abs(h[0] - h[4]) + Math.abs(h[1] + h[3])) / Math.max(scale, 1e-6);
+            const perspective = (Math.abs(h[6]) * templateWidth + Math.abs(h[7]) * templateHeight) /
+                Math.max(Math.abs(h[8]), 1e-6);
+            if (h[0] * h[4] - h[1] * h[3] <= 0 ||
+                skew > settings.MAX_SKEW ||
+                perspective > settings.MAX_PERSPECTIVE ||
+                scale < settings.MIN_SCALE ||
+                scale > settings.MAX_SCALE) {
+                return null;
+            }
+            
+            // Project the template centre into the reference
+            const cx = templateWidth / 2;
+            const cy = templateHeight / 2;
+            const w = h[6] * cx + h[7] * cy + h[8];
+            const centerX = (h[0] * cx + h[1] * cy + h[2]) / w;
+            const centerY = (h[3] * cx + h[4] * cy + h[5]) / w;
+            
+            // Confidence combines inlier ratio with how many inliers support the fit
+            const confidence = (inliers / goodCount) *
+                Math.min(1, inliers / settings.CONFIDENT_INLIERS);
+            
+            // Bounding box of the turned template, as template matching reports it
+            const angle = rotation * CONFIG.PI_180;
+            const absCos = Math.abs(Math.cos(angle));
+            const absSin = Math.abs(Math.sin(angle));
+            const width = (templateWidth * absCos + templateHeight * absSin) * scale;
+            const height = (templateWidth * absSin + templateHeight * absCos) * scale;
+            
+            return {
+                confidence: confidence,
+                scale: scale,
+                rotation: rotation,
+                x: centerX - width / 2,
+                y: centerY - height / 2,
+                width: width,
+                height: height,
+                inliers: inliers
+            };
+        } finally {
+            imageProcessor.cleanupMats([srcMat, dstMat, inlierMask, homography]);
+        }
+    }
+    
+    /**
+     * Release cached reference features
+     */
+    cleanupReference() {
+        imageProcessor.cleanupMats([this.refKeypoints, this.refDescriptors]);
+        this.refKeypoints = null;
+        this.refDescriptors = null;
+        this.refSource = null;
+    }
+    
+    /**
+     * Release detector and matcher objects
+     */
+    deleteDetectors() {
+        imageProcessor.cleanupMats([this.refDetector, this.templateDetector, this.matcher]);
+        this.refDetector = null;
+        this.templateDetector = null;
+        this.matcher = null;
+        this.detectorType = null;
+    }
+    
+    /**
+     * Reset matcher state
+     */
+    reset() {
+        this.cleanupReference();
+    }
+}
+
+// Create global instance
+const featureMatcher = new FeatureMatcher();
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * File Importer for Puzzle Detector Pro
+ * Decodes reference images picked from disk or dropped onto the page
+ */
+class FileImporter {
+    /**
+     * Check whether a file is an image type we can import
+     * @param {File} file - File to check
+     * @returns {boolean} - True if the file type is supported
+     */
+    isSupported(file) {
+        return !!file && CONFIG.IMPORT.ACCEPTED_TYPES.includes(file.type);
+    }
+    
+    /**
+     * Decode an image file into ImageData, applying its EXIF orientation
+     * @param {Blob} file - JPEG, PNG or WebP file
+     * @returns {Promise<ImageData>} - Decoded, upright image data
+     */
+    async decode(file) {
+        const source = await this.loadImageSource(file);
+        
+        try {
+            const width = source.width || source.naturalWidth;
+            const height = source.height || source.naturalHeight;
+            if (!width || !height) {
+                throw new Error('Image has no dimensions');
+            }
+            
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            
+            const ctx = canvas.getContext('2d', { alpha: false });
+            ctx.drawImage(source, 0, 0, width, height);
+            
+            return ctx.getImageData(0, 0, width, height);
+        } finally {
+            // Release decoded bitmap memory right away
+            if (typeof source.close === 'function') {
+                source.close();
+            }
+        }
+    }
+    
+    /**
+     * Load a drawable image source for a file
+     * @param {Blob} file - Image file
+     * @returns {Promise<ImageBitmap|HTMLImageElement>} - Decoded image
+     */
+    async loadImageSource(file) {
+        // createImageBitmap can rotate according to EXIF orientation explicitly
+        if (typeof createImageBitmap === 'function') {
+            try {
+                return await createImageBitmap(file, { imageOrientation: 'from-image' });
+            } catch (error) {
+                console.warn('createImageBitmap failed, falling back to <img>:', error);
+            }
+        }
+        
+        // Browsers apply EXIF orientation to <img> by default (image-orientation: from-image)
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not decode image'));
+            };
+            
+            image.src = url;
+        });
+    }
+}
+
+// Create global instance
+const fileImporter = new FileImporter();
\ No newline at end of file
@@ -0,0 +1,242 @@
+/**
+ * Fourier-Mellin Estimator for Puzzle Detector Pro
+ * Measures the rotation and scale between the piece and a reference patch:
+ * the magnitude spectrum ignores where the content sits, and in log-polar
+ * coordinates a rotation or scale change becomes a plain shift, which
+ * phase correlation finds to a fraction of a bin. Both sides are cut to
+ * the same disc around the piece centre, which holds the same content
+ * whichever way the piece is turned
+ */
+class FourierMellin {
+    constructor() {
+        // Round Hanning windows by size, built on first use
+        this.windows = {};
+    }
+    
+    /**
+     * Get the side of the square around the template centre that the estimate looks at
+     * @param {cv.Mat} template - Template
+     * @param {cv.Mat|null} mask - Piece mask for the template, or null
+     * @returns {number} - Side in template pixels (the reference patch is this times the scale)
+     */
+    getPatchSide(template, mask) {
+        // The disc stays inside the piece body: tabs and blanks come and go as it turns
+        const size = mask ? Math.sqrt(cv.countNonZero(mask)) : Math.min(template.cols, template.rows);
+        return Math.max(8, Math.min(template.cols, template.rows, Math.round(size * CONFIG.FOURIER_MELLIN.DISC_FRACTION)));
+    }
+    
+    /**
+     * Estimate how the template must be turned and scaled to look like the patch
+     * @param {cv.Mat} template - 8-bit grayscale template
+     * @param {cv.Mat} mask - Piece mask for the template, or null
+     * @param {cv.Mat} patch - 8-bit grayscale reference patch centred on the candidate, getPatchSide
+     *                         times the candidate's scale on each side
+     * @returns {Object|null} - { rotation, scale, response }; rotation is only known up to 180° (the
+     *                          spectrum is symmetric), so the caller tries both. null if it failed
+     */
+    estimate(template, mask, patch) {
+        const size = CONFIG.FOURIER_MELLIN.SIZE;
+        let templatePolar = null;
+        let patchPolar = null;
+        
+        try {
+            const side = this.getPatchSide(template, mask);
+            const crop = new cv.Rect(
+                Math.floor((template.cols - side) / 2),
+                Math.floor((template.rows - side) / 2),
+                side,
+                side
+            );
+            
+            const templateSquare = template.roi(crop);
+            const maskSquare = mask ? mask.roi(crop) : null;
+            try {
+                templatePolar = this.getLogPolarSpectrum(templateSquare, maskSquare, size);
+            } finally {
+                imageProcessor.cleanupMats([templateSquare, maskSquare]);
+            }
+            patchPolar = this.getLogPolarSpectrum(patch, null, size);
+            
+            const shift = this.phaseCorrelate(templatePolar, patchPolar);
+            
+            // The spectrum repeats every 180°, so only half the angle rows are distinct
+            const half = size / 2;
+            const angleShift = ((shift.y % half) + half * 1.5) % half - half / 2;
+            
+            // warpPolar's log mapping puts radius r at column size * ln(r) / ln(maxRadius);
+            // a larger piece has a smaller spectrum, hence the minus
+            const logScale = -shift.x * Math.log(half) / size;
+            
+            // Each pixel of the template square covers side / size; each of the patch, patch.cols / size
+            return {
+                rotation: angleShift * 360 / size,
+                scale: Math.exp(logScale) * patch.cols / side,
+                response: shift.response
+            };
+        } catch (error) {
+            console.error('Fourier-Mellin estimate failed:', error);
+            return null;
+        } finally {
+            imageProcessor.cleanupMats([templatePolar, patchPolar]);
+        }
+    }
+    
+    /**
+     * Get the log-polar map of an image's high-passed log magnitude spectrum
+     * @param {cv.Mat} mat - 8-bit grayscale square image
+     * @param {cv.Mat|null} mask - Pixels to keep (others are set to the mean), or null for all
+     * @param {number} size - Working size (power of two)
+     * @returns {cv.Mat} - CV_32F map, angle down the rows and log radius across the columns
+     */
+    getLogPolarSpectrum(mat, mask, size) {
+        const resized = new cv.Mat();
+        const resizedMask = new cv.Mat();
+        const signal = new cv.Mat(size, size, cv.CV_32F);
+        const spectrum = new cv.Mat();
+        const magnitude = new cv.Mat(size, size, cv.CV_32F);
+        const polar = new cv.Mat();
+        
+        try {
+            cv.resize(mat, resized, new cv.Size(size, size), 0, 0, cv.INTER_AREA);
+            if (mask) {
+                cv.resize(mask, resizedMask, new cv.Size(size, size), 0, 0, cv.INTER_NEAREST);
+            }
+            
+            // Background at the piece's mean and a round window, so neither the outline nor the
+            // edges of the square show up as spectrum lines
+            const pixels = resized.data;
+            const keep = mask ? resizedMask.data : null;
+            let sum = 0;
+            let count = 0;
+            for (let i = 0; i < pixels.length; i++) {
+                if (!keep || keep[i]) {
+                    sum += pixels[i];
+                    count++;
+                }
+            }
+            const mean = count > 0 ? sum / count : 0;
+            
+            const window = this.getWindow(size);
+            const values = signal.data32F;
+            for (let i = 0; i < values.length; i++) {
+                values[i] = (!keep || keep[i] ? pixels[i] - mean : 0) * window[i];
+            }
+            
+            cv.dft(signal, spectrum, cv.DFT_COMPLEX_OUTPUT);
+            
+            // Centred log magnitude; the high-pass keeps the strong low frequencies from swamping the shift
+            const complex = spectrum.data32F;
+            const output = magnitude.data32F;
+            const half = size / 2;
+            for (let y = 0; y < size; y++) {
+                const fy = (y < half ? y : y - size) / size;
+                for (let x = 0; x < size; x++) {
+                    const fx = (x < half ? x : x - size) / size;
+                    const index = 2 * (y * size + x);
+                    const c = Math.cos(Math.PI * fx) * Math.cos(Math.PI * fy);
+                    const highPass = (1 - c) * (2 - c);
+                    
+                    output[((y + half) % size) * size + (x + half) % size] =
+                        Math.log(1 + Math.hypot(complex[index], complex[index + 1])) * highPass;
+                }
+            }
+            
+            cv.warpPolar(magnitude, polar, new cv.Size(size, size), new cv.Point(half, half), half,
+                cv.INTER_LINEAR + cv.WARP_FILL_OUTLIERS + cv.WARP_POLAR_LOG);
+            return polar;
+        } catch (error) {
+            polar.delete();
+            throw error;
+        } finally {
+            imageProcessor.cleanupMats([resized, resizedMask, signal, spectrum, magnitude]);
+        }
+    }
+    
+    /**
+     * Find the shift between two images by phase correlation
+     * @param {cv.Mat} a - CV_32F image
+     * @param {cv.Mat} b - CV_32F image of the same size
+     * @returns {Object} - { x, y, response }: b is a moved by (x, y) (sub-pixel, wrapped to
+     *                     ±half the size); response is the correlation peak (1 = identical)
+     */
+    phaseCorrelate(a, b) {
+        const spectrumA = new cv.Mat();
+        const spectrumB = new cv.Mat();
+        const correlation = new cv.Mat();
+        const cross = new cv.Mat(a.rows, a.cols, cv.CV_32FC2);
+        
+        try {
+            cv.dft(a, spectrumA, cv.DFT_COMPLEX_OUTPUT);
+            cv.dft(b, spectrumB, cv.DFT_COMPLEX_OUTPUT);
+            
+            // Normalized cross-power spectrum B * conj(A) / |B * conj(A)|
+            const first = spectrumA.data32F;
+            const second = spectrumB.data32F;
+            const output = cross.data32F;
+            for (let i = 0; i < output.length; i += 2) {
+                const real = second[i] * first[i] + second[i + 1] * first[i + 1];
+                const imaginary = second[i + 1] * first[i] - second[i] * first[i + 1];
+                const length = Math.hypot(real, imaginary) || 1;
+                output[i] = real / length;
+                output[i + 1] = imaginary / length;
+            }
+            
+            cv.dft(cross, correlation, cv.DFT_INVERSE + cv.DFT_SCALE + cv.DFT_REAL_OUTPUT);
+            
+            const width = a.cols;
+            const height = a.rows;
+            const values = correlation.data32F;
+            let peak = 0;
+            for (let i = 1; i < values.length; i++) {
+                if (values[i] > values[peak]) peak = i;
+            }
+            const peakX = peak % width;
+            const peakY = Math.floor(peak / width);
+            
+            // Sub-pixel position: weighted centre of the 3x3 neighbourhood (wrapping around)
+            let sum = 0;
+            let sumX = 0;
+            let sumY = 0;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const value = Math.max(0, values[((peakY + dy + height) % height) * width + (peakX + dx + width) % width]);
+                    sum += value;
+                    sumX += value * dx;
+                    sumY += value * dy;
+                }
+            }
+            
+            const wrap = (value, length) => value >= length / 2 ? value - length : value;
+            return {
+                x: wrap(peakX, width) + (sum > 0 ? sumX / sum : 0),
+                y: wrap(peakY, height) + (sum > 0 ? sumY / sum : 0),
+                response: values[peak]
+            };
+        } finally {
+            imageProcessor.cleanupMats([spectrumA, spectrumB, correlation, cross]);
+        }
+    }
+    
+    /**
+     * Get a round Hanning window
+     * @param {number} size - Window side
+     * @returns {Float32Array} - Row-major weights (1 in the centre, 0 from the inscribed circle out)
+     */
+    getWindow(size) {
+        if (!this.windows[size]) {
+            const window = new Float32Array(size * size);
+            const radius = size / 2;
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    const distance = Math.hypot(x + 0.5 - radius, y + 0.5 - radius) / radius;
+                    window[y * size + x] = distance < 1 ? 0.5 + 0.5 * Math.cos(Math.PI * distance) : 0;
+                }
+            }
+            this.windows[size] = window;
+        }
+        return this.windows[size];
+    }
+}
+
+// Create global instance
+const fourierMellin = new FourierMellin();
\ No newline at end of file
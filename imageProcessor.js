@@ -9,6 +9,18 @@ class ImageProcessor {
         this.cachedRefGray = null;
         this.cachedBlurredRef = null;
         
+        // Lab copy of the reference for colour scoring (only when colour matching is enabled)
+        this.cachedRefLab = null;
+        
+        // Reference pyramid: level 0 is cachedBlurredRef, each level halves the size
+        this.referencePyramid = [];
+        
+        // Matching pixels per pixel of the reference image as passed in (below 1 when downsampled)
+        this.referenceScale = 1;
+        
+        // Lighting normalization steps of the last reference and template (for debug output)
+        this.normalizationReport = { reference: [], template: [] };
+        
         // Rotation cache for frequently used angles
         this.rotationCache = {};
         
@@ -44,19 +56,22 @@ class ImageProcessor {
             // Clean up previous Mats
             this.cleanupRefMats();
             
-            // Create new reference Mats
-            this.cachedRefMat = cv.matFromImageData(referenceImage);
-            this.cachedRefGray = new cv.Mat();
-            this.cachedBlurredRef = new cv.Mat();
+            // The original stays around so settings changes can re-derive the rest; a very large
+            // reference (a full-resolution photo or a mosaic) is matched downsampled
+            const original = cv.matFromImageData(referenceImage);
+            const limit = CONFIG.PYRAMID.BASE_SIZE;
+            if (Math.max(original.cols, original.rows) > limit) {
+                const factor = limit / Math.max(original.cols, original.rows);
+                this.cachedRefMat = new cv.Mat();
+                cv.resize(original, this.cachedRefMat,
+                    new cv.Size(Math.round(original.cols * factor), Math.round(original.rows * factor)), 0, 0, cv.INTER_AREA);
+                original.delete();
+            } else {
+                this.cachedRefMat = original;
+            }
+            this.referenceScale = this.cachedRefMat.cols / referenceImage.width;
             
-            // Convert to grayscale and blur for faster template matching
-            cv.cvtColor(this.cachedRefMat, this.cachedRefGray, cv.COLOR_RGBA2GRAY);
-            cv.GaussianBlur(
-                this.cachedRefGray, 
-                this.cachedBlurredRef, 
-                CONFIG.ALGORITHM.BLUR_SIZE, 
-                CONFIG.ALGORITHM.BLUR_SIGMA
-            );
+            this.prepareReference();
             
             return true;
         } catch (error) {
@@ -66,10 +81,131 @@ class ImageProcessor {
         }
     }
     
+    /**
+     * Convert a match or region between matching and reference image coordinates
+     * @param {Object} rect - { x, y, width, height } and optionally scale; other fields are copied as they are
+     * @param {boolean} toReference - true: matching to reference coordinates, false: the other way
+     * @returns {Object} - Converted copy
+     */
+    convertReferenceRect(rect, toReference = true) {
+        const factor = toReference ? 1 / this.referenceScale : this.referenceScale;
+        const converted = Object.assign({}, rect, {
+            x: rect.x * factor,
+            y: rect.y * factor,
+            width: rect.width * factor,
+            height: rect.height * factor
+        });
+        
+        // Template scale is relative to the matched reference
+        if (rect.scale !== undefined) {
+            converted.scale = rect.scale * factor;
+        }
+        return converted;
+    }
+    
+    /**
+     * Derive the normalized grayscale, blurred pyramid and Lab copies of the reference
+     * from cachedRefMat
+     */
+    prepareReference() {
+        this.cleanupDerivedRefMats();
+        
+        const normalized = this.normalizeLighting(this.cachedRefMat);
+        this.normalizationReport.reference = normalized.steps;
+        this.cachedRefGray = normalized.gray;
+        
+        // Blur for faster template matching
+        this.cachedBlurredRef = new cv.Mat();
+        cv.GaussianBlur(
+            this.cachedRefGray, 
+            this.cachedBlurredRef, 
+            CONFIG.ALGORITHM.BLUR_SIZE, 
+            CONFIG.ALGORITHM.BLUR_SIGMA
+        );
+        
+        // Build the pyramid once so detection can search coarse-to-fine
+        this.buildPyramid();
+        
+        if (CONFIG.COLOR.ENABLED) {
+            this.cachedRefLab = this.toLab(normalized.color || this.cachedRefMat);
+        }
+        if (normalized.color) {
+            normalized.color.delete();
+        }
+        
+        if (CONFIG.DEBUG.ENABLED) {
+            console.log(`Reference lighting: ${this.describeNormalization(normalized.steps)}`);
+        }
+    }
+    
+    /**
+     * Build the multi-resolution pyramid from the blurred reference
+     */
+    buildPyramid() {
+        this.cleanupPyramid();
+        this.referencePyramid = [this.cachedBlurredRef];
+        
+        if (!CONFIG.PYRAMID.ENABLED) return;
+        
+        for (let level = 1; level < CONFIG.PYRAMID.LEVELS; level++) {
+            const previous = this.referencePyramid[level - 1];
+            
+            // Stop before a level becomes too small to be useful
+            if (Math.min(previous.cols, previous.rows) / 2 < CONFIG.PYRAMID.MIN_LEVEL_SIZE) break;
+            
+            const downsampled = new cv.Mat();
+            cv.pyrDown(previous, downsampled);
+            this.referencePyramid.push(downsampled);
+        }
+    }
+    
+    /**
+     * Pick up changed settings without reprocessing the reference
+     * @param {Array} changedPaths - CONFIG paths that changed
+     */
+    applySettings(changedPaths) {
+        if (!this.cachedBlurredRef) return;
+        
+        // Lighting changes every derived image (the Lab copy is white-balanced too)
+        if (changedPaths.some(path => path.startsWith('NORMALIZATION.')) ||
+            (changedPaths.includes('COLOR.ENABLED') && CONFIG.COLOR.ENABLED && !this.cachedRefLab)) {
+            this.prepareReference();
+            return;
+        }
+        
+        if (changedPaths.some(path => path.startsWith('PYRAMID.'))) {
+            this.buildPyramid();
+        }
+        
+        if (changedPaths.includes('COLOR.ENABLED') && !CONFIG.COLOR.ENABLED && this.cachedRefLab) {
+            this.cachedRefLab.delete();
+            this.cachedRefLab = null;
+        }
+    }
+    
+    /**
+     * Get the number of pyramid levels available
+     * @returns {number} - Level count (at least 1 once a reference is loaded)
+     */
+    getPyramidLevelCount() {
+        return this.referencePyramid.length;
+    }
+    
+    /**
+     * Get the size ratio of a pyramid level relative to full resolution
+     * @param {number} level - Pyramid level
+     * @returns {number} - Scale factor (1 for level 0)
+     */
+    getPyramidScale(level) {
+        if (!level || !this.referencePyramid[level]) return 1;
+        return this.referencePyramid[level].cols / this.referencePyramid[0].cols;
+    }
+    
     /**
      * Process puzzle piece template for matching
      * @param {ImageData} templateImage - Template image data
-     * @returns {Object} - Processed template data { mat, gray, blurred }
+     * @returns {Object} - Processed template data { mat, gray, blurred, lab }; mat is the
+     *                     original frame, the others have the reference's lighting normalization
      */
     processTemplateImage(templateImage) {
         if (!this.isReady || !templateImage) return null;
@@ -77,22 +213,28 @@ class ImageProcessor {
         try {
             // Create Mats for template
             const templateMat = cv.matFromImageData(templateImage);
-            const templateGray = new cv.Mat();
+            const normalized = this.normalizeLighting(templateMat);
+            this.normalizationReport.template = normalized.steps;
             const blurredTemplate = new cv.Mat();
             
-            // Convert to grayscale and blur with same parameters as reference
-            cv.cvtColor(templateMat, templateGray, cv.COLOR_RGBA2GRAY);
+            // Blur with same parameters as reference
             cv.GaussianBlur(
-                templateGray, 
+                normalized.gray, 
                 blurredTemplate,
                 CONFIG.ALGORITHM.BLUR_SIZE, 
                 CONFIG.ALGORITHM.BLUR_SIGMA
             );
             
+            const lab = CONFIG.COLOR.ENABLED ? this.toLab(normalized.color || templateMat) : null;
+            if (normalized.color) {
+                normalized.color.delete();
+            }
+            
             return {
                 mat: templateMat,
-                gray: templateGray,
-                blurred: blurredTemplate
+                gray: normalized.gray,
+                blurred: blurredTemplate,
+                lab: lab
             };
         } catch (error) {
             console.error('Error processing template image:', error);
@@ -100,19 +242,328 @@ class ImageProcessor {
         }
     }
     
+    /**
+     * Bring an image to common lighting before matching, so the box art and a piece
+     * under a kitchen lamp look alike: gray-world white balance, CLAHE and local
+     * mean/variance normalization, each switched in CONFIG.NORMALIZATION
+     * @param {cv.Mat} rgba - RGBA image (left unchanged)
+     * @returns {Object} - { color, gray, steps }: white-balanced RGBA copy (null when white balance
+     *                     is off), normalized 8-bit grayscale and the steps run { name, time, detail }
+     */
+    normalizeLighting(rgba) {
+        const settings = CONFIG.NORMALIZATION;
+        const steps = [];
+        let color = null;
+        let gray = new cv.Mat();
+        
+        // Time each step and note what it did (debug output and the benchmark)
+        const run = (name, operation, describe) => {
+            const start = performance.now();
+            const result = operation();
+            steps.push({ name: name, time: performance.now() - start, detail: describe(result) });
+            return result;
+        };
+        const replaceGray = next => {
+            gray.delete();
+            gray = next;
+        };
+        
+        try {
+            if (settings.WHITE_BALANCE) {
+                color = run('white balance', () => this.whiteBalance(rgba),
+                    balanced => 'gains ' + balanced.gains.map(gain => gain.toFixed(2)).join('/')).image;
+            }
+            
+            cv.cvtColor(color || rgba, gray, cv.COLOR_RGBA2GRAY);
+            
+            if (settings.CLAHE) {
+                replaceGray(run('CLAHE', () => this.equalizeLocally(gray), result => this.describeContrast(result)));
+            }
+            
+            if (settings.LOCAL_CONTRAST) {
+                replaceGray(run('local contrast', () => this.normalizeLocalContrast(gray), result => this.describeContrast(result)));
+            }
+            
+            return { color: color, gray: gray, steps: steps };
+        } catch (error) {
+            this.cleanupMats([color, gray]);
+            throw error;
+        }
+    }
+    
+    /**
+     * Gray-world white balance: scale each colour channel so its mean matches the overall mean
+     * @param {cv.Mat} rgba - RGBA image
+     * @returns {Object} - { image, gains }: balanced RGBA copy and the R, G, B gains applied
+     */
+    whiteBalance(rgba) {
+        const maxGain = CONFIG.NORMALIZATION.MAX_GAIN;
+        const means = cv.mean(rgba);
+        const gray = (means[0] + means[1] + means[2]) / 3;
+        
+        // Limited, so a photo of mostly blue sky doesn't turn gray
+        const gains = [0, 1, 2].map(index => means[index] > 0
+            ? Math.min(maxGain, Math.max(1 / maxGain, gray / means[index]))
+            : 1);
+        
+        // A lookup table per channel is much cheaper than splitting and scaling planes
+        const tables = gains.map(gain => Uint8ClampedArray.from({ length: 256 }, (_, value) => value * gain));
+        const image = rgba.clone();
+        const data = image.data;
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = tables[0][data[i]];
+            data[i + 1] = tables[1][data[i + 1]];
+            data[i + 2] = tables[2][data[i + 2]];
+        }
+        
+        return { image: image, gains: gains };
+    }
+    
+    /**
+     * Contrast-limited adaptive histogram equalization
+     * @param {cv.Mat} gray - 8-bit grayscale image
+     * @returns {cv.Mat} - Equalized image (caller deletes it)
+     */
+    equalizeLocally(gray) {
+        const settings = CONFIG.NORMALIZATION;
+        const equalized = new cv.Mat();
+        const clahe = new cv.CLAHE(settings.CLAHE_CLIP_LIMIT, new cv.Size(settings.CLAHE_TILES, settings.CLAHE_TILES));
+        
+        try {
+            clahe.apply(gray, equalized);
+            return equalized;
+        } catch (error) {
+            equalized.delete();
+            throw error;
+        } finally {
+            clahe.delete();
+        }
+    }
+    
+    /**
+     * Local mean/variance normalization: subtract the neighbourhood mean and divide by the
+     * neighbourhood standard deviation, which removes shading and evens out contrast
+     * @param {cv.Mat} gray - 8-bit grayscale image
+     * @returns {cv.Mat} - 8-bit image centred on 128 (caller deletes it)
+     */
+    normalizeLocalContrast(gray) {
+        const settings = CONFIG.NORMALIZATION;
+        
+        // Box filters cost the same at any radius, unlike a wide Gaussian
+        const side = 2 * settings.LOCAL_CONTRAST_RADIUS + 1;
+        const size = new cv.Size(side, side);
+        const values = new cv.Mat();
+        const mean = new cv.Mat();
+        const squares = new cv.Mat();
+        const meanSquares = new cv.Mat();
+        const deviation = new cv.Mat();
+        const normalized = new cv.Mat();
+        
+        try {
+            gray.convertTo(values, cv.CV_32F);
+            cv.blur(values, mean, size);
+            cv.multiply(values, values, squares);
+            cv.blur(squares, meanSquares, size);
+            
+            // Standard deviation = sqrt(E[x²] - E[x]²), with a floor so flat areas don't turn to noise
+            cv.multiply(mean, mean, squares);
+            cv.subtract(meanSquares, squares, deviation);
+            const variance = deviation.data32F;
+            const floor = settings.LOCAL_CONTRAST_FLOOR;
+            for (let i = 0; i < variance.length; i++) {
+                variance[i] = Math.sqrt(Math.max(0, variance[i])) + floor;
+            }
+            
+            cv.subtract(values, mean, values);
+            cv.divide(values, deviation, values);
+            values.convertTo(normalized, cv.CV_8U, settings.LOCAL_CONTRAST_GAIN, 128);
+            return normalized;
+        } catch (error) {
+            normalized.delete();
+            throw error;
+        } finally {
+            this.cleanupMats([values, mean, squares, meanSquares, deviation]);
+        }
+    }
+    
+    /**
+     * Summarize the brightness and contrast of an image
+     * @param {cv.Mat} gray - 8-bit grayscale image
+     * @returns {string} - e.g. "mean 121 ±48"
+     */
+    describeContrast(gray) {
+        const mean = new cv.Mat();
+        const deviation = new cv.Mat();
+        
+        try {
+            cv.meanStdDev(gray, mean, deviation);
+            return `mean ${mean.data64F[0].toFixed(0)} ±${deviation.data64F[0].toFixed(0)}`;
+        } finally {
+            this.cleanupMats([mean, deviation]);
+        }
+    }
+    
+    /**
+     * Format normalization steps for debug output
+     * @param {Array} steps - Steps { name, time, detail } from normalizeLighting
+     * @returns {string} - One line, or 'off' when no step ran
+     */
+    describeNormalization(steps) {
+        if (!steps || steps.length === 0) return 'off';
+        return steps.map(step => `${step.name} ${step.time.toFixed(1)}ms (${step.detail})`).join(', ');
+    }
+    
+    /**
+     * Get the lighting normalization steps of the last reference and template
+     * @returns {Object} - { reference, template } step lists
+     */
+    getNormalizationReport() {
+        return this.normalizationReport;
+    }
+    
+    /**
+     * Convert an RGBA image to blurred 8-bit Lab for colour comparison
+     * @param {cv.Mat} rgba - RGBA image
+     * @returns {cv.Mat} - CV_8UC3 Lab image
+     */
+    toLab(rgba) {
+        const rgb = new cv.Mat();
+        const lab = new cv.Mat();
+        
+        cv.cvtColor(rgba, rgb, cv.COLOR_RGBA2RGB);
+        cv.cvtColor(rgb, lab, cv.COLOR_RGB2Lab);
+        cv.GaussianBlur(lab, lab, CONFIG.ALGORITHM.BLUR_SIZE, CONFIG.ALGORITHM.BLUR_SIGMA);
+        rgb.delete();
+        
+        return lab;
+    }
+    
+    /**
+     * Extract a region of the Lab reference
+     * @param {Object} rect - Region { x, y, width, height } in full-resolution coordinates
+     * @returns {cv.Mat|null} - Lab view, or null if the region doesn't lie fully inside the reference
+     */
+    extractLabRoi(rect) {
+        const lab = this.cachedRefLab;
+        if (!lab ||
+            rect.x < 0 || rect.y < 0 ||
+            rect.x + rect.width > lab.cols ||
+            rect.y + rect.height > lab.rows) {
+            return null;
+        }
+        
+        return lab.roi(new cv.Rect(rect.x, rect.y, rect.width, rect.height));
+    }
+    
+    /**
+     * Compare the colour of a template with an equally sized reference patch
+     * @param {cv.Mat} refPatch - Lab reference patch
+     * @param {cv.Mat} templateLab - Lab template
+     * @param {cv.Mat} mask - Optional mask selecting the template pixels to compare
+     * @returns {Object} - { chroma, mean }: chroma correlation (null when the template has no
+     *                     colour structure) and mean-colour similarity, both 0-1
+     */
+    compareColour(refPatch, templateLab, mask = null) {
+        const settings = CONFIG.COLOR;
+        const refChannels = new cv.MatVector();
+        const templateChannels = new cv.MatVector();
+        const result = new cv.Mat();
+        const noMask = new cv.Mat();
+        
+        try {
+            cv.split(refPatch, refChannels);
+            cv.split(templateLab, templateChannels);
+            
+            // Correlate the a and b channels; L is left to the grayscale score
+            const correlations = [];
+            for (let channel = 1; channel <= 2; channel++) {
+                const refChannel = refChannels.get(channel);
+                const templateChannel = templateChannels.get(channel);
+                
+                const mean = new cv.Mat();
+                const std = new cv.Mat();
+                cv.meanStdDev(templateChannel, mean, std, mask || noMask);
+                const hasStructure = std.data64F[0] >= settings.MIN_CHROMA_STD;
+                this.cleanupMats([mean, std]);
+                
+                if (hasStructure) {
+                    if (mask) {
+                        correlations.push(Math.max(0, this.maskedCorrelation(refChannel, templateChannel, mask)));
+                    } else {
+                        cv.matchTemplate(refChannel, templateChannel, result, cv.TM_CCOEFF_NORMED);
+                        correlations.push(Math.max(0, result.data32F[0]));
+                    }
+                }
+                
+                this.cleanupMats([refChannel, templateChannel]);
+            }
+            
+            // Mean chroma distance catches a uniform red vs green even without texture
+            const refMean = cv.mean(refPatch, mask || noMask);
+            const templateMean = cv.mean(templateLab, mask || noMask);
+            const distance = Math.hypot(refMean[1] - templateMean[1], refMean[2] - templateMean[2]);
+            
+            return {
+                chroma: correlations.length > 0
+                    ? correlations.reduce((a, b) => a + b, 0) / correlations.length
+                    : null,
+                mean: Math.max(0, 1 - distance / settings.MAX_MEAN_DISTANCE)
+            };
+        } finally {
+            this.cleanupMats([refChannels, templateChannels, result, noMask]);
+        }
+    }
+    
+    /**
+     * Correlation coefficient of two equally sized images over a mask
+     * (masked matchTemplate fails when the result is a single value, so compute it directly)
+     * @param {cv.Mat} a - Single-channel image
+     * @param {cv.Mat} b - Single-channel image of the same size
+     * @param {cv.Mat} mask - CV_8U mask selecting the pixels to compare
+     * @returns {number} - Correlation in -1..1 (0 when either image is flat under the mask)
+     */
+    maskedCorrelation(a, b, mask) {
+        const floatA = new cv.Mat();
+        const floatB = new cv.Mat();
+        const product = new cv.Mat();
+        const meanA = new cv.Mat();
+        const stdA = new cv.Mat();
+        const meanB = new cv.Mat();
+        const stdB = new cv.Mat();
+        
+        try {
+            a.convertTo(floatA, cv.CV_32F);
+            b.convertTo(floatB, cv.CV_32F);
+            cv.multiply(floatA, floatB, product);
+            
+            cv.meanStdDev(floatA, meanA, stdA, mask);
+            cv.meanStdDev(floatB, meanB, stdB, mask);
+            
+            const deviation = stdA.data64F[0] * stdB.data64F[0];
+            if (deviation < 1e-6) return 0;
+            
+            const covariance = cv.mean(product, mask)[0] - meanA.data64F[0] * meanB.data64F[0];
+            return covariance / deviation;
+        } finally {
+            this.cleanupMats([floatA, floatB, product, meanA, stdA, meanB, stdB]);
+        }
+    }
+    
     /**
      * Rotate an image with caching optimization
      * @param {cv.Mat} mat - Image to rotate
-     * @param {number} angleDegrees - Rotation angle in degrees
+     * @param {number} angleDegrees - Rotation angle in degrees, clockwise on screen
+     * @param {boolean} cacheable - Cache the result; only safe when the content
+     *                              is fully determined by its size (e.g. constant masks)
      * @returns {cv.Mat} - Rotated image
      */
-    rotateImage(mat, angleDegrees) {
-        // Use integer angles only
-        angleDegrees = Math.round(angleDegrees);
+    rotateImage(mat, angleDegrees, cacheable = false) {
+        // Estimated angles are continuous; only whole degrees are worth caching
+        cacheable = cacheable && Number.isInteger(angleDegrees);
         
         // Check cache first with a compound key
         const cacheKey = `${angleDegrees}_${mat.cols}_${mat.rows}`;
-        if (this.rotationCache[cacheKey]) {
+        if (cacheable && this.rotationCache[cacheKey]) {
             return this.rotationCache[cacheKey].clone();
         }
         
@@ -136,7 +587,7 @@ class ImageProcessor {
             transpose.delete();
             
             // Cache if required
-            if (CONFIG.ALGORITHM.USE_COMMON_ANGLES_CACHE) {
+            if (cacheable && CONFIG.ALGORITHM.USE_COMMON_ANGLES_CACHE) {
                 this.rotationCache[cacheKey] = rotated.clone();
             }
             
@@ -148,7 +599,7 @@ class ImageProcessor {
             cv.flip(mat, rotated, -1); // Flip around both axes
             
             // Cache if required
-            if (CONFIG.ALGORITHM.USE_COMMON_ANGLES_CACHE) {
+            if (cacheable && CONFIG.ALGORITHM.USE_COMMON_ANGLES_CACHE) {
                 this.rotationCache[cacheKey] = rotated.clone();
             }
             
@@ -169,10 +620,11 @@ class ImageProcessor {
         const newWidth = Math.floor(height * absSin + width * absCos);
         const newHeight = Math.floor(height * absCos + width * absSin);
         
-        // Create rotation matrix
-        const rotationMatrix = cv.getRotationMatrix2D(center, angleDegrees, 1);
-        rotationMatrix.data[2] += (newWidth / 2) - center.x;
-        rotationMatrix.data[5] += (newHeight / 2) - center.y;
+        // Create rotation matrix (OpenCV's positive angles turn counter-clockwise; the
+        // quarter turns above, and every angle the detector reports, turn clockwise)
+        const rotationMatrix = cv.getRotationMatrix2D(center, -angleDegrees, 1);
+        rotationMatrix.data64F[2] += (newWidth / 2) - center.x;
+        rotationMatrix.data64F[5] += (newHeight / 2) - center.y;
         
         const rotated = new cv.Mat();
         const dsize = new cv.Size(newWidth, newHeight);
@@ -191,7 +643,7 @@ class ImageProcessor {
         rotationMatrix.delete();
         
         // Store in cache for common angles
-        if (CONFIG.ALGORITHM.USE_COMMON_ANGLES_CACHE && 
+        if (cacheable && CONFIG.ALGORITHM.USE_COMMON_ANGLES_CACHE && 
             CONFIG.ALGORITHM.COMMON_ROTATION_ANGLES.includes(angleDegrees)) {
             this.rotationCache[cacheKey] = rotated.clone();
         }
@@ -199,13 +651,45 @@ class ImageProcessor {
         return rotated;
     }
     
+    /**
+     * Rotate a template together with its matching mask
+     * @param {cv.Mat} mat - Template to rotate
+     * @param {cv.Mat} mask - Piece mask for the template, or null
+     * @param {number} angleDegrees - Rotation angle in degrees
+     * @returns {Object} - { image, mask }; mask is null when every pixel is valid
+     */
+    rotateWithMask(mat, mask, angleDegrees) {
+        const image = this.rotateImage(mat, angleDegrees);
+        
+        if (mask) {
+            // warpAffine fills the corners with 0, so they drop out of the piece mask
+            const rotatedMask = this.rotateImage(mask, angleDegrees);
+            cv.threshold(rotatedMask, rotatedMask, 127, 255, cv.THRESH_BINARY);
+            return { image: image, mask: rotatedMask };
+        }
+        
+        // Right angles have no filled corners
+        if (angleDegrees % 90 === 0) {
+            return { image: image, mask: null };
+        }
+        
+        // Mask out the black corners; this mask only depends on size and angle, so it can be cached
+        const fullMask = new cv.Mat(mat.rows, mat.cols, cv.CV_8UC1, new cv.Scalar(255));
+        const cornerMask = this.rotateImage(fullMask, angleDegrees, true);
+        fullMask.delete();
+        cv.threshold(cornerMask, cornerMask, 254, 255, cv.THRESH_BINARY);
+        
+        return { image: image, mask: cornerMask };
+    }
+    
     /**
      * Resize a template with improved quality
      * @param {cv.Mat} mat - Image to resize
      * @param {number} scale - Scale factor
+     * @param {number} interpolation - Optional interpolation override (e.g. cv.INTER_NEAREST for masks)
      * @returns {cv.Mat} - Resized image
      */
-    resizeTemplate(mat, scale) {
+    resizeTemplate(mat, scale, interpolation = null) {
         const scaledSize = new cv.Size(
             Math.floor(mat.cols * scale),
             Math.floor(mat.rows * scale)
@@ -214,60 +698,444 @@ class ImageProcessor {
         const scaledTemplate = new cv.Mat();
         
         // Use different interpolation methods based on scale
-        const interpolation = scale < 1.0 ? cv.INTER_AREA : cv.INTER_CUBIC;
+        if (interpolation === null) {
+            interpolation = scale < 1.0 ? cv.INTER_AREA : cv.INTER_CUBIC;
+        }
         
         cv.resize(mat, scaledTemplate, scaledSize, 0, 0, interpolation);
         
         return scaledTemplate;
     }
     
+    /**
+     * Resize a template and its mask by the same factor
+     * @param {Object} rotated - { image, mask } from rotateWithMask
+     * @param {number} scale - Scale factor
+     * @returns {Object} - { image, mask }
+     */
+    resizeWithMask(rotated, scale) {
+        return {
+            image: this.resizeTemplate(rotated.image, scale),
+            mask: rotated.mask ? this.resizeTemplate(rotated.mask, scale, cv.INTER_NEAREST) : null
+        };
+    }
+    
+    /**
+     * Clamp a rectangle to the bounds of a pyramid level
+     * @param {Object} rect - Rectangle { x, y, width, height } in level coordinates
+     * @param {number} level - Pyramid level (0 = full resolution)
+     * @returns {Object} - Rectangle that fits within the level image
+     */
+    clampRect(rect, level = 0) {
+        const mat = this.referencePyramid[level];
+        const x = Math.max(0, Math.min(Math.floor(rect.x), mat.cols - 1));
+        const y = Math.max(0, Math.min(Math.floor(rect.y), mat.rows - 1));
+        
+        return {
+            x: x,
+            y: y,
+            width: Math.max(1, Math.min(Math.floor(rect.x + rect.width), mat.cols) - x),
+            height: Math.max(1, Math.min(Math.floor(rect.y + rect.height), mat.rows) - y)
+        };
+    }
+    
     /**
      * Extract region of interest from reference image
-     * @param {Object} roi - Region of interest parameters
+     * @param {Object} roi - Region of interest parameters (in level coordinates)
+     * @param {number} level - Pyramid level (0 = full resolution)
      * @returns {cv.Mat} - ROI image
      */
-    extractRoi(roi) {
-        if (!this.cachedBlurredRef) return null;
+    extractRoi(roi, level = 0) {
+        if (!this.cachedBlurredRef || !this.referencePyramid[level]) return null;
         
         // Create a safe roi that fits within the image bounds
-        const safeRoi = new cv.Rect(
-            Math.max(0, Math.min(roi.x, this.cachedBlurredRef.cols - 1)),
-            Math.max(0, Math.min(roi.y, this.cachedBlurredRef.rows - 1)),
-            Math.min(roi.width, this.cachedBlurredRef.cols - roi.x),
-            Math.min(roi.height, this.cachedBlurredRef.rows - roi.y)
-        );
+        const safe = this.clampRect(roi, level);
+        const safeRoi = new cv.Rect(safe.x, safe.y, safe.width, safe.height);
         
-        return this.cachedBlurredRef.roi(safeRoi);
+        return this.referencePyramid[level].roi(safeRoi);
+    }
+    
+    /**
+     * Extract a region of the reference, mirroring the image where it runs past the edge
+     * @param {Object} rect - Rectangle { x, y, width, height } in level coordinates (whole pixels)
+     * @param {number} level - Pyramid level (0 = full resolution)
+     * @returns {cv.Mat|null} - Region of exactly the requested size (caller deletes it)
+     */
+    extractPaddedRoi(rect, level = 0) {
+        const roi = this.extractRoi(rect, level);
+        if (!roi) return null;
+        
+        const safe = this.clampRect(rect, level);
+        const top = Math.min(rect.height, Math.max(0, safe.y - rect.y));
+        const left = Math.min(rect.width, Math.max(0, safe.x - rect.x));
+        const padded = new cv.Mat();
+        cv.copyMakeBorder(roi, padded,
+            top, Math.max(0, rect.height - safe.height - top),
+            left, Math.max(0, rect.width - safe.width - left),
+            cv.BORDER_REFLECT);
+        roi.delete();
+        
+        return padded;
     }
     
     /**
      * Match template in reference image
      * @param {cv.Mat} roiMat - Region of interest in reference image
      * @param {cv.Mat} template - Template to match
-     * @returns {Object} - Match result with location and confidence
+     * @param {cv.Mat} mask - Optional mask selecting the template pixels to compare
+     * @param {Array} penaltyRects - Optional result-map regions { x, y, width, height, penalty } to score lower
+     * @returns {Object} - Match result with location, confidence and the score of each method there
      */
-    matchTemplate(roiMat, template) {
+    matchTemplate(roiMat, template, mask = null, penaltyRects = null) {
+        const result = this.computeMatchResult(roiMat, template, mask, penaltyRects);
+        if (!result) {
+            return { maxVal: 0, maxLoc: { x: 0, y: 0 }, methodScores: {} };
+        }
+        
+        const minMax = cv.minMaxLoc(result.fused);
+        minMax.methodScores = this.sampleMethodScores(result.maps, minMax.maxLoc);
+        this.cleanupMatchResult(result);
+        
+        return minMax;
+    }
+    
+    /**
+     * Match template in reference image and return several distinct peaks
+     * @param {cv.Mat} roiMat - Region of interest in reference image
+     * @param {cv.Mat} template - Template to match
+     * @param {cv.Mat} mask - Optional mask selecting the template pixels to compare
+     * @param {Array} penaltyRects - Optional result-map regions to score lower
+     * @param {number} maxPeaks - Maximum number of peaks to return
+     * @returns {Array} - Peaks [{ maxVal, maxLoc, methodScores }] sorted by score
+     */
+    matchTemplatePeaks(roiMat, template, mask = null, penaltyRects = null, maxPeaks = 1) {
+        const result = this.computeMatchResult(roiMat, template, mask, penaltyRects);
+        if (!result) return [];
+        
+        const peaks = this.extractPeaks(result.fused, maxPeaks, template.cols, template.rows);
+        peaks.forEach(peak => {
+            peak.methodScores = this.sampleMethodScores(result.maps, peak.maxLoc);
+        });
+        this.cleanupMatchResult(result);
+        
+        return peaks;
+    }
+    
+    /**
+     * Compute the score map of a template over a region: each configured method
+     * (CONFIG.SCORING) on a common scale, combined into one map
+     * @param {cv.Mat} roiMat - Region of interest in reference image
+     * @param {cv.Mat} template - Template to match
+     * @param {cv.Mat} mask - Optional mask selecting the template pixels to compare
+     * @param {Array} penaltyRects - Optional result-map regions to score lower
+     * @returns {Object|null} - { fused, maps }: CV_32F combined map and each method's map by name
+     *                          (release with cleanupMatchResult), or null if the template doesn't fit
+     */
+    computeMatchResult(roiMat, template, mask = null, penaltyRects = null) {
         if (!roiMat || !template || template.cols >= roiMat.cols || template.rows >= roiMat.rows) {
-            return { maxVal: 0, maxLoc: { x: 0, y: 0 } };
+            return null;
+        }
+        
+        const maps = {};
+        try {
+            for (const method of this.getScoringMethods()) {
+                maps[method.name] = this.computeMethodMap(roiMat, template, mask, method.name);
+            }
+        } catch (error) {
+            this.cleanupMats(Object.values(maps));
+            throw error;
+        }
+        
+        const fused = this.fuseMethodMaps(maps);
+        if (penaltyRects) {
+            this.applyScorePenalty(fused, penaltyRects);
         }
         
+        return { fused: fused, maps: maps };
+    }
+    
+    /**
+     * Get the template matching methods that take part in the score
+     * @returns {Array} - [{ name, weight }] for each method with a positive weight
+     *                    (zero-mean correlation alone if none has one)
+     */
+    getScoringMethods() {
+        const settings = CONFIG.SCORING;
+        const methods = ['ccoeff', 'ccorr', 'sqdiff', 'gradient']
+            .map(name => ({ name: name, weight: settings[name.toUpperCase() + '_WEIGHT'] || 0 }))
+            .filter(method => method.weight > 0);
+        
+        return methods.length > 0 ? methods : [{ name: 'ccoeff', weight: 1 }];
+    }
+    
+    /**
+     * Compute one method's score map on the common scale: 1 where the template is
+     * identical, 0 for an unrelated patch, clamped to [-1, 1]
+     * @param {cv.Mat} roiMat - Region of interest in reference image
+     * @param {cv.Mat} template - Template to match
+     * @param {cv.Mat|null} mask - Piece mask for the template, or null
+     * @param {string} method - 'ccoeff', 'ccorr', 'sqdiff' or 'gradient'
+     * @returns {cv.Mat} - CV_32F score map (caller deletes)
+     */
+    computeMethodMap(roiMat, template, mask, method) {
         const result = new cv.Mat();
-        cv.matchTemplate(roiMat, template, result, cv.TM_CCOEFF_NORMED);
+        const match = (image, templ, type, templMask) => {
+            if (templMask) {
+                cv.matchTemplate(image, templ, result, type, templMask);
+            } else {
+                cv.matchTemplate(image, templ, result, type);
+            }
+        };
+        
+        try {
+            if (method === 'gradient') {
+                this.matchGradients(roiMat, template, mask, match);
+            } else {
+                const types = { ccoeff: cv.TM_CCOEFF_NORMED, ccorr: cv.TM_CCORR_NORMED, sqdiff: cv.TM_SQDIFF_NORMED };
+                match(roiMat, template, types[method], mask);
+            }
+            
+            // Squared difference is 0 for a perfect match and 2 - 2 * correlation for equal
+            // energies; as a similarity it then reads like the normalized correlation
+            if (method === 'sqdiff') {
+                result.convertTo(result, -1, -0.5, 1);
+            }
+            this.sanitizeMatchResult(result);
+            
+            // Plain correlation and squared difference stay high between unrelated patches;
+            // their floor is where such patches land
+            const floor = CONFIG.SCORING[method.toUpperCase() + '_FLOOR'] || 0;
+            if (floor > 0) {
+                result.convertTo(result, -1, 1 / (1 - floor), -floor / (1 - floor));
+                
+                // Keep a single method from outvoting the rest with a large negative score
+                result.convertTo(result, -1, -1, 0);
+                cv.threshold(result, result, 1, 1, cv.THRESH_TRUNC);
+                result.convertTo(result, -1, -1, 0);
+            }
+            
+            return result;
+        } catch (error) {
+            result.delete();
+            throw error;
+        }
+    }
+    
+    /**
+     * Correlate gradient magnitudes, which follow the printed edges rather than shading
+     * @param {cv.Mat} roiMat - Region of interest in reference image
+     * @param {cv.Mat} template - Template to match
+     * @param {cv.Mat|null} mask - Piece mask for the template, or null
+     * @param {Function} match - Runs matchTemplate (image, template, method, mask) into the result
+     */
+    matchGradients(roiMat, template, mask, match) {
+        const roiGradient = this.getGradientMagnitude(roiMat);
+        const templateGradient = this.getGradientMagnitude(template);
+        const innerMask = mask ? new cv.Mat() : null;
         
-        const minMax = cv.minMaxLoc(result);
-        result.delete();
+        try {
+            // The outline itself is an edge against the background, which the reference doesn't have
+            if (mask) {
+                const kernel = cv.Mat.ones(3, 3, cv.CV_8U);
+                cv.erode(mask, innerMask, kernel);
+                kernel.delete();
+            }
+            match(roiGradient, templateGradient, cv.TM_CCOEFF_NORMED, innerMask);
+        } finally {
+            this.cleanupMats([roiGradient, templateGradient, innerMask]);
+        }
+    }
+    
+    /**
+     * Compute the Sobel gradient magnitude of an image
+     * @param {cv.Mat} mat - 8-bit grayscale image
+     * @returns {cv.Mat} - CV_32F magnitude (caller deletes)
+     */
+    getGradientMagnitude(mat) {
+        const dx = new cv.Mat();
+        const dy = new cv.Mat();
+        const magnitude = new cv.Mat();
         
-        return minMax;
+        try {
+            cv.Sobel(mat, dx, cv.CV_32F, 1, 0, 3);
+            cv.Sobel(mat, dy, cv.CV_32F, 0, 1, 3);
+            cv.magnitude(dx, dy, magnitude);
+            return magnitude;
+        } catch (error) {
+            magnitude.delete();
+            throw error;
+        } finally {
+            this.cleanupMats([dx, dy]);
+        }
+    }
+    
+    /**
+     * Combine the method maps into one score map (CONFIG.SCORING.MODE): their weighted
+     * mean, or for 'vote' that mean scaled by the weight of the methods scoring above
+     * VOTE_THRESHOLD, so a location only keeps its score when the methods agree on it
+     * @param {Object} maps - CV_32F common-scale maps by method name
+     * @returns {cv.Mat} - CV_32F combined map (caller deletes)
+     */
+    fuseMethodMaps(maps) {
+        const settings = CONFIG.SCORING;
+        const methods = this.getScoringMethods();
+        const first = maps[methods[0].name];
+        
+        // One method needs no combining, but the map is still its own copy for the penalties
+        if (methods.length === 1) {
+            return first.clone();
+        }
+        
+        const totalWeight = methods.reduce((sum, method) => sum + method.weight, 0);
+        const fused = cv.Mat.zeros(first.rows, first.cols, cv.CV_32F);
+        const agreement = cv.Mat.zeros(first.rows, first.cols, cv.CV_32F);
+        const votes = new cv.Mat();
+        
+        try {
+            for (const method of methods) {
+                const share = method.weight / totalWeight;
+                cv.addWeighted(fused, 1, maps[method.name], share, 0, fused);
+                
+                if (settings.MODE === 'vote') {
+                    cv.threshold(maps[method.name], votes, settings.VOTE_THRESHOLD, share, cv.THRESH_BINARY);
+                    cv.add(agreement, votes, agreement);
+                }
+            }
+            
+            if (settings.MODE === 'vote') {
+                cv.multiply(fused, agreement, fused);
+            }
+            return fused;
+        } catch (error) {
+            fused.delete();
+            throw error;
+        } finally {
+            this.cleanupMats([agreement, votes]);
+        }
+    }
+    
+    /**
+     * Read each method's score at a location of the match result
+     * @param {Object} maps - CV_32F common-scale maps by method name
+     * @param {Object} location - { x, y } in result coordinates
+     * @returns {Object} - Score by method name
+     */
+    sampleMethodScores(maps, location) {
+        const scores = {};
+        for (const [name, map] of Object.entries(maps)) {
+            scores[name] = map.floatAt(location.y, location.x);
+        }
+        return scores;
+    }
+    
+    /**
+     * Release the maps of a match result
+     * @param {Object} result - { fused, maps } from computeMatchResult
+     */
+    cleanupMatchResult(result) {
+        this.cleanupMats([result.fused].concat(Object.values(result.maps)));
+    }
+    
+    /**
+     * Pick the highest peaks of a match result, suppressing the neighbourhood
+     * of each one so the next peak is a different location
+     * @param {cv.Mat} result - CV_32F match result (modified)
+     * @param {number} maxPeaks - Maximum number of peaks
+     * @param {number} templateWidth - Template width (sets the suppression size)
+     * @param {number} templateHeight - Template height
+     * @returns {Array} - Peaks [{ maxVal, maxLoc }] sorted by score
+     */
+    extractPeaks(result, maxPeaks, templateWidth, templateHeight) {
+        const radiusX = Math.max(1, Math.floor(templateWidth / 2));
+        const radiusY = Math.max(1, Math.floor(templateHeight / 2));
+        const peaks = [];
+        
+        for (let i = 0; i < maxPeaks; i++) {
+            const minMax = cv.minMaxLoc(result);
+            
+            // Everything left is suppressed or invalid
+            if (minMax.maxVal <= -1) break;
+            peaks.push({ maxVal: minMax.maxVal, maxLoc: minMax.maxLoc });
+            
+            if (i + 1 < maxPeaks) {
+                const x = Math.max(0, minMax.maxLoc.x - radiusX);
+                const y = Math.max(0, minMax.maxLoc.y - radiusY);
+                const width = Math.min(result.cols, minMax.maxLoc.x + radiusX + 1) - x;
+                const height = Math.min(result.rows, minMax.maxLoc.y + radiusY + 1) - y;
+                
+                const view = result.roi(new cv.Rect(x, y, width, height));
+                view.setTo(new cv.Scalar(-1));
+                view.delete();
+            }
+        }
+        
+        return peaks;
+    }
+    
+    /**
+     * Remove NaN/Inf scores that masked matching produces over flat regions
+     * @param {cv.Mat} result - CV_32F match result, modified in place
+     */
+    sanitizeMatchResult(result) {
+        // NaN is the only value not equal to itself
+        const invalid = new cv.Mat();
+        cv.compare(result, result, invalid, cv.CMP_NE);
+        result.setTo(new cv.Scalar(-1), invalid);
+        invalid.delete();
+        
+        // Clamp the +Inf a zero-variance window can produce (-Inf never wins the max)
+        cv.threshold(result, result, 1, 1, cv.THRESH_TRUNC);
+    }
+    
+    /**
+     * Lower the scores inside regions of a match result
+     * @param {cv.Mat} result - CV_32F match result, modified in place
+     * @param {Array} penaltyRects - Regions { x, y, width, height, penalty } in result coordinates
+     */
+    applyScorePenalty(result, penaltyRects) {
+        penaltyRects.forEach(rect => {
+            const x = Math.max(0, rect.x);
+            const y = Math.max(0, rect.y);
+            const width = Math.min(result.cols, rect.x + rect.width) - x;
+            const height = Math.min(result.rows, rect.y + rect.height) - y;
+            if (width <= 0 || height <= 0) return;
+            
+            // The roi view shares memory with the result
+            const view = result.roi(new cv.Rect(x, y, width, height));
+            view.convertTo(view, -1, 1, -rect.penalty);
+            view.delete();
+        });
+    }
+    
+    /**
+     * Clean up pyramid levels (level 0 is owned by cachedBlurredRef)
+     */
+    cleanupPyramid() {
+        for (let level = 1; level < this.referencePyramid.length; level++) {
+            this.referencePyramid[level].delete();
+        }
+        this.referencePyramid = [];
     }
     
     /**
      * Clean up reference image matrices
      */
     cleanupRefMats() {
+        this.cleanupDerivedRefMats();
+        
         if (this.cachedRefMat) {
             this.cachedRefMat.delete();
             this.cachedRefMat = null;
         }
+        this.referenceScale = 1;
+    }
+    
+    /**
+     * Clean up the matrices derived from the original reference
+     */
+    cleanupDerivedRefMats() {
+        this.cleanupPyramid();
+        
         if (this.cachedRefGray) {
             this.cachedRefGray.delete();
             this.cachedRefGray = null;
@@ -276,6 +1144,10 @@ class ImageProcessor {
             this.cachedBlurredRef.delete();
             this.cachedBlurredRef = null;
         }
+        if (this.cachedRefLab) {
+            this.cachedRefLab.delete();
+            this.cachedRefLab = null;
+        }
     }
     
     /**
@@ -295,7 +1167,7 @@ class ImageProcessor {
             this.lastCleanupTime = now;
             
             // Force garbage collection hint
-            if (window.gc) window.gc();
+            if (self.gc) self.gc();
         }
     }
     
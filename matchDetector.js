@@ -10,6 +10,25 @@ class MatchDetector {
         this.lastMatchRegion = null;
         this.stableMatchCount = 0;
         this.roi = null;
+        
+        // Coarse-to-fine search statistics
+        this.searchLevel = 0;
+        this.levelTimings = [];
+        
+        // Piece silhouette from the last processed frame
+        this.lastSegmentation = null;
+        
+        // Interior/edge/corner classification of the piece outline
+        this.lastShape = null;
+        
+        // Ranked alternative locations from the last frame (best first)
+        this.lastCandidates = [];
+        
+        // Reference regions of pieces already placed in the puzzle
+        this.placedRegions = [];
+        
+        // Exhaustive search of a frozen frame, advanced one rotation per step (null when idle)
+        this.exhaustiveSearch = null;
     }
     
     /**
@@ -34,114 +53,37 @@ class MatchDetector {
             const template = imageProcessor.processTemplateImage(templateImage);
             if (!template) return null;
             
-            // Get optimal parameters based on current state
-            const scales = this.getOptimalScales();
-            const rotations = this.getRotationAngles();
+            // Separate the piece from the table so background pixels don't take part in matching
+            const segmentation = CONFIG.SEGMENTATION.ENABLED ? pieceSegmenter.segment(template.mat) : null;
+            template.mask = segmentation ? segmentation.mask : null;
+            this.lastSegmentation = segmentation ? pieceSegmenter.getLastSegmentation() : null;
             
-            // Prepare for matching
-            let bestMatch = null;
+            // Edge and corner pieces only fit along the reference border
+            this.lastShape = CONFIG.SHAPE.ENABLED ? pieceShape.classify(this.lastSegmentation) : null;
+            template.placements = pieceShape.getBorderPlacements(this.lastShape);
             
-            // Define region of interest for focused processing
-            let searchROI;
-            if (CONFIG.ROI.ENABLED && this.lastMatchRegion && this.lastConfidence > CONFIG.MATCH_CONFIDENCE_THRESHOLD) {
-                // Use a tighter ROI when we have high confidence
-                const marginFactor = this.lastConfidence > CONFIG.HIGH_CONFIDENCE_THRESHOLD 
-                    ? CONFIG.ROI.MARGIN_FACTOR_HIGH 
-                    : CONFIG.ROI.MARGIN_FACTOR_LOW;
-                
-                const margin = Math.floor(Math.max(this.lastMatchRegion.width, this.lastMatchRegion.height) * marginFactor);
-                const roiX = Math.max(0, Math.floor(this.lastMatchRegion.x - margin));
-                const roiY = Math.max(0, Math.floor(this.lastMatchRegion.y - margin));
-                const roiWidth = Math.min(
-                    imageProcessor.cachedBlurredRef.cols - roiX, 
-                    Math.floor(this.lastMatchRegion.width + 2 * margin)
-                );
-                const roiHeight = Math.min(
-                    imageProcessor.cachedBlurredRef.rows - roiY, 
-                    Math.floor(this.lastMatchRegion.height + 2 * margin)
-                );
-                
-                searchROI = { x: roiX, y: roiY, width: roiWidth, height: roiHeight };
-                this.roi = searchROI;
-            } else {
-                searchROI = { 
-                    x: 0, 
-                    y: 0, 
-                    width: imageProcessor.cachedBlurredRef.cols, 
-                    height: imageProcessor.cachedBlurredRef.rows 
-                };
-                this.roi = null;
+            // A flat side can only reach the reference border if the table around the piece is gone
+            if (template.placements && segmentation) {
+                this.cropTemplate(template, segmentation.bbox);
             }
             
-            // Extract the region of interest
-            const roiMat = imageProcessor.extractRoi(searchROI);
-            if (!roiMat) {
-                imageProcessor.cleanupMats([template.mat, template.gray, template.blurred]);
-                return null;
-            }
+            // Pick the matching strategy from config
+            this.lastCandidates = [];
+            const bestMatch = CONFIG.ALGORITHM.MATCHING_MODE === 'feature'
+                ? this.detectByFeatures(template)
+                : this.detectByTemplate(template);
             
-            // Optimization: Early termination criteria
-            let earlyTermination = false;
-            let iterationCount = 0;
+            if (bestMatch && this.lastSegmentation) {
+                bestMatch.segmentation = this.lastSegmentation;
+            }
             
-            // Process each rotation in order of likelihood
-            for (let rotation of rotations) {
-                if (earlyTermination || iterationCount > CONFIG.MATCH.MAX_SEARCH_ITERATIONS) break;
-                
-                // Rotate the template
-                const rotatedTemplate = imageProcessor.rotateImage(template.blurred, rotation);
-                
-                // Try each scale
-                for (let scale of scales) {
-                    if (earlyTermination || iterationCount > CONFIG.MATCH.MAX_SEARCH_ITERATIONS) break;
-                    iterationCount++;
-                    
-                    // Get scaled template
-                    const scaledTemplate = imageProcessor.resizeTemplate(rotatedTemplate, scale);
-                    
-                    // Skip invalid sizes
-                    if (scaledTemplate.cols >= roiMat.cols || 
-                        scaledTemplate.rows >= roiMat.rows || 
-                        scaledTemplate.cols <= CONFIG.TEMPLATE.MIN_SIZE || 
-                        scaledTemplate.rows <= CONFIG.TEMPLATE.MIN_SIZE) {
-                        scaledTemplate.delete();
-                        continue;
-                    }
-                    
-                    // Match the template within ROI
-                    const minMax = imageProcessor.matchTemplate(roiMat, scaledTemplate);
-                    
-                    if (minMax.maxVal >= CONFIG.DETECTION_THRESHOLD && 
-                        (!bestMatch || minMax.maxVal > bestMatch.confidence)) {
-                        
-                        // Adjust coordinates based on ROI offset
-                        bestMatch = {
-                            confidence: minMax.maxVal,
-                            scale: scale,
-                            rotation: rotation,
-                            x: minMax.maxLoc.x + (this.roi ? this.roi.x : 0),
-                            y: minMax.maxLoc.y + (this.roi ? this.roi.y : 0),
-                            width: scaledTemplate.cols,
-                            height: scaledTemplate.rows
-                        };
-                        
-                        // Early termination if we found a very good match
-                        if (bestMatch.confidence > CONFIG.EARLY_TERMINATION_THRESHOLD) {
-                            earlyTermination = true;
-                        }
-                    }
-                    
-                    // Clean up
-                    scaledTemplate.delete();
-                }
-                
-                // Clean up rotated template
-                rotatedTemplate.delete();
+            // Keypoint matching yields one location only
+            if (bestMatch && this.lastCandidates.length === 0) {
+                this.lastCandidates = [this.toMatch(bestMatch, 1)];
             }
             
             // Clean up
-            roiMat.delete();
-            imageProcessor.cleanupMats([template.mat, template.gray, template.blurred]);
+            imageProcessor.cleanupMats([template.mat, template.gray, template.blurred, template.lab, template.mask]);
             
             // Update match stability tracking
             this.updateMatchStability(bestMatch);
@@ -153,6 +95,899 @@ class MatchDetector {
         }
     }
     
+    /**
+     * Detect piece with keypoint matching and homography estimation
+     * @param {Object} template - Processed template data { mat, gray, blurred, mask }
+     * @returns {Object} - Best match information
+     */
+    detectByFeatures(template) {
+        // Keypoint matching always searches the whole reference
+        this.roi = null;
+        
+        const match = featureMatcher.match(template.gray, template.mask);
+        if (!match) return null;
+        
+        // A single homography can't be re-ranked, so just lower its confidence
+        if (this.isOnPlacedRegion(match)) {
+            match.confidence -= CONFIG.PLACEMENT.PENALTY;
+        }
+        
+        if (match.confidence < CONFIG.DETECTION_THRESHOLD) {
+            return null;
+        }
+        
+        return match;
+    }
+    
+    /**
+     * Detect piece with a coarse-to-fine template matching search:
+     * the rotation/scale sweep runs on the smallest usable pyramid level and
+     * only the top candidates are refined at each finer level
+     * @param {Object} template - Processed template data { mat, gray, blurred, mask }
+     * @returns {Object} - Best match information
+     */
+    detectByTemplate(template) {
+        // Get optimal parameters based on current state
+        const scales = this.getOptimalScales();
+        const rotations = this.getRotationAngles();
+        
+        // Define region of interest for focused processing (full-resolution coordinates)
+        const searchROI = this.computeSearchRoi();
+        const zones = this.getSearchZones(template, rotations, scales, searchROI);
+        if (zones.length === 0) return null;
+        
+        // Choose the coarsest level where the template is still large enough in every zone
+        const searchLevel = Math.min(...zones.map(zone =>
+            this.selectSearchLevel(template.blurred, zone.scales, zone.roi)));
+        this.searchLevel = searchLevel;
+        this.levelTimings = [];
+        
+        // Templates (and piece masks) resized to each pyramid level, created on demand
+        const levelTemplates = {};
+        const getLevelTemplate = (level) => {
+            if (!levelTemplates[level]) {
+                levelTemplates[level] = this.createLevelTemplate(template, level);
+            }
+            return levelTemplates[level];
+        };
+        
+        try {
+            // Coarse rotation/scale sweep at the search level
+            let startTime = performance.now();
+            let candidates = [];
+            zones.forEach(zone => {
+                candidates = candidates.concat(
+                    this.coarseSearch(getLevelTemplate(searchLevel), zone.rotations, zone.scales, zone.roi, searchLevel)
+                );
+            });
+            if (zones.length > 1) {
+                candidates = this.selectTopCandidates(candidates, CONFIG.PYRAMID.TOP_CANDIDATES + CONFIG.CANDIDATES.COUNT - 1, false);
+            }
+            this.recordLevelTiming(searchLevel, startTime, candidates.length);
+            
+            // Refine the surviving candidates in small windows at each finer level
+            for (let level = searchLevel - 1; level >= 0 && candidates.length > 0; level--) {
+                startTime = performance.now();
+                candidates = this.refineCandidates(candidates, getLevelTemplate(level), level);
+                this.recordLevelTiming(level, startTime, candidates.length);
+            }
+            
+            // The sweep only tries the listed angles and scales; measure the actual ones
+            if (CONFIG.FOURIER_MELLIN.ENABLED) {
+                candidates = this.refineRotationScale(candidates, getLevelTemplate(0));
+            }
+            
+            // Re-rank with colour so regions of similar texture but different colour separate
+            if (template.lab) {
+                this.scoreColour(candidates, template);
+            }
+            
+            // Refinement can pull candidates onto the same spot, so suppress again
+            candidates = this.selectTopCandidates(candidates, CONFIG.CANDIDATES.COUNT);
+            
+            const best = candidates[0];
+            if (!best || best.score < CONFIG.DETECTION_THRESHOLD) {
+                return null;
+            }
+            
+            this.lastCandidates = candidates
+                .filter(candidate => candidate.score >= CONFIG.CANDIDATES.MIN_CONFIDENCE)
+                .map((candidate, index) => this.toMatch(candidate, index + 1));
+            
+            return this.toMatch(best);
+        } finally {
+            Object.values(levelTemplates).forEach(levelTemplate => {
+                imageProcessor.cleanupMats([levelTemplate.image, levelTemplate.mask]);
+            });
+        }
+    }
+    
+    /**
+     * Cut the template images and piece mask down to a rectangle
+     * @param {Object} template - Processed template data { mat, gray, blurred, lab, mask } (replaced in place)
+     * @param {Object} rect - Rectangle { x, y, width, height } in template coordinates (inclusive bounds)
+     */
+    cropTemplate(template, rect) {
+        const x = Math.max(0, rect.x);
+        const y = Math.max(0, rect.y);
+        const crop = new cv.Rect(x, y,
+            Math.min(template.mat.cols - x, rect.width + 1),
+            Math.min(template.mat.rows - y, rect.height + 1));
+        if (crop.width <= 0 || crop.height <= 0) return;
+        
+        ['mat', 'gray', 'blurred', 'lab', 'mask'].forEach(key => {
+            const full = template[key];
+            if (!full) return;
+            
+            const view = full.roi(crop);
+            template[key] = view.clone();
+            imageProcessor.cleanupMats([view, full]);
+        });
+    }
+    
+    /**
+     * Resize the template and its piece mask to a pyramid level
+     * @param {Object} template - Processed template data { blurred, mask }
+     * @param {number} level - Pyramid level
+     * @returns {Object} - { image, mask } (caller deletes both)
+     */
+    createLevelTemplate(template, level) {
+        const levelScale = imageProcessor.getPyramidScale(level);
+        return {
+            image: level === 0
+                ? template.blurred.clone()
+                : imageProcessor.resizeTemplate(template.blurred, levelScale),
+            mask: !template.mask ? null : level === 0
+                ? template.mask.clone()
+                : imageProcessor.resizeTemplate(template.mask, levelScale, cv.INTER_NEAREST)
+        };
+    }
+    
+    /**
+     * Compute the search region from the tracked match (or the full reference)
+     * @returns {Object} - Search region in full-resolution reference coordinates
+     */
+    computeSearchRoi() {
+        const refWidth = imageProcessor.cachedBlurredRef.cols;
+        const refHeight = imageProcessor.cachedBlurredRef.rows;
+        
+        if (CONFIG.ROI.ENABLED && this.lastMatchRegion && this.lastConfidence > CONFIG.MATCH_CONFIDENCE_THRESHOLD) {
+            // Use a tighter ROI when we have high confidence
+            const marginFactor = this.lastConfidence > CONFIG.HIGH_CONFIDENCE_THRESHOLD 
+                ? CONFIG.ROI.MARGIN_FACTOR_HIGH 
+                : CONFIG.ROI.MARGIN_FACTOR_LOW;
+            
+            const margin = Math.floor(Math.max(this.lastMatchRegion.width, this.lastMatchRegion.height) * marginFactor);
+            const roiX = Math.max(0, Math.floor(this.lastMatchRegion.x - margin));
+            const roiY = Math.max(0, Math.floor(this.lastMatchRegion.y - margin));
+            const roiWidth = Math.min(refWidth - roiX, Math.floor(this.lastMatchRegion.width + 2 * margin));
+            const roiHeight = Math.min(refHeight - roiY, Math.floor(this.lastMatchRegion.height + 2 * margin));
+            
+            this.roi = { x: roiX, y: roiY, width: roiWidth, height: roiHeight };
+            return this.roi;
+        }
+        
+        this.roi = null;
+        return { x: 0, y: 0, width: refWidth, height: refHeight };
+    }
+    
+    /**
+     * Split the search into regions with their own rotations and scales: border pieces are
+     * only searched in bands along the matching borders, turned so their flat sides face out
+     * @param {Object} template - Processed template data { blurred, placements }
+     * @param {Array} rotations - Rotation angles for an unrestricted search
+     * @param {Array} scales - Scales that will be tried
+     * @param {Object} searchROI - Search region in full-resolution coordinates
+     * @returns {Array} - Zones { roi, rotations, scales } in full-resolution coordinates
+     */
+    getSearchZones(template, rotations, scales, searchROI) {
+        if (!template.placements) {
+            return [{ roi: searchROI, rotations: rotations, scales: scales }];
+        }
+        
+        const refWidth = imageProcessor.cachedBlurredRef.cols;
+        const refHeight = imageProcessor.cachedBlurredRef.rows;
+        const cols = template.blurred.cols;
+        const rows = template.blurred.rows;
+        const zones = [];
+        
+        template.placements.forEach(placement => {
+            // Rotation enlarges the template to its bounding box
+            const angle = placement.rotation * CONFIG.PI_180;
+            const rotatedWidth = rows * Math.abs(Math.sin(angle)) + cols * Math.abs(Math.cos(angle));
+            const rotatedHeight = rows * Math.abs(Math.cos(angle)) + cols * Math.abs(Math.sin(angle));
+            
+            // Each band just holds the template at that scale
+            scales.forEach(scale => {
+                const bandWidth = Math.ceil(rotatedWidth * scale * CONFIG.SHAPE.BAND_FACTOR);
+                const bandHeight = Math.ceil(rotatedHeight * scale * CONFIG.SHAPE.BAND_FACTOR);
+                const bands = {
+                    top: { x: 0, y: 0, width: refWidth, height: bandHeight },
+                    bottom: { x: 0, y: refHeight - bandHeight, width: refWidth, height: bandHeight },
+                    left: { x: 0, y: 0, width: bandWidth, height: refHeight },
+                    right: { x: refWidth - bandWidth, y: 0, width: bandWidth, height: refHeight }
+                };
+                
+                // Corner pieces get the rectangle where their two borders meet
+                const roi = placement.borders.reduce((rect, border) => this.intersectRects(rect, bands[border]), searchROI);
+                if (roi.width > 0 && roi.height > 0) {
+                    zones.push({ roi: roi, rotations: [placement.rotation], scales: [scale] });
+                }
+            });
+        });
+        
+        return zones;
+    }
+    
+    /**
+     * Intersect two rectangles
+     * @param {Object} a - Rectangle { x, y, width, height }
+     * @param {Object} b - Rectangle { x, y, width, height }
+     * @returns {Object} - Overlap (zero width or height when they don't overlap)
+     */
+    intersectRects(a, b) {
+        const x = Math.max(a.x, b.x);
+        const y = Math.max(a.y, b.y);
+        
+        return {
+            x: x,
+            y: y,
+            width: Math.max(0, Math.min(a.x + a.width, b.x + b.width) - x),
+            height: Math.max(0, Math.min(a.y + a.height, b.y + b.height) - y)
+        };
+    }
+    
+    /**
+     * Select the pyramid level for the coarse sweep
+     * @param {cv.Mat} template - Full-resolution template
+     * @param {Array} scales - Scales that will be tried
+     * @param {Object} searchROI - Search region in full-resolution coordinates
+     * @returns {number} - Pyramid level index (0 = full resolution)
+     */
+    selectSearchLevel(template, scales, searchROI) {
+        if (!CONFIG.PYRAMID.ENABLED) return 0;
+        
+        const minScale = Math.min(...scales);
+        const templateSide = Math.min(template.cols, template.rows) * minScale;
+        const roiSide = Math.min(searchROI.width, searchROI.height);
+        
+        for (let level = imageProcessor.getPyramidLevelCount() - 1; level > 0; level--) {
+            const levelScale = imageProcessor.getPyramidScale(level);
+            
+            // Template must stay recognisable and leave room to slide inside the ROI
+            if (templateSide * levelScale >= CONFIG.PYRAMID.MIN_TEMPLATE_SIZE &&
+                roiSide * levelScale > templateSide * levelScale + CONFIG.PYRAMID.REFINE_WINDOW) {
+                return level;
+            }
+        }
+        
+        return 0;
+    }
+    
+    /**
+     * Run the rotation/scale sweep at one pyramid level
+     * @param {Object} levelTemplate - Template and piece mask resized to the level { image, mask }
+     * @param {Array} rotations - Rotation angles to try
+     * @param {Array} scales - Scales to try
+     * @param {Object} searchROI - Search region in full-resolution coordinates
+     * @param {number} level - Pyramid level
+     * @returns {Array} - Top candidates sorted by score, in level coordinates
+     */
+    coarseSearch(levelTemplate, rotations, scales, searchROI, level) {
+        const levelScale = imageProcessor.getPyramidScale(level);
+        const levelRoi = this.scaleRect(searchROI, levelScale);
+        const roiMat = imageProcessor.extractRoi(levelRoi, level);
+        if (!roiMat) return [];
+        
+        const candidates = [];
+        
+        // Optimization: Early termination criteria
+        let earlyTermination = false;
+        let iterationCount = 0;
+        
+        // Process each rotation in order of likelihood
+        for (let rotation of rotations) {
+            if (earlyTermination || iterationCount > CONFIG.MATCH.MAX_SEARCH_ITERATIONS) break;
+            
+            // Rotate the template (the mask also hides the corners filled in by the rotation)
+            const rotated = imageProcessor.rotateWithMask(levelTemplate.image, levelTemplate.mask, rotation);
+            
+            // Try each scale
+            for (let scale of scales) {
+                if (earlyTermination || iterationCount > CONFIG.MATCH.MAX_SEARCH_ITERATIONS) break;
+                iterationCount++;
+                
+                // Early termination if we found a very good match
+                const bestScore = this.matchScale(rotated, rotation, scale, roiMat, levelRoi, level, candidates);
+                if (bestScore > CONFIG.EARLY_TERMINATION_THRESHOLD) {
+                    earlyTermination = true;
+                }
+            }
+            
+            // Clean up rotated template
+            imageProcessor.cleanupMats([rotated.image, rotated.mask]);
+        }
+        
+        // Clean up
+        roiMat.delete();
+        
+        // Keep other rotations of the same spot for refinement (coarse levels confuse them easily),
+        // plus enough extra locations to fill the ranked list
+        return this.selectTopCandidates(
+            candidates,
+            CONFIG.PYRAMID.TOP_CANDIDATES + CONFIG.CANDIDATES.COUNT - 1,
+            false
+        );
+    }
+    
+    /**
+     * Match one rotation/scale of the template against a search region
+     * @param {Object} rotated - Rotated template and mask { image, mask } in level pixels
+     * @param {number} rotation - Rotation of the template in degrees
+     * @param {number} scale - Scale to try
+     * @param {cv.Mat} roiMat - Search region at the level
+     * @param {Object} levelRoi - Search region rect in level coordinates
+     * @param {number} level - Pyramid level
+     * @param {Array} candidates - Receives candidates above the level's threshold
+     * @returns {number} - Best score, or -1 if the scaled template doesn't fit
+     */
+    matchScale(rotated, rotation, scale, roiMat, levelRoi, level, candidates) {
+        // Coarse levels use their own size limit and a looser threshold
+        const minSize = level === 0 ? CONFIG.TEMPLATE.MIN_SIZE : CONFIG.PYRAMID.MIN_TEMPLATE_SIZE;
+        const threshold = level === 0 ? CONFIG.DETECTION_THRESHOLD : CONFIG.PYRAMID.COARSE_THRESHOLD;
+        
+        // Get scaled template
+        const scaled = imageProcessor.resizeWithMask(rotated, scale);
+        const scaledTemplate = scaled.image;
+        
+        // Skip invalid sizes
+        if (scaledTemplate.cols >= roiMat.cols || 
+            scaledTemplate.rows >= roiMat.rows || 
+            scaledTemplate.cols <= minSize || 
+            scaledTemplate.rows <= minSize) {
+            imageProcessor.cleanupMats([scaled.image, scaled.mask]);
+            return -1;
+        }
+        
+        // Match the template within ROI, steering away from placed pieces;
+        // secondary peaks are kept because the global maximum is often wrong in flat areas
+        const peaks = imageProcessor.matchTemplatePeaks(
+            roiMat,
+            scaledTemplate,
+            scaled.mask,
+            this.getPlacementPenalty(levelRoi, scaledTemplate, level),
+            CONFIG.CANDIDATES.PEAKS_PER_MAP
+        );
+        
+        for (const peak of peaks) {
+            if (peak.maxVal < threshold) break;
+            
+            // Adjust coordinates based on ROI offset
+            candidates.push({
+                score: peak.maxVal,
+                scale: scale,
+                rotation: rotation,
+                x: peak.maxLoc.x + levelRoi.x,
+                y: peak.maxLoc.y + levelRoi.y,
+                width: scaledTemplate.cols,
+                height: scaledTemplate.rows,
+                methodScores: peak.methodScores
+            });
+        }
+        
+        // Clean up
+        imageProcessor.cleanupMats([scaled.image, scaled.mask]);
+        
+        return peaks.length > 0 ? peaks[0].maxVal : 0;
+    }
+    
+    /**
+     * Refine candidates at a finer pyramid level within small search windows
+     * @param {Array} candidates - Candidates from the next coarser level
+     * @param {Object} levelTemplate - Template and piece mask resized to this level { image, mask }
+     * @param {number} level - Pyramid level to refine at
+     * @returns {Array} - Refined candidates sorted by score, in level coordinates
+     */
+    refineCandidates(candidates, levelTemplate, level) {
+        const ratio = imageProcessor.getPyramidScale(level) / imageProcessor.getPyramidScale(level + 1);
+        const refined = [];
+        
+        for (const candidate of candidates) {
+            // Window around the upsampled candidate position
+            const center = {
+                x: (candidate.x + candidate.width / 2) * ratio,
+                y: (candidate.y + candidate.height / 2) * ratio
+            };
+            const match = this.matchInWindow(levelTemplate, candidate.rotation, candidate.scale,
+                center, CONFIG.PYRAMID.REFINE_WINDOW, level);
+            
+            if (match) {
+                refined.push(match);
+            }
+        }
+        
+        return refined.sort((a, b) => b.score - a.score);
+    }
+    
+    /**
+     * Match one rotation/scale of the template in a small window around an expected position
+     * @param {Object} levelTemplate - Template and piece mask at the level { image, mask }
+     * @param {number} rotation - Rotation in degrees
+     * @param {number} scale - Scale
+     * @param {Object} center - Expected centre of the template { x, y } in level coordinates
+     * @param {number} window - Search margin in level pixels
+     * @param {number} level - Pyramid level
+     * @returns {Object|null} - Candidate { score, scale, rotation, x, y, width, height, methodScores }
+     *                          in level coordinates, or null if nothing matched
+     */
+    matchInWindow(levelTemplate, rotation, scale, center, window, level) {
+        const rotated = imageProcessor.rotateWithMask(levelTemplate.image, levelTemplate.mask, rotation);
+        const scaled = imageProcessor.resizeWithMask(rotated, scale);
+        const scaledTemplate = scaled.image;
+        imageProcessor.cleanupMats([rotated.image, rotated.mask]);
+        
+        const windowRect = {
+            x: Math.floor(center.x - scaledTemplate.cols / 2) - window,
+            y: Math.floor(center.y - scaledTemplate.rows / 2) - window,
+            width: scaledTemplate.cols + 2 * window,
+            height: scaledTemplate.rows + 2 * window
+        };
+        
+        // A turned template's box can reach past the reference edge; the part outside is
+        // background the mask ignores, so the window is padded rather than cut short
+        const windowMat = imageProcessor.extractPaddedRoi(windowRect, level);
+        let match = null;
+        
+        if (windowMat) {
+            const minMax = imageProcessor.matchTemplate(
+                windowMat,
+                scaledTemplate,
+                scaled.mask,
+                this.getPlacementPenalty(windowRect, scaledTemplate, level)
+            );
+            
+            if (minMax.maxVal > 0) {
+                match = {
+                    score: minMax.maxVal,
+                    scale: scale,
+                    rotation: rotation,
+                    x: minMax.maxLoc.x + windowRect.x,
+                    y: minMax.maxLoc.y + windowRect.y,
+                    width: scaledTemplate.cols,
+                    height: scaledTemplate.rows,
+                    methodScores: minMax.methodScores
+                };
+            }
+            windowMat.delete();
+        }
+        
+        imageProcessor.cleanupMats([scaled.image, scaled.mask]);
+        return match;
+    }
+    
+    /**
+     * Measure the actual rotation and scale of the best candidates with the Fourier-Mellin
+     * estimator and re-match them there, keeping whichever scores higher
+     * @param {Array} candidates - Full-resolution candidates sorted by score
+     * @param {Object} levelTemplate - Full-resolution template and piece mask { image, mask }
+     * @returns {Array} - Candidates sorted by score
+     */
+    refineRotationScale(candidates, levelTemplate) {
+        const settings = CONFIG.FOURIER_MELLIN;
+        const template = levelTemplate.image;
+        
+        const refined = candidates.map((candidate, index) => {
+            if (index >= settings.CANDIDATES) return candidate;
+            
+            // Same disc around the piece centre as the estimator cuts from the template
+            const center = { x: candidate.x + candidate.width / 2, y: candidate.y + candidate.height / 2 };
+            const side = Math.round(fourierMellin.getPatchSide(template, levelTemplate.mask) * candidate.scale);
+            const patch = imageProcessor.extractPaddedRoi({
+                x: Math.round(center.x - side / 2),
+                y: Math.round(center.y - side / 2),
+                width: side,
+                height: side
+            }, 0);
+            if (!patch) return candidate;
+            
+            const estimate = fourierMellin.estimate(template, levelTemplate.mask, patch);
+            patch.delete();
+            if (!estimate || estimate.response < settings.MIN_RESPONSE) return candidate;
+            
+            // The spectrum can't tell a turn from its opposite, so both are tried
+            let best = candidate;
+            [estimate.rotation, estimate.rotation + 180].forEach(rotation => {
+                const match = this.matchInWindow(levelTemplate, ((rotation % 360) + 360) % 360,
+                    estimate.scale, center, settings.SEARCH_WINDOW, 0);
+                if (match && match.score > best.score) {
+                    best = match;
+                }
+            });
+            return best;
+        });
+        
+        return refined.sort((a, b) => b.score - a.score);
+    }
+    
+    /**
+     * Start an exhaustive search of one piece frame: every fine rotation and a dense
+     * scale range over the whole reference, without the live loop's iteration cap
+     * or early exit. Advance it with stepExhaustiveSearch() so the caller can report
+     * progress and cancel between steps.
+     * @param {ImageData} templateImage - Template image data of the frozen piece
+     * @returns {Object|null} - { total } steps, or null if the search can't run
+     */
+    startExhaustiveSearch(templateImage) {
+        this.cancelExhaustiveSearch();
+        if (!imageProcessor.isReady || !imageProcessor.cachedBlurredRef) return null;
+        
+        const template = imageProcessor.processTemplateImage(templateImage);
+        if (!template) return null;
+        
+        const segmentation = CONFIG.SEGMENTATION.ENABLED ? pieceSegmenter.segment(template.mat) : null;
+        template.mask = segmentation ? segmentation.mask : null;
+        
+        const rotations = CONFIG.ALGORITHM.ROTATIONS.FINE;
+        const scales = this.getExhaustiveScales();
+        const searchROI = {
+            x: 0,
+            y: 0,
+            width: imageProcessor.cachedBlurredRef.cols,
+            height: imageProcessor.cachedBlurredRef.rows
+        };
+        
+        const level = this.selectSearchLevel(template.blurred, scales, searchROI);
+        const levelRoi = this.scaleRect(searchROI, imageProcessor.getPyramidScale(level));
+        
+        this.exhaustiveSearch = {
+            template: template,
+            levelTemplate: this.createLevelTemplate(template, level),
+            roiMat: imageProcessor.extractRoi(levelRoi, level),
+            levelRoi: levelRoi,
+            level: level,
+            rotations: rotations,
+            scales: scales,
+            step: 0,
+            candidates: []
+        };
+        
+        if (!this.exhaustiveSearch.roiMat) {
+            this.cancelExhaustiveSearch();
+            return null;
+        }
+        
+        return { total: rotations.length };
+    }
+    
+    /**
+     * Search the next rotation at every scale
+     * @returns {boolean} - False if no search is running
+     */
+    stepExhaustiveSearch() {
+        const search = this.exhaustiveSearch;
+        if (!search || search.step >= search.rotations.length) return false;
+        
+        const rotation = search.rotations[search.step++];
+        const rotated = imageProcessor.rotateWithMask(search.levelTemplate.image, search.levelTemplate.mask, rotation);
+        
+        for (const scale of search.scales) {
+            this.matchScale(rotated, rotation, scale, search.roiMat, search.levelRoi, search.level, search.candidates);
+        }
+        imageProcessor.cleanupMats([rotated.image, rotated.mask]);
+        
+        // Bound memory: only the best few per rotation can survive refinement anyway
+        search.candidates = this.selectTopCandidates(search.candidates, CONFIG.SEARCH.TOP_CANDIDATES, false);
+        return true;
+    }
+    
+    /**
+     * Refine the surviving candidates and end the search
+     * @returns {Array} - Ranked matches (best first), each with its own confidence and rank
+     */
+    finishExhaustiveSearch() {
+        const search = this.exhaustiveSearch;
+        if (!search) return [];
+        
+        try {
+            let candidates = this.selectTopCandidates(search.candidates, CONFIG.SEARCH.TOP_CANDIDATES, false);
+            
+            for (let level = search.level - 1; level >= 0 && candidates.length > 0; level--) {
+                const levelTemplate = this.createLevelTemplate(search.template, level);
+                candidates = this.refineCandidates(candidates, levelTemplate, level);
+                imageProcessor.cleanupMats([levelTemplate.image, levelTemplate.mask]);
+            }
+            
+            if (CONFIG.FOURIER_MELLIN.ENABLED) {
+                const levelTemplate = this.createLevelTemplate(search.template, 0);
+                candidates = this.refineRotationScale(candidates, levelTemplate);
+                imageProcessor.cleanupMats([levelTemplate.image, levelTemplate.mask]);
+            }
+            
+            if (search.template.lab) {
+                this.scoreColour(candidates, search.template);
+            }
+            
+            return this.selectTopCandidates(candidates, CONFIG.SEARCH.RESULT_COUNT)
+                .filter(candidate => candidate.score >= CONFIG.CANDIDATES.MIN_CONFIDENCE)
+                .map((candidate, index) => this.toMatch(candidate, index + 1));
+        } finally {
+            this.cancelExhaustiveSearch();
+        }
+    }
+    
+    /**
+     * Stop the exhaustive search and free its images
+     */
+    cancelExhaustiveSearch() {
+        const search = this.exhaustiveSearch;
+        if (!search) return;
+        
+        const template = search.template;
+        imageProcessor.cleanupMats([
+            template.mat, template.gray, template.blurred, template.lab, template.mask,
+            search.levelTemplate.image, search.levelTemplate.mask, search.roiMat
+        ]);
+        this.exhaustiveSearch = null;
+    }
+    
+    /**
+     * Get the dense scale range used by the exhaustive search
+     * @returns {Array} - Scales from SEARCH.SCALE_MIN to SEARCH.SCALE_MAX
+     */
+    getExhaustiveScales() {
+        const scales = [];
+        const steps = Math.round((CONFIG.SEARCH.SCALE_MAX - CONFIG.SEARCH.SCALE_MIN) / CONFIG.SEARCH.SCALE_STEP);
+        
+        for (let i = 0; i <= steps; i++) {
+            scales.push(Number((CONFIG.SEARCH.SCALE_MIN + i * CONFIG.SEARCH.SCALE_STEP).toFixed(3)));
+        }
+        return scales;
+    }
+    
+    /**
+     * Fuse a colour score into full-resolution candidates' grayscale scores
+     * @param {Array} candidates - Level 0 candidates (scores are updated in place)
+     * @param {Object} template - Processed template data { lab, mask }
+     */
+    scoreColour(candidates, template) {
+        const weights = CONFIG.COLOR;
+        
+        for (const candidate of candidates) {
+            const rotated = imageProcessor.rotateWithMask(template.lab, template.mask, candidate.rotation);
+            const scaled = imageProcessor.resizeWithMask(rotated, candidate.scale);
+            imageProcessor.cleanupMats([rotated.image, rotated.mask]);
+            
+            const patch = scaled.image.cols === candidate.width && scaled.image.rows === candidate.height
+                ? imageProcessor.extractLabRoi(candidate)
+                : null;
+            
+            if (patch) {
+                const colour = imageProcessor.compareColour(patch, scaled.image, scaled.mask);
+                patch.delete();
+                
+                // Flat-coloured pieces have no chroma structure; rely on the mean colour alone
+                const chromaWeight = colour.chroma === null ? 0 : weights.CHROMA_WEIGHT;
+                const totalWeight = weights.GRAY_WEIGHT + chromaWeight + weights.MEAN_WEIGHT;
+                
+                candidate.grayScore = candidate.score;
+                candidate.colourScore = (chromaWeight * (colour.chroma || 0) + weights.MEAN_WEIGHT * colour.mean) /
+                    (chromaWeight + weights.MEAN_WEIGHT);
+                candidate.score = (weights.GRAY_WEIGHT * candidate.score +
+                    chromaWeight * (colour.chroma || 0) +
+                    weights.MEAN_WEIGHT * colour.mean) / totalWeight;
+            }
+            
+            imageProcessor.cleanupMats([scaled.image, scaled.mask]);
+        }
+    }
+    
+    /**
+     * Keep the best candidates with non-maximum suppression: a candidate whose
+     * centre lies within half the size of a better one is treated as the same location
+     * @param {Array} candidates - Unsorted candidates
+     * @param {number} limit - Maximum number of candidates to keep
+     * @param {boolean} acrossRotations - Suppress across rotations and scales (false: only within the same rotation)
+     * @returns {Array} - Distinct candidates sorted by score
+     */
+    selectTopCandidates(candidates, limit, acrossRotations = true) {
+        const selected = [];
+        
+        candidates.sort((a, b) => b.score - a.score);
+        for (const candidate of candidates) {
+            if (selected.length >= limit) break;
+            
+            const centerX = candidate.x + candidate.width / 2;
+            const centerY = candidate.y + candidate.height / 2;
+            
+            const duplicate = selected.some(other => {
+                if (!acrossRotations && other.rotation !== candidate.rotation) return false;
+                
+                const radiusX = Math.min(other.width, candidate.width) / 2;
+                const radiusY = Math.min(other.height, candidate.height) / 2;
+                return Math.abs(other.x + other.width / 2 - centerX) < radiusX &&
+                    Math.abs(other.y + other.height / 2 - centerY) < radiusY;
+            });
+            
+            if (!duplicate) {
+                selected.push(candidate);
+            }
+        }
+        
+        return selected;
+    }
+    
+    /**
+     * Convert a search candidate to the match format reported to the UI
+     * @param {Object} candidate - Candidate { score, scale, rotation, x, y, width, height }
+     * @param {number} rank - Optional rank (1 = best)
+     * @returns {Object} - Match information
+     */
+    toMatch(candidate, rank = null) {
+        const match = {
+            confidence: candidate.score !== undefined ? candidate.score : candidate.confidence,
+            scale: candidate.scale,
+            rotation: candidate.rotation,
+            x: candidate.x,
+            y: candidate.y,
+            width: candidate.width,
+            height: candidate.height
+        };
+        
+        // Individual scores when colour was fused in
+        if (candidate.grayScore !== undefined) {
+            match.grayScore = candidate.grayScore;
+            match.colourScore = candidate.colourScore;
+        }
+        
+        // Score of each template matching method behind the grayscale score
+        if (candidate.methodScores) {
+            match.methodScores = candidate.methodScores;
+        }
+        
+        if (rank !== null) {
+            match.rank = rank;
+        }
+        return match;
+    }
+    
+    /**
+     * Get the ranked candidate locations from the last frame
+     * @returns {Array} - Candidates (best first), each with its own confidence and rank
+     */
+    getLastCandidates() {
+        return this.lastCandidates;
+    }
+    
+    /**
+     * Get the core of a placed region, where a match centre counts as "on" the piece
+     * (the margin keeps neighbouring cells reachable)
+     * @param {Object} region - Placed region in full-resolution coordinates
+     * @returns {Object} - Core rectangle { x, y, width, height }
+     */
+    getPlacedCore(region) {
+        const core = CONFIG.PLACEMENT.CORE_FRACTION;
+        const insetX = region.width * (1 - core) / 2;
+        const insetY = region.height * (1 - core) / 2;
+        
+        return {
+            x: region.x + insetX,
+            y: region.y + insetY,
+            width: region.width * core,
+            height: region.height * core
+        };
+    }
+    
+    /**
+     * Get the match-result regions where the template centre would land on a placed piece
+     * @param {Object} origin - Top-left of the searched area in level coordinates
+     * @param {cv.Mat} template - Template being matched, in level pixels
+     * @param {number} level - Pyramid level
+     * @returns {Array|null} - Penalty rects in result coordinates, or null if nothing is placed
+     */
+    getPlacementPenalty(origin, template, level) {
+        if (!CONFIG.PLACEMENT.ENABLED || this.placedRegions.length === 0) return null;
+        
+        const levelScale = imageProcessor.getPyramidScale(level);
+        
+        // Result pixel (u, v) puts the template centre at origin + (u, v) + half the template size
+        return this.placedRegions.map(region => {
+            const core = this.scaleRect(this.getPlacedCore(region), levelScale);
+            return {
+                x: Math.floor(core.x - origin.x - template.cols / 2),
+                y: Math.floor(core.y - origin.y - template.rows / 2),
+                width: core.width,
+                height: core.height,
+                penalty: CONFIG.PLACEMENT.PENALTY
+            };
+        });
+    }
+    
+    /**
+     * Check whether a match is centred on a placed piece
+     * @param {Object} match - Match in full-resolution coordinates
+     * @returns {boolean} - True if the match centre lies in a placed region's core
+     */
+    isOnPlacedRegion(match) {
+        if (!CONFIG.PLACEMENT.ENABLED) return false;
+        
+        const centerX = match.x + match.width / 2;
+        const centerY = match.y + match.height / 2;
+        
+        return this.placedRegions.some(region => {
+            const core = this.getPlacedCore(region);
+            return centerX >= core.x && centerX < core.x + core.width &&
+                centerY >= core.y && centerY < core.y + core.height;
+        });
+    }
+    
+    /**
+     * Record a match as a placed piece
+     * @param {Object|null} shown - Match the user confirmed { x, y, width, height, rotation }, or null
+     *                              for the detector's own last match
+     * @returns {Object|null} - Placed region, or null if there is no match to confirm
+     */
+    confirmPlacement(shown = null) {
+        const match = shown || this.lastMatchRegion;
+        // Confidence decays after missed frames, so zero means the detector's own match is stale
+        if (!match || (!shown && this.lastConfidence <= 0)) return null;
+        
+        const region = {
+            x: match.x,
+            y: match.y,
+            width: match.width,
+            height: match.height,
+            rotation: match.rotation
+        };
+        this.placedRegions.push(region);
+        
+        // The next piece starts with a fresh full search
+        pieceShape.reset();
+        this.rotationMode = 'coarse';
+        this.lastConfidence = 0;
+        this.lastMatchRegion = null;
+        this.stableMatchCount = 0;
+        this.roi = null;
+        
+        return region;
+    }
+    
+    /**
+     * Replace the placed regions (e.g. when a stored puzzle is restored)
+     * @param {Array} regions - Placed regions in full-resolution coordinates
+     */
+    setPlacedRegions(regions) {
+        this.placedRegions = Array.isArray(regions) ? regions.slice() : [];
+    }
+    
+    /**
+     * Scale a rectangle between pyramid levels
+     * @param {Object} rect - Rectangle { x, y, width, height }
+     * @param {number} factor - Scale factor
+     * @returns {Object} - Scaled rectangle with integer coordinates
+     */
+    scaleRect(rect, factor) {
+        return {
+            x: Math.floor(rect.x * factor),
+            y: Math.floor(rect.y * factor),
+            width: Math.ceil(rect.width * factor),
+            height: Math.ceil(rect.height * factor)
+        };
+    }
+    
+    /**
+     * Record how long a pyramid level took
+     * @param {number} level - Pyramid level
+     * @param {number} startTime - performance.now() when the level started
+     * @param {number} candidateCount - Candidates left after the level
+     */
+    recordLevelTiming(level, startTime, candidateCount) {
+        this.levelTimings.push({
+            level: level,
+            time: performance.now() - startTime,
+            candidates: candidateCount
+        });
+    }
+    
     /**
      * Update match stability based on current and last match
      * @param {Object} bestMatch - Current best match
@@ -164,7 +999,7 @@ class MatchDetector {
                 const xDiff = Math.abs(this.lastMatchRegion.x - bestMatch.x);
                 const yDiff = Math.abs(this.lastMatchRegion.y - bestMatch.y);
                 const sizeDiff = Math.abs(this.lastMatchRegion.width - bestMatch.width);
-                const rotDiff = Math.abs(this.lastMatchRegion.rotation - bestMatch.rotation);
+                const rotDiff = Math.abs(signedAngleDifference(this.lastMatchRegion.rotation, bestMatch.rotation));
                 
                 // If match is stable, increment counter
                 if (xDiff < CONFIG.MATCH.STABLE_POSITION_THRESHOLD && 
@@ -216,9 +1051,8 @@ class MatchDetector {
             this.lastConfidence > CONFIG.HIGH_CONFIDENCE_THRESHOLD && 
             this.stableMatchCount > CONFIG.MAX_STABLE_COUNT / 2) {
             
-            // Use just the known good angle with small variations
-            const baseAngle = Math.round(this.lastMatchRegion.rotation);
-            return [baseAngle];
+            // Use just the known good angle (measured, not just the nearest listed one)
+            return [this.lastMatchRegion.rotation];
         }
         
         // Progressive rotation search based on confidence
@@ -269,6 +1103,22 @@ class MatchDetector {
         return this.roi;
     }
     
+    /**
+     * Get the piece silhouette from the last processed frame
+     * @returns {Object|null} - Segmentation { contour, area, bbox, width, height }
+     */
+    getLastSegmentation() {
+        return this.lastSegmentation;
+    }
+    
+    /**
+     * Get the piece classification from the last processed frame
+     * @returns {Object|null} - { type: 'interior'|'edge'|'corner', flatSides }
+     */
+    getLastShape() {
+        return this.lastShape;
+    }
+    
     /**
      * Get current match state information
      * @returns {Object} - Current match state
@@ -278,19 +1128,42 @@ class MatchDetector {
             rotationMode: this.rotationMode,
             confidence: this.lastConfidence,
             stableCount: this.stableMatchCount,
-            lastMatch: this.lastMatchRegion
+            lastMatch: this.lastMatchRegion,
+            searchLevel: this.searchLevel,
+            levelTimings: this.levelTimings,
+            normalization: imageProcessor.getNormalizationReport().template
         };
     }
     
+    /**
+     * Pick up changed settings without a reset
+     * @param {Array} changedPaths - CONFIG paths that changed
+     */
+    applySettings(changedPaths) {
+        // A stable match narrows the sweep to its own angle and scale; drop that so new sets apply now
+        if (changedPaths.some(path => path.startsWith('ALGORITHM.'))) {
+            this.rotationMode = 'coarse';
+            this.stableMatchCount = 0;
+        }
+    }
+    
     /**
      * Reset detector state
      */
     reset() {
+        this.cancelExhaustiveSearch();
         this.rotationMode = 'coarse';
         this.lastConfidence = 0;
         this.lastMatchRegion = null;
         this.stableMatchCount = 0;
         this.roi = null;
+        this.searchLevel = 0;
+        this.levelTimings = [];
+        this.lastSegmentation = null;
+        this.lastShape = null;
+        this.lastCandidates = [];
+        this.placedRegions = [];
+        pieceShape.reset();
     }
 }
 
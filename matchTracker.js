@@ -0,0 +1,287 @@
+/**
+ * Match Tracker for Puzzle Detector Pro
+ * Smooths the per-frame best match over time: a constant-velocity Kalman
+ * filter per axis steadies position, size, scale and rotation, confidence
+ * accumulates across frames, and a new location has to win several frames
+ * in a row before the outline moves there
+ */
+class MatchTracker {
+    constructor() {
+        // Location being tracked: { axes, confidence, hits, misses, measurement, time } or null
+        this.track = null;
+        
+        // Location competing with the track: { match, confidence, count } or null
+        this.challenger = null;
+        
+        // Unfiltered best match from the last frame, for debugging
+        this.lastRaw = null;
+    }
+    
+    /**
+     * Feed the best match of a frame and get the filtered estimate
+     * @param {Object|null} match - Raw best match { x, y, width, height, rotation, scale, confidence }
+     * @param {number} time - Frame time in milliseconds (performance.now())
+     * @returns {Object|null} - Filtered match (same fields, plus hits and raw) or null if nothing is tracked
+     */
+    update(match, time = performance.now()) {
+        this.lastRaw = match;
+        const measured = match && match.confidence >= CONFIG.DETECTION_THRESHOLD ? match : null;
+        
+        if (this.track) {
+            this.predict(time);
+        }
+        
+        if (measured && !this.track) {
+            this.startTrack(measured, measured.confidence, time);
+        } else if (measured && this.isSameLocation(measured, this.getEstimate())) {
+            this.correct(measured);
+            this.challenger = null;
+        } else {
+            // Missed or elsewhere: the track keeps coasting but loses confidence
+            this.decay();
+            if (measured) {
+                this.challenge(measured, time);
+            }
+        }
+        
+        if (this.track && this.track.misses > CONFIG.TRACKING.MAX_MISSES) {
+            this.track = null;
+        }
+        
+        const estimate = this.getEstimate();
+        return estimate ? Object.assign(estimate, { raw: match }) : null;
+    }
+    
+    /**
+     * Start tracking a location
+     * @param {Object} match - Match to start from
+     * @param {number} confidence - Confidence carried over (accumulated while it was a challenger)
+     * @param {number} time - Frame time in milliseconds
+     */
+    startTrack(match, confidence, time) {
+        const axis = value => ({ value: value, velocity: 0, variance: [[1e6, 0], [0, 1e6]] });
+        
+        this.track = {
+            axes: {},
+            confidence: confidence,
+            hits: 0,
+            misses: 0,
+            measurement: match,
+            time: time
+        };
+        this.getAxisValues(match).forEach(([name, value]) => {
+            this.track.axes[name] = axis(value);
+        });
+        this.correct(match);
+        this.challenger = null;
+    }
+    
+    /**
+     * Let a location away from the track compete for it
+     * @param {Object} match - Match outside the track's gate
+     * @param {number} time - Frame time in milliseconds
+     */
+    challenge(match, time) {
+        const settings = CONFIG.TRACKING;
+        
+        if (this.challenger && this.isSameLocation(match, this.challenger.match)) {
+            this.challenger.count++;
+            this.challenger.confidence += settings.CONFIDENCE_RATE * (match.confidence - this.challenger.confidence);
+            this.challenger.match = match;
+        } else {
+            this.challenger = { match: match, confidence: match.confidence, count: 1 };
+        }
+        
+        // Hysteresis: the outline only moves once the new location has held for a few frames
+        if (this.challenger.count >= settings.SWITCH_FRAMES) {
+            this.startTrack(match, this.challenger.confidence, time);
+        }
+    }
+    
+    /**
+     * Advance every axis of the track to the given time
+     * @param {number} time - Frame time in milliseconds
+     */
+    predict(time) {
+        const settings = CONFIG.TRACKING;
+        const elapsed = Math.min(settings.MAX_STEP, Math.max(0.001, (time - this.track.time) / 1000));
+        this.track.time = time;
+        
+        Object.entries(this.track.axes).forEach(([name, axis]) => {
+            const acceleration = this.getProcessNoise(name);
+            
+            axis.value += axis.velocity * elapsed;
+            
+            // P = F P F' + Q for a constant-velocity model driven by white-noise acceleration
+            const [[p00, p01], [p10, p11]] = axis.variance;
+            const q = acceleration * acceleration;
+            const t2 = elapsed * elapsed;
+            axis.variance = [
+                [p00 + elapsed * (p10 + p01) + t2 * p11 + q * t2 * t2 / 4, p01 + elapsed * p11 + q * t2 * elapsed / 2],
+                [p10 + elapsed * p11 + q * t2 * elapsed / 2, p11 + q * t2]
+            ];
+        });
+    }
+    
+    /**
+     * Correct every axis of the track with a measurement at its location
+     * @param {Object} match - Match inside the track's gate
+     */
+    correct(match) {
+        const settings = CONFIG.TRACKING;
+        
+        this.getAxisValues(match).forEach(([name, value]) => {
+            const axis = this.track.axes[name];
+            
+            // Angles are measured relative to the estimate so 359° -> 1° is a small step
+            const measured = name === 'rotation' ? axis.value + signedAngleDifference(axis.value, value) : value;
+            
+            const noise = this.getMeasurementNoise(name);
+            const [[p00, p01], [p10, p11]] = axis.variance;
+            const innovation = measured - axis.value;
+            const total = p00 + noise * noise;
+            const gain0 = p00 / total;
+            const gain1 = p10 / total;
+            
+            axis.value += gain0 * innovation;
+            axis.velocity += gain1 * innovation;
+            axis.variance = [
+                [(1 - gain0) * p00, (1 - gain0) * p01],
+                [p10 - gain1 * p00, p11 - gain1 * p01]
+            ];
+        });
+        
+        this.track.confidence += settings.CONFIDENCE_RATE * (match.confidence - this.track.confidence);
+        this.track.hits++;
+        this.track.misses = 0;
+        this.track.measurement = match;
+    }
+    
+    /**
+     * Count a frame without a measurement at the track's location (it scores 0 there)
+     */
+    decay() {
+        if (!this.track) return;
+        this.track.confidence *= 1 - CONFIG.TRACKING.CONFIDENCE_RATE;
+        this.track.misses++;
+    }
+    
+    /**
+     * Get the values a match contributes to each filtered axis
+     * @param {Object} match - Match { x, y, width, height, rotation, scale }
+     * @returns {Array} - [axis name, value] pairs (position is filtered at the centre)
+     */
+    getAxisValues(match) {
+        return [
+            ['centerX', match.x + match.width / 2],
+            ['centerY', match.y + match.height / 2],
+            ['width', match.width],
+            ['height', match.height],
+            ['rotation', match.rotation || 0],
+            ['scale', match.scale || 1]
+        ];
+    }
+    
+    /**
+     * Get the expected per-frame jitter of an axis
+     * @param {string} name - Axis name
+     * @returns {number} - Standard deviation in the axis' units
+     */
+    getMeasurementNoise(name) {
+        const settings = CONFIG.TRACKING;
+        if (name === 'rotation') return settings.ROTATION_NOISE;
+        
+        // Position and size jitter grow with the piece
+        const axes = this.track.axes;
+        const size = name === 'scale' ? axes.scale.value : Math.max(axes.width.value, axes.height.value);
+        return (name.startsWith('center') ? settings.POSITION_NOISE : settings.SIZE_NOISE) * size;
+    }
+    
+    /**
+     * Get how fast an axis may change speed
+     * @param {string} name - Axis name
+     * @returns {number} - Acceleration standard deviation in the axis' units per second²
+     */
+    getProcessNoise(name) {
+        const settings = CONFIG.TRACKING;
+        if (name === 'rotation') return settings.ROTATION_MOTION;
+        
+        const axes = this.track.axes;
+        const size = name === 'scale' ? axes.scale.value : Math.max(axes.width.value, axes.height.value);
+        return settings.MOTION * size;
+    }
+    
+    /**
+     * Check whether a match is at the same location as another
+     * @param {Object} match - Match
+     * @param {Object} other - Match or estimate
+     * @returns {boolean} - True if centres and rotations are within the gate
+     */
+    isSameLocation(match, other) {
+        if (!match || !other) return false;
+        
+        const distance = Math.hypot(
+            (match.x + match.width / 2) - (other.x + other.width / 2),
+            (match.y + match.height / 2) - (other.y + other.height / 2));
+        const size = Math.max(other.width, other.height);
+        
+        return distance <= CONFIG.TRACKING.GATE * size &&
+            Math.abs(signedAngleDifference(other.rotation || 0, match.rotation || 0)) <= CONFIG.TRACKING.ROTATION_GATE;
+    }
+    
+    /**
+     * Get the filtered match
+     * @returns {Object|null} - Match fields from the latest measurement with filtered geometry and confidence
+     */
+    getEstimate() {
+        if (!this.track) return null;
+        
+        const axes = this.track.axes;
+        const width = Math.max(1, axes.width.value);
+        const height = Math.max(1, axes.height.value);
+        
+        return Object.assign({}, this.track.measurement, {
+            x: axes.centerX.value - width / 2,
+            y: axes.centerY.value - height / 2,
+            width: width,
+            height: height,
+            rotation: ((axes.rotation.value % 360) + 360) % 360,
+            scale: axes.scale.value,
+            confidence: this.track.confidence,
+            hits: this.track.hits
+        });
+    }
+    
+    /**
+     * Put the filtered match first among the frame's candidates
+     * @param {Object|null} estimate - Filtered match from update
+     * @param {Array} candidates - Raw ranked candidates (best first)
+     * @returns {Array} - Candidates led by the estimate, without raw ones at its location, re-ranked
+     */
+    arrange(estimate, candidates = []) {
+        if (!estimate) return candidates;
+        
+        const others = candidates.filter(candidate => !this.isSameLocation(candidate, estimate));
+        return [estimate].concat(others).map((candidate, index) => Object.assign({}, candidate, { rank: index + 1 }));
+    }
+    
+    /**
+     * Get the unfiltered best match from the last frame
+     * @returns {Object|null} - Raw match
+     */
+    getLastRaw() {
+        return this.lastRaw;
+    }
+    
+    /**
+     * Forget the tracked location (new piece, reference or frozen frame)
+     */
+    reset() {
+        this.track = null;
+        this.challenger = null;
+        this.lastRaw = null;
+    }
+}
+
+// Create global instance
+const matchTracker = new MatchTracker();
\ No newline at end of file
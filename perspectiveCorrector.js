@@ -0,0 +1,204 @@
+/**
+ * Perspective Corrector for Puzzle Detector Pro
+ * Finds the puzzle (or box) outline in a reference photo and warps it
+ * to a fronto-parallel rectangle before it is used for matching
+ * (detection and warping run in the detection worker; the main thread
+ * loads it too for the corner geometry helpers)
+ */
+class PerspectiveCorrector {
+    /**
+     * Detect the puzzle boundary quadrilateral
+     * @param {ImageData} imageData - Reference image data
+     * @returns {Array|null} - Corners [tl, tr, br, bl] as {x, y} in image coordinates, or null if none found
+     */
+    detectBoundary(imageData) {
+        const settings = CONFIG.PERSPECTIVE;
+        
+        const src = cv.matFromImageData(imageData);
+        const small = new cv.Mat();
+        const gray = new cv.Mat();
+        const edges = new cv.Mat();
+        const contours = new cv.MatVector();
+        const hierarchy = new cv.Mat();
+        
+        try {
+            // Work on a small copy; outline detection doesn't need full resolution
+            const workScale = Math.min(1, settings.WORK_SIZE / Math.max(src.cols, src.rows));
+            cv.resize(src, small, new cv.Size(0, 0), workScale, workScale, cv.INTER_AREA);
+            
+            cv.cvtColor(small, gray, cv.COLOR_RGBA2GRAY);
+            cv.GaussianBlur(gray, gray, new cv.Size(5, 5), 0);
+            cv.Canny(gray, edges, settings.CANNY_LOW, settings.CANNY_HIGH);
+            
+            // Close small gaps in the outline so it forms one contour
+            const kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(3, 3));
+            cv.dilate(edges, edges, kernel);
+            kernel.delete();
+            
+            cv.findContours(edges, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+            
+            const minArea = small.cols * small.rows * settings.MIN_AREA_FRACTION;
+            let bestArea = 0;
+            let bestCorners = null;
+            
+            for (let i = 0; i < contours.size(); i++) {
+                const contour = contours.get(i);
+                const area = cv.contourArea(contour);
+                
+                if (area >= minArea && area > bestArea) {
+                    const corners = this.approximateQuad(contour);
+                    if (corners) {
+                        bestArea = area;
+                        bestCorners = corners;
+                    }
+                }
+                contour.delete();
+            }
+            
+            if (!bestCorners) return null;
+            
+            // Scale back to full resolution
+            return this.orderCorners(bestCorners.map(point => ({
+                x: point.x / workScale,
+                y: point.y / workScale
+            })));
+        } catch (error) {
+            console.error('Boundary detection error:', error);
+            return null;
+        } finally {
+            imageProcessor.cleanupMats([src, small, gray, edges, contours, hierarchy]);
+        }
+    }
+    
+    /**
+     * Simplify a contour and accept it only if it is a convex quadrilateral
+     * @param {cv.Mat} contour - Contour points
+     * @returns {Array|null} - Four {x, y} points or null
+     */
+    approximateQuad(contour) {
+        const approx = new cv.Mat();
+        
+        try {
+            cv.approxPolyDP(contour, approx, cv.arcLength(contour, true) * CONFIG.PERSPECTIVE.APPROX_EPSILON, true);
+            if (approx.rows !== 4 || !cv.isContourConvex(approx)) return null;
+            
+            const points = [];
+            for (let i = 0; i < 4; i++) {
+                points.push({ x: approx.data32S[i * 2], y: approx.data32S[i * 2 + 1] });
+            }
+            return points;
+        } finally {
+            approx.delete();
+        }
+    }
+    
+    /**
+     * Order four corners as top-left, top-right, bottom-right, bottom-left
+     * @param {Array} corners - Four {x, y} points in any order
+     * @returns {Array} - Ordered corners
+     */
+    orderCorners(corners) {
+        // Top-left has the smallest x + y, bottom-right the largest;
+        // top-right has the largest x - y, bottom-left the smallest
+        const bySum = corners.slice().sort((a, b) => (a.x + a.y) - (b.x + b.y));
+        const byDiff = corners.slice().sort((a, b) => (a.x - a.y) - (b.x - b.y));
+        
+        return [bySum[0], byDiff[3], bySum[3], byDiff[0]];
+    }
+    
+    /**
+     * Get the default corners (the whole image) used when no boundary is found
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {Array} - Corners [tl, tr, br, bl]
+     */
+    getFullImageCorners(width, height) {
+        return [
+            { x: 0, y: 0 },
+            { x: width - 1, y: 0 },
+            { x: width - 1, y: height - 1 },
+            { x: 0, y: height - 1 }
+        ];
+    }
+    
+    /**
+     * Compute the output rectangle size for a quadrilateral
+     * @param {Array} corners - Ordered corners [tl, tr, br, bl]
+     * @param {number} maxSize - Longest side in pixels
+     * @returns {Object} - { width, height }
+     */
+    getOutputSize(corners, maxSize = CONFIG.PERSPECTIVE.MAX_OUTPUT_SIZE) {
+        const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+        const [tl, tr, br, bl] = corners;
+        
+        // Longest opposite edges keep the most detail
+        let width = Math.max(distance(tl, tr), distance(bl, br));
+        let height = Math.max(distance(tl, bl), distance(tr, br));
+        
+        const scale = Math.min(1, maxSize / Math.max(width, height));
+        width = Math.max(1, Math.round(width * scale));
+        height = Math.max(1, Math.round(height * scale));
+        
+        return { width: width, height: height };
+    }
+    
+    /**
+     * Check whether corners describe the whole image (nothing to correct)
+     * @param {Array} corners - Ordered corners
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {boolean} - True if warping would be a no-op
+     */
+    isFullImage(corners, width, height) {
+        const full = this.getFullImageCorners(width, height);
+        return corners.every((corner, i) =>
+            Math.abs(corner.x - full[i].x) < 1 && Math.abs(corner.y - full[i].y) < 1
+        );
+    }
+    
+    /**
+     * Warp the quadrilateral to a fronto-parallel rectangle
+     * @param {ImageData} imageData - Reference image data
+     * @param {Array} corners - Corners [tl, tr, br, bl] in image coordinates
+     * @param {number} maxSize - Longest side in pixels of the result
+     * @returns {ImageData|null} - Rectified image or null on failure
+     */
+    rectify(imageData, corners, maxSize = CONFIG.PERSPECTIVE.MAX_OUTPUT_SIZE) {
+        const ordered = this.orderCorners(corners);
+        const size = this.getOutputSize(ordered, maxSize);
+        
+        const src = cv.matFromImageData(imageData);
+        const dst = new cv.Mat();
+        const srcPoints = cv.matFromArray(4, 1, cv.CV_32FC2, ordered.flatMap(point => [point.x, point.y]));
+        const dstPoints = cv.matFromArray(4, 1, cv.CV_32FC2, [
+            0, 0,
+            size.width - 1, 0,
+            size.width - 1, size.height - 1,
+            0, size.height - 1
+        ]);
+        
+        let transform = null;
+        try {
+            transform = cv.getPerspectiveTransform(srcPoints, dstPoints);
+            cv.warpPerspective(
+                src,
+                dst,
+                transform,
+                new cv.Size(size.width, size.height),
+                cv.INTER_LINEAR,
+                cv.BORDER_REPLICATE,
+                new cv.Scalar()
+            );
+            
+            return new ImageData(new Uint8ClampedArray(dst.data), dst.cols, dst.rows);
+        } catch (error) {
+            console.error('Perspective correction error:', error);
+            return null;
+        } finally {
+            imageProcessor.cleanupMats([src, dst, srcPoints, dstPoints, transform]);
+        }
+    }
+}
+
+// Create global instance
+const perspectiveCorrector = new PerspectiveCorrector();
\ No newline at end of file
@@ -0,0 +1,277 @@
+/**
+ * Piece Segmenter for Puzzle Detector Pro
+ * Separates the puzzle piece from the table background inside the template
+ * area, so matching can ignore background pixels
+ */
+class PieceSegmenter {
+    constructor() {
+        // Learned background colour model in Lab space
+        this.backgroundMean = null;
+        this.backgroundStd = null;
+        
+        // Last successful segmentation (plain data, safe to post to the main thread)
+        this.lastSegmentation = null;
+    }
+    
+    /**
+     * Segment the piece in a template image
+     * @param {cv.Mat} templateMat - RGBA template image
+     * @returns {Object|null} - { mask, contour, area, bbox, width, height } or null if no piece found;
+     *                          the caller owns and must delete the mask
+     */
+    segment(templateMat) {
+        const settings = CONFIG.SEGMENTATION;
+        
+        // Work on a small copy; the contour is scaled back afterwards
+        const workScale = Math.min(1, settings.WORK_SIZE / Math.max(templateMat.cols, templateMat.rows));
+        const small = imageProcessor.resizeTemplate(templateMat, workScale);
+        const rgb = new cv.Mat();
+        const lab = new cv.Mat();
+        
+        let foreground = null;
+        try {
+            cv.cvtColor(small, rgb, cv.COLOR_RGBA2RGB);
+            cv.cvtColor(rgb, lab, cv.COLOR_RGB2Lab);
+            
+            // Learn the background from the border ring, which sits outside the piece outline
+            this.updateBackgroundModel(lab);
+            
+            foreground = this.computeForeground(lab);
+            const contour = this.findPieceContour(foreground);
+            if (!contour) {
+                this.lastSegmentation = null;
+                return null;
+            }
+            
+            // Scale the contour back to template coordinates
+            const points = contour.map(point => ({
+                x: Math.round(point.x / workScale),
+                y: Math.round(point.y / workScale)
+            }));
+            
+            const mask = this.rasterizeContour(points, templateMat.cols, templateMat.rows);
+            const bbox = this.getBoundingBox(points);
+            const area = cv.countNonZero(mask);
+            
+            this.lastSegmentation = {
+                contour: points,
+                area: area,
+                bbox: bbox,
+                width: templateMat.cols,
+                height: templateMat.rows
+            };
+            
+            return Object.assign({ mask: mask }, this.lastSegmentation);
+        } finally {
+            imageProcessor.cleanupMats([small, rgb, lab, foreground]);
+        }
+    }
+    
+    /**
+     * Update the background colour model from the template border ring
+     * @param {cv.Mat} lab - Lab image at work resolution
+     */
+    updateBackgroundModel(lab) {
+        const settings = CONFIG.SEGMENTATION;
+        const ringWidth = Math.max(1, Math.round(Math.min(lab.cols, lab.rows) * settings.BORDER_FRACTION));
+        
+        // Ring mask: everything except the inner rectangle
+        const ring = new cv.Mat(lab.rows, lab.cols, cv.CV_8UC1, new cv.Scalar(255));
+        cv.rectangle(
+            ring,
+            new cv.Point(ringWidth, ringWidth),
+            new cv.Point(lab.cols - ringWidth - 1, lab.rows - ringWidth - 1),
+            new cv.Scalar(0),
+            -1
+        );
+        
+        const mean = new cv.Mat();
+        const std = new cv.Mat();
+        cv.meanStdDev(lab, mean, std, ring);
+        
+        const frameMean = Array.from(mean.data64F).slice(0, 3);
+        const frameStd = Array.from(std.data64F).slice(0, 3)
+            .map(value => Math.max(value, settings.MIN_BACKGROUND_STD));
+        
+        imageProcessor.cleanupMats([ring, mean, std]);
+        
+        if (!this.backgroundMean) {
+            this.backgroundMean = frameMean;
+            this.backgroundStd = frameStd;
+            return;
+        }
+        
+        // Exponential moving average so the model follows slow lighting changes
+        const rate = settings.LEARNING_RATE;
+        for (let i = 0; i < 3; i++) {
+            this.backgroundMean[i] += (frameMean[i] - this.backgroundMean[i]) * rate;
+            this.backgroundStd[i] += (frameStd[i] - this.backgroundStd[i]) * rate;
+        }
+    }
+    
+    /**
+     * Compute a binary foreground mask from the distance to the background model
+     * @param {cv.Mat} lab - Lab image at work resolution
+     * @returns {cv.Mat} - 8-bit mask (255 = foreground)
+     */
+    computeForeground(lab) {
+        const settings = CONFIG.SEGMENTATION;
+        const channels = new cv.MatVector();
+        const distance = new cv.Mat(lab.rows, lab.cols, cv.CV_32FC1, new cv.Scalar(0));
+        const channel = new cv.Mat();
+        const foreground = new cv.Mat();
+        
+        try {
+            cv.split(lab, channels);
+            
+            // Sum of squared normalised channel differences
+            for (let i = 0; i < 3; i++) {
+                channels.get(i).convertTo(
+                    channel,
+                    cv.CV_32F,
+                    1 / this.backgroundStd[i],
+                    -this.backgroundMean[i] / this.backgroundStd[i]
+                );
+                cv.multiply(channel, channel, channel);
+                cv.add(distance, channel, distance);
+            }
+            
+            // Threshold on squared distance avoids a sqrt per pixel
+            const threshold = settings.DISTANCE_THRESHOLD * settings.DISTANCE_THRESHOLD;
+            cv.threshold(distance, distance, threshold, 255, cv.THRESH_BINARY);
+            distance.convertTo(foreground, cv.CV_8U);
+            
+            // Remove speckles and close small gaps along the piece edge
+            const kernel = cv.getStructuringElement(
+                cv.MORPH_ELLIPSE,
+                new cv.Size(settings.MORPH_SIZE, settings.MORPH_SIZE)
+            );
+            cv.morphologyEx(foreground, foreground, cv.MORPH_OPEN, kernel);
+            cv.morphologyEx(foreground, foreground, cv.MORPH_CLOSE, kernel);
+            kernel.delete();
+            
+            return foreground;
+        } catch (error) {
+            foreground.delete();
+            throw error;
+        } finally {
+            imageProcessor.cleanupMats([channels, distance, channel]);
+        }
+    }
+    
+    /**
+     * Pick the contour most likely to be the piece
+     * @param {cv.Mat} foreground - Binary foreground mask
+     * @returns {Array|null} - Simplified contour points at work resolution
+     */
+    findPieceContour(foreground) {
+        const settings = CONFIG.SEGMENTATION;
+        const contours = new cv.MatVector();
+        const hierarchy = new cv.Mat();
+        const totalArea = foreground.cols * foreground.rows;
+        const center = new cv.Point(foreground.cols / 2, foreground.rows / 2);
+        
+        try {
+            cv.findContours(foreground, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+            
+            let bestIndex = -1;
+            let bestScore = 0;
+            
+            for (let i = 0; i < contours.size(); i++) {
+                const contour = contours.get(i);
+                const area = cv.contourArea(contour);
+                const areaFraction = area / totalArea;
+                
+                if (areaFraction >= settings.MIN_AREA_FRACTION && areaFraction <= settings.MAX_AREA_FRACTION) {
+                    // Prefer large blobs close to the centre of the outline
+                    const centerDistance = Math.max(0, -cv.pointPolygonTest(contour, center, true));
+                    const score = area / (1 + centerDistance);
+                    
+                    if (score > bestScore) {
+                        bestScore = score;
+                        bestIndex = i;
+                    }
+                }
+                contour.delete();
+            }
+            
+            if (bestIndex < 0) return null;
+            
+            // Simplify before handing the outline around
+            const best = contours.get(bestIndex);
+            const approx = new cv.Mat();
+            cv.approxPolyDP(best, approx, cv.arcLength(best, true) * settings.CONTOUR_EPSILON, true);
+            best.delete();
+            
+            const points = [];
+            for (let i = 0; i < approx.rows; i++) {
+                points.push({ x: approx.data32S[i * 2], y: approx.data32S[i * 2 + 1] });
+            }
+            approx.delete();
+            
+            return points.length >= 3 ? points : null;
+        } finally {
+            imageProcessor.cleanupMats([contours, hierarchy]);
+        }
+    }
+    
+    /**
+     * Fill a contour into a full-size mask
+     * @param {Array} points - Contour points in template coordinates
+     * @param {number} width - Mask width
+     * @param {number} height - Mask height
+     * @returns {cv.Mat} - 8-bit mask (255 inside the contour)
+     */
+    rasterizeContour(points, width, height) {
+        const mask = cv.Mat.zeros(height, width, cv.CV_8UC1);
+        const flat = [];
+        points.forEach(point => flat.push(point.x, point.y));
+        
+        const contourMat = cv.matFromArray(points.length, 1, cv.CV_32SC2, flat);
+        const contours = new cv.MatVector();
+        contours.push_back(contourMat);
+        cv.drawContours(mask, contours, 0, new cv.Scalar(255), -1);
+        
+        imageProcessor.cleanupMats([contourMat, contours]);
+        return mask;
+    }
+    
+    /**
+     * Get the bounding box of a point list
+     * @param {Array} points - Contour points
+     * @returns {Object} - { x, y, width, height }
+     */
+    getBoundingBox(points) {
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(...xs) - minX,
+            height: Math.max(...ys) - minY
+        };
+    }
+    
+    /**
+     * Get the last segmentation result without the mask
+     * @returns {Object|null} - Segmentation data
+     */
+    getLastSegmentation() {
+        return this.lastSegmentation;
+    }
+    
+    /**
+     * Forget the learned background
+     */
+    reset() {
+        this.backgroundMean = null;
+        this.backgroundStd = null;
+        this.lastSegmentation = null;
+    }
+}
+
+// Create global instance
+const pieceSegmenter = new PieceSegmenter();
\ No newline at end of file
@@ -0,0 +1,543 @@
+/**
+ * Piece Shape for Puzzle Detector Pro
+ * Finds the straight flat sides in a segmented piece outline and classifies
+ * the piece as interior, edge or corner, so border pieces can be searched
+ * along the reference perimeter only. Also describes each side as flat, tab
+ * or blank, giving a signature that pieces can be grouped and checked by
+ */
+
+// Outward normal of each reference border, as an image angle in degrees (y down)
+const BORDER_NORMALS = { top: -90, right: 0, bottom: 90, left: 180 };
+
+// Borders meeting at each reference corner
+const BORDER_CORNERS = [['top', 'left'], ['top', 'right'], ['bottom', 'right'], ['bottom', 'left']];
+
+// Letters for side types in signature codes
+const SIDE_CODES = { flat: 'F', tab: 'T', blank: 'B' };
+
+class PieceShape {
+    constructor() {
+        // Recent raw classifications (newest last) for the majority vote
+        this.history = [];
+        
+        // Smoothed classification from the last frame
+        this.lastShape = null;
+    }
+    
+    /**
+     * Classify the segmented piece, steadied over the last few frames
+     * @param {Object} segmentation - Segmentation { contour, area, width, height }
+     * @returns {Object|null} - { type, flatSides, signature } or null if the outline can't be classified
+     */
+    classify(segmentation) {
+        const shape = segmentation ? this.analyze(segmentation) : null;
+        
+        this.history.push(shape);
+        while (this.history.length > CONFIG.SHAPE.HISTORY) {
+            this.history.shift();
+        }
+        
+        // Majority vote over recent frames; one noisy outline mustn't hide the rest of the reference
+        const votes = {};
+        this.history.forEach(entry => {
+            const type = entry ? entry.type : 'unknown';
+            votes[type] = (votes[type] || 0) + 1;
+        });
+        const winner = Object.keys(votes).sort((a, b) => votes[b] - votes[a])[0];
+        
+        // Flat side angles come from the newest frame that agrees with the vote
+        const agreeing = this.history.filter(entry => entry && entry.type === winner);
+        const latest = agreeing[agreeing.length - 1];
+        if (!latest) {
+            this.lastShape = null;
+            return null;
+        }
+        
+        // Tabs and blanks get their own vote among those frames, so the signature doesn't flicker either
+        const codes = {};
+        agreeing.forEach(entry => {
+            const code = entry.signature ? entry.signature.code : '';
+            codes[code] = (codes[code] || 0) + 1;
+        });
+        const code = Object.keys(codes).sort((a, b) => codes[b] - codes[a])[0];
+        const signed = agreeing.slice().reverse().find(entry => (entry.signature ? entry.signature.code : '') === code);
+        
+        this.lastShape = Object.assign({}, latest, { signature: signed.signature });
+        return this.lastShape;
+    }
+    
+    /**
+     * Classify a single outline
+     * @param {Object} segmentation - Segmentation { contour, area, width, height }
+     * @returns {Object|null} - { type: 'interior'|'edge'|'corner', flatSides, signature } or null if unclear
+     */
+    analyze(segmentation) {
+        const points = segmentation.contour;
+        if (!points || points.length < 3 || !segmentation.area) return null;
+        
+        // Side length of a square with the piece's area (tabs and blanks roughly cancel out)
+        const size = Math.sqrt(segmentation.area);
+        const flatSides = this.findFlatSides(points, size, segmentation.width, segmentation.height);
+        
+        let type = null;
+        if (flatSides.length === 0) {
+            type = 'interior';
+        } else if (flatSides.length === 1) {
+            type = 'edge';
+        } else if (flatSides.length === 2 &&
+            Math.abs(this.angleDifference(flatSides[0].angle, flatSides[1].angle) - 90) <= CONFIG.SHAPE.CORNER_ANGLE_TOLERANCE) {
+            // Corner pieces have two flat sides at a right angle
+            type = 'corner';
+        }
+        
+        // More flat sides means a rectangle (box art, a bad background model), not a piece
+        if (!type) return null;
+        
+        return {
+            type: type,
+            flatSides: flatSides,
+            signature: this.describeSides(points, size, flatSides)
+        };
+    }
+    
+    /**
+     * Describe the piece's four sides and its outline
+     * @param {Array} points - Outline points { x, y } in template coordinates
+     * @param {number} size - Piece size in pixels
+     * @param {Array} flatSides - Flat sides from findFlatSides
+     * @returns {Object|null} - { code, sides, tabs, blanks, flats, descriptor } or null if the
+     *                          four corners can't be found. sides run clockwise from the right
+     *                          ({ type, angle }); code is their order read from a fixed start,
+     *                          so it doesn't change as the piece turns
+     */
+    describeSides(points, size, flatSides) {
+        const outline = this.resample(points, CONFIG.SHAPE.SIGNATURE_POINTS);
+        const corners = this.findCorners(outline, size);
+        if (!corners) return null;
+        
+        const center = {
+            x: corners.reduce((sum, index) => sum + outline[index].x, 0) / 4,
+            y: corners.reduce((sum, index) => sum + outline[index].y, 0) / 4
+        };
+        
+        const sides = corners.map((from, i) => this.classifySide(outline, from, corners[(i + 1) % 4], center, flatSides));
+        sides.sort((a, b) => this.normalizeAngle(a.angle) - this.normalizeAngle(b.angle));
+        
+        // Smallest rotation of the clockwise letters: TTBF and TBFT are the same piece turned
+        const letters = sides.map(side => SIDE_CODES[side.type]).join('');
+        const code = [0, 1, 2, 3].map(shift => letters.slice(shift) + letters.slice(0, shift)).sort()[0];
+        const count = type => sides.filter(side => side.type === type).length;
+        
+        return {
+            code: code,
+            sides: sides,
+            tabs: count('tab'),
+            blanks: count('blank'),
+            flats: count('flat'),
+            descriptor: this.getDescriptor(outline)
+        };
+    }
+    
+    /**
+     * Resample a closed outline into points evenly spaced along its length
+     * @param {Array} points - Outline points { x, y }
+     * @param {number} count - Number of points to return
+     * @returns {Array} - Evenly spaced points { x, y }
+     */
+    resample(points, count) {
+        const lengths = [0];
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            lengths.push(lengths[i] + Math.hypot(b.x - a.x, b.y - a.y));
+        }
+        
+        const perimeter = lengths[points.length];
+        const resampled = [];
+        let segment = 0;
+        
+        for (let k = 0; k < count; k++) {
+            const distance = perimeter * k / count;
+            while (lengths[segment + 1] < distance) segment++;
+            
+            const a = points[segment];
+            const b = points[(segment + 1) % points.length];
+            const span = lengths[segment + 1] - lengths[segment];
+            const t = span > 0 ? (distance - lengths[segment]) / span : 0;
+            resampled.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+        }
+        
+        return resampled;
+    }
+    
+    /**
+     * Find the four corners of the piece body
+     * @param {Array} outline - Evenly spaced outline points
+     * @param {number} size - Piece size in pixels
+     * @returns {Array|null} - Outline indices of the corners in outline order, or null if unclear
+     */
+    findCorners(outline, size) {
+        const count = outline.length;
+        const perimeter = count * Math.hypot(outline[1].x - outline[0].x, outline[1].y - outline[0].y);
+        const window = Math.max(1, Math.round(CONFIG.SHAPE.CORNER_WINDOW * size / (perimeter / count)));
+        const at = index => outline[((index % count) + count) % count];
+        const direction = (a, b) => Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI;
+        
+        // Turning direction of the outline, so convex and concave turns can be told apart
+        let area = 0;
+        outline.forEach((point, i) => {
+            const next = at(i + 1);
+            area += point.x * next.y - next.x * point.y;
+        });
+        const orientation = Math.sign(area);
+        
+        // Body corners turn sharply between two straight stretches; a tab's round head turns gradually.
+        // Blur rounds corners off, so the turn itself may be well off a right angle
+        const settings = CONFIG.SHAPE;
+        const candidates = [];
+        for (let i = 0; i < count; i++) {
+            const incoming = direction(at(i - window), at(i));
+            const outgoing = direction(at(i), at(i + window));
+            const turn = signedAngleDifference(incoming, outgoing) * orientation;
+            
+            const before = this.angleDifference(direction(at(i - 2 * window), at(i - window)), incoming);
+            const after = this.angleDifference(outgoing, direction(at(i + window), at(i + 2 * window)));
+            
+            if (Math.abs(turn - 90) <= settings.CORNER_ANGLE_TOLERANCE * 2 &&
+                before <= settings.CORNER_STRAIGHTNESS &&
+                after <= settings.CORNER_STRAIGHTNESS) {
+                candidates.push({ index: i, sharpness: Math.abs(turn - 90) + before + after });
+            }
+        }
+        
+        // One candidate per corner: the sharpest in each run of neighbours
+        const peaks = candidates.filter(candidate => !candidates.some(other =>
+            other !== candidate &&
+            Math.min(Math.abs(other.index - candidate.index), count - Math.abs(other.index - candidate.index)) <= window &&
+            (other.sharpness < candidate.sharpness || (other.sharpness === candidate.sharpness && other.index < candidate.index))));
+        if (peaks.length < 4) return null;
+        
+        // The corners are the four peaks spanning the largest roughly rectangular body
+        let best = null;
+        for (let a = 0; a < peaks.length; a++) {
+            for (let b = a + 1; b < peaks.length; b++) {
+                for (let c = b + 1; c < peaks.length; c++) {
+                    for (let d = c + 1; d < peaks.length; d++) {
+                        const indices = [peaks[a].index, peaks[b].index, peaks[c].index, peaks[d].index];
+                        const area = this.getBodyArea(indices.map(index => outline[index]));
+                        if (area > 0 && (!best || area > best.area)) {
+                            best = { indices: indices, area: area };
+                        }
+                    }
+                }
+            }
+        }
+        
+        return best && best.area >= settings.FLAT_MIN_LENGTH * size * size ? best.indices : null;
+    }
+    
+    /**
+     * Get the area of a quadrilateral if it could be a piece body
+     * @param {Array} quad - Four points { x, y } in outline order
+     * @returns {number} - Area, or 0 if its angles are far from square
+     */
+    getBodyArea(quad) {
+        let area = 0;
+        for (let i = 0; i < 4; i++) {
+            const previous = quad[(i + 3) % 4];
+            const point = quad[i];
+            const next = quad[(i + 1) % 4];
+            
+            const angle = this.angleDifference(
+                Math.atan2(previous.y - point.y, previous.x - point.x) * 180 / Math.PI,
+                Math.atan2(next.y - point.y, next.x - point.x) * 180 / Math.PI);
+            if (Math.abs(angle - 90) > CONFIG.SHAPE.CORNER_ANGLE_TOLERANCE) return 0;
+            
+            area += point.x * next.y - next.x * point.y;
+        }
+        return Math.abs(area) / 2;
+    }
+    
+    /**
+     * Classify the outline between two corners as flat, tab or blank
+     * @param {Array} outline - Evenly spaced outline points
+     * @param {number} from - Index of the first corner
+     * @param {number} to - Index of the next corner along the outline
+     * @param {Object} center - Centre of the piece body { x, y }
+     * @param {Array} flatSides - Flat sides from findFlatSides
+     * @returns {Object} - { type: 'flat'|'tab'|'blank', angle } (angle = outward normal in degrees)
+     */
+    classifySide(outline, from, to, center, flatSides) {
+        const count = outline.length;
+        const a = outline[from];
+        const b = outline[to];
+        const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+        
+        // Unit normal pointing away from the body
+        let normalX = (b.y - a.y) / length;
+        let normalY = -(b.x - a.x) / length;
+        if (normalX * ((a.x + b.x) / 2 - center.x) + normalY * ((a.y + b.y) / 2 - center.y) < 0) {
+            normalX = -normalX;
+            normalY = -normalY;
+        }
+        const angle = Math.atan2(normalY, normalX) * 180 / Math.PI;
+        
+        // Sides found straight are flat; don't let a slightly dented outline turn them into a blank
+        if (flatSides.some(side => this.angleDifference(side.angle, angle) <= CONFIG.SHAPE.CORNER_ANGLE_TOLERANCE)) {
+            return { type: 'flat', angle: angle };
+        }
+        
+        let outward = 0;
+        let inward = 0;
+        for (let i = from; i !== to; i = (i + 1) % count) {
+            const offset = (outline[i].x - a.x) * normalX + (outline[i].y - a.y) * normalY;
+            outward = Math.max(outward, offset);
+            inward = Math.max(inward, -offset);
+        }
+        
+        let type = 'flat';
+        if (Math.max(outward, inward) >= CONFIG.SHAPE.SIDE_DEPTH * length) {
+            type = outward >= inward ? 'tab' : 'blank';
+        }
+        return { type: type, angle: angle };
+    }
+    
+    /**
+     * Describe the outline independent of position, size, rotation and starting point
+     * @param {Array} outline - Evenly spaced outline points
+     * @returns {Array} - Fourier magnitudes of the centroid distance, relative to the mean distance
+     */
+    getDescriptor(outline) {
+        const count = outline.length;
+        const center = {
+            x: outline.reduce((sum, point) => sum + point.x, 0) / count,
+            y: outline.reduce((sum, point) => sum + point.y, 0) / count
+        };
+        const distances = outline.map(point => Math.hypot(point.x - center.x, point.y - center.y));
+        const mean = distances.reduce((sum, distance) => sum + distance, 0) / count || 1;
+        
+        const descriptor = [];
+        for (let k = 1; k <= CONFIG.SHAPE.SIGNATURE_COEFFICIENTS; k++) {
+            let real = 0;
+            let imaginary = 0;
+            distances.forEach((distance, i) => {
+                real += distance * Math.cos(2 * Math.PI * k * i / count);
+                imaginary -= distance * Math.sin(2 * Math.PI * k * i / count);
+            });
+            descriptor.push(Math.round(Math.hypot(real, imaginary) / (count * mean) * 1000) / 1000);
+        }
+        return descriptor;
+    }
+    
+    /**
+     * Find straight runs of the outline that lie on its convex hull
+     * @param {Array} points - Outline points { x, y } in template coordinates
+     * @param {number} size - Piece size in pixels
+     * @param {number} width - Template width
+     * @param {number} height - Template height
+     * @returns {Array} - Flat sides { angle, length } (angle = outward normal in degrees), longest first
+     */
+    findFlatSides(points, size, width, height) {
+        const settings = CONFIG.SHAPE;
+        const tolerance = settings.FLAT_TOLERANCE * size;
+        const count = points.length;
+        const centroid = {
+            x: points.reduce((sum, point) => sum + point.x, 0) / count,
+            y: points.reduce((sum, point) => sum + point.y, 0) / count
+        };
+        
+        // Longest straight run starting at each vertex
+        const runs = [];
+        for (let start = 0; start < count; start++) {
+            let best = null;
+            for (let end = start + 1; end - start < count; end++) {
+                const a = points[start];
+                const b = points[end % count];
+                const length = Math.hypot(b.x - a.x, b.y - a.y);
+                
+                if (length >= settings.FLAT_MIN_LENGTH * size &&
+                    (!best || length > best.length) &&
+                    !this.isOnTemplateEdge(a, b, width, height) &&
+                    this.isStraightRun(points, start, end, tolerance, centroid)) {
+                    best = { start: start, end: end, length: length };
+                }
+            }
+            
+            if (best) {
+                runs.push(best);
+            }
+        }
+        
+        // Keep the longest runs that share no outline segment (a corner's two sides do share a vertex)
+        runs.sort((a, b) => b.length - a.length);
+        const used = new Set();
+        const flatSides = [];
+        
+        for (const run of runs) {
+            const indices = [];
+            for (let i = run.start; i < run.end; i++) {
+                indices.push(i % count);
+            }
+            if (indices.some(index => used.has(index))) continue;
+            
+            const a = points[run.start];
+            const b = points[run.end % count];
+            
+            // Normal pointing away from the piece centre
+            let normalX = (b.y - a.y) / run.length;
+            let normalY = -(b.x - a.x) / run.length;
+            if (normalX * ((a.x + b.x) / 2 - centroid.x) + normalY * ((a.y + b.y) / 2 - centroid.y) < 0) {
+                normalX = -normalX;
+                normalY = -normalY;
+            }
+            
+            // A flat side is on the outside: nothing of the piece may stick out past it
+            const outside = points.some(point => (point.x - a.x) * normalX + (point.y - a.y) * normalY > tolerance);
+            if (outside) continue;
+            
+            indices.forEach(index => used.add(index));
+            flatSides.push({
+                angle: Math.atan2(normalY, normalX) * 180 / Math.PI,
+                length: run.length
+            });
+        }
+        
+        return flatSides;
+    }
+    
+    /**
+     * Check whether the outline between two vertices follows their chord: nothing may
+     * bulge outward, and most of the chord must be traced by the outline (segmentation
+     * dents are tolerated, a blank's hollow is not)
+     * @param {Array} points - Outline points
+     * @param {number} start - First vertex index
+     * @param {number} end - Last vertex index (may exceed the point count; wraps around)
+     * @param {number} tolerance - Largest allowed distance from the chord in pixels
+     * @param {Object} centroid - Outline centre { x, y }, to tell outward from inward
+     * @returns {boolean} - True if the run counts as a straight side
+     */
+    isStraightRun(points, start, end, tolerance, centroid) {
+        const count = points.length;
+        const a = points[start % count];
+        const b = points[end % count];
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        if (length === 0) return false;
+        
+        // Unit normal pointing away from the piece
+        let normalX = (b.y - a.y) / length;
+        let normalY = -(b.x - a.x) / length;
+        if (normalX * ((a.x + b.x) / 2 - centroid.x) + normalY * ((a.y + b.y) / 2 - centroid.y) < 0) {
+            normalX = -normalX;
+            normalY = -normalY;
+        }
+        
+        const offset = point => (point.x - a.x) * normalX + (point.y - a.y) * normalY;
+        let traced = 0;
+        
+        for (let i = start; i < end; i++) {
+            const point = points[i % count];
+            const next = points[(i + 1) % count];
+            
+            // Points must also lie between the ends, or a hairpin would count as straight
+            const along = ((next.x - a.x) * (b.x - a.x) + (next.y - a.y) * (b.y - a.y)) / length;
+            if (offset(next) > tolerance || along < -tolerance || along > length + tolerance) {
+                return false;
+            }
+            
+            if (Math.abs(offset(point)) <= tolerance && Math.abs(offset(next)) <= tolerance) {
+                traced += Math.hypot(next.x - point.x, next.y - point.y);
+            }
+        }
+        
+        return traced >= CONFIG.SHAPE.FLAT_COVERAGE * length;
+    }
+    
+    /**
+     * Check whether a run follows the template border (the piece was cut off by the crop)
+     * @param {Object} a - Run start { x, y }
+     * @param {Object} b - Run end { x, y }
+     * @param {number} width - Template width
+     * @param {number} height - Template height
+     * @returns {boolean} - True if both ends are on the same template edge
+     */
+    isOnTemplateEdge(a, b, width, height) {
+        const margin = CONFIG.SHAPE.BORDER_MARGIN;
+        return (a.x <= margin && b.x <= margin) ||
+            (a.y <= margin && b.y <= margin) ||
+            (a.x >= width - 1 - margin && b.x >= width - 1 - margin) ||
+            (a.y >= height - 1 - margin && b.y >= height - 1 - margin);
+    }
+    
+    /**
+     * Get where a border piece can go and the rotation that turns its flat sides outward
+     * @param {Object} shape - Classification { type, flatSides }
+     * @returns {Array|null} - Placements { borders, rotation } (borders: e.g. ['top'] or ['top', 'left']),
+     *                         or null if the piece can go anywhere
+     */
+    getBorderPlacements(shape) {
+        if (!shape || shape.type === 'interior') return null;
+        
+        const [first, second] = shape.flatSides;
+        
+        // A match at rotation r turns every direction in the piece by r image degrees
+        if (shape.type === 'edge') {
+            return Object.keys(BORDER_NORMALS).map(border => ({
+                borders: [border],
+                rotation: this.normalizeAngle(BORDER_NORMALS[border] - first.angle)
+            }));
+        }
+        
+        // Each corner accepts the one rotation that turns both flat sides outward
+        return BORDER_CORNERS.map(borders => {
+            const options = [[first, second], [second, first]].map(([a, b]) => {
+                const rotationA = BORDER_NORMALS[borders[0]] - a.angle;
+                const rotationB = BORDER_NORMALS[borders[1]] - b.angle;
+                return {
+                    error: this.angleDifference(rotationA, rotationB),
+                    rotation: rotationA + signedAngleDifference(rotationA, rotationB) / 2
+                };
+            });
+            const best = options[0].error <= options[1].error ? options[0] : options[1];
+            
+            return { borders: borders, rotation: this.normalizeAngle(best.rotation) };
+        });
+    }
+    
+    /**
+     * Get the smallest angle between two directions
+     * @param {number} a - Angle in degrees
+     * @param {number} b - Angle in degrees
+     * @returns {number} - Difference in degrees (0-180)
+     */
+    angleDifference(a, b) {
+        return Math.abs(signedAngleDifference(a, b));
+    }
+    
+    /**
+     * Round an angle to whole degrees in [0, 360)
+     * @param {number} angle - Angle in degrees
+     * @returns {number} - Normalized angle (whole degrees keep the rotation cache small)
+     */
+    normalizeAngle(angle) {
+        return ((Math.round(angle) % 360) + 360) % 360;
+    }
+    
+    /**
+     * Get the classification from the last frame
+     * @returns {Object|null} - { type, flatSides, signature }
+     */
+    getLastShape() {
+        return this.lastShape;
+    }
+    
+    /**
+     * Forget recent classifications (a new piece is coming)
+     */
+    reset() {
+        this.history = [];
+        this.lastShape = null;
+    }
+}
+
+// Create global instance
+const pieceShape = new PieceShape();
\ No newline at end of file
@@ -0,0 +1,236 @@
+/**
+ * Puzzle Grid for Puzzle Detector Pro
+ * Models the completed puzzle as a grid of rows and columns so matches
+ * can be reported as a cell instead of a pixel box
+ */
+class PuzzleGrid {
+    constructor() {
+        this.rows = 0;
+        this.cols = 0;
+        
+        // Reference image size the grid spans
+        this.width = 0;
+        this.height = 0;
+        
+        // Whether rows/cols were entered or estimated
+        this.isEstimated = false;
+        
+        // Last grid spec entered by the user ('' = estimate)
+        this.spec = '';
+    }
+    
+    /**
+     * Parse a grid spec entered by the user
+     * @param {string} text - Piece count ("1000") or rows x columns ("25x40", "25×40")
+     * @returns {Object|null} - { rows, cols } or { pieces }, or null if empty/invalid
+     */
+    parseSpec(text) {
+        const value = (text || '').trim().toLowerCase();
+        if (!value) return null;
+        
+        const dimensions = value.match(/^(\d+)\s*[x×*,]\s*(\d+)$/);
+        if (dimensions) {
+            const rows = parseInt(dimensions[1], 10);
+            const cols = parseInt(dimensions[2], 10);
+            return rows > 0 && cols > 0 ? { rows: rows, cols: cols } : null;
+        }
+        
+        const count = value.match(/^(\d+)$/);
+        if (count) {
+            const pieces = parseInt(count[1], 10);
+            return pieces > 1 ? { pieces: pieces } : null;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Estimate rows and columns from a piece count and the reference aspect ratio
+     * @param {number} pieces - Total piece count
+     * @param {number} width - Reference width
+     * @param {number} height - Reference height
+     * @returns {Object} - { rows, cols }
+     */
+    estimateFromAspect(pieces, width, height) {
+        const aspect = width / height;
+        
+        // Pieces are roughly square, so cols / rows follows the image aspect
+        const cols = Math.max(1, Math.round(Math.sqrt(pieces * aspect)));
+        const rows = Math.max(1, Math.round(pieces / cols));
+        
+        return { rows: rows, cols: cols };
+    }
+    
+    /**
+     * Set the grid spec entered by the user
+     * @param {string} spec - Piece count, rows x columns, or '' to estimate
+     * @returns {boolean} - False if the spec wasn't understood (the previous one is kept)
+     */
+    setSpec(spec) {
+        const value = (spec || '').trim();
+        if (value && !this.parseSpec(value)) return false;
+        
+        this.spec = value;
+        this.update(this.width, this.height);
+        return true;
+    }
+    
+    /**
+     * Lay the grid over a reference image of the given size
+     * @param {number} width - Reference width
+     * @param {number} height - Reference height
+     */
+    update(width, height) {
+        this.width = width;
+        this.height = height;
+        this.rows = 0;
+        this.cols = 0;
+        
+        if (!width || !height) return;
+        
+        const parsed = this.parseSpec(this.spec);
+        if (parsed && parsed.rows) {
+            this.rows = parsed.rows;
+            this.cols = parsed.cols;
+            this.isEstimated = false;
+        } else {
+            const pieces = parsed ? parsed.pieces : CONFIG.GRID.DEFAULT_PIECE_COUNT;
+            const estimate = this.estimateFromAspect(pieces, width, height);
+            this.rows = estimate.rows;
+            this.cols = estimate.cols;
+            this.isEstimated = true;
+        }
+    }
+    
+    /**
+     * Check whether the grid can locate matches
+     * @returns {boolean} - True once rows, columns and size are known
+     */
+    isConfigured() {
+        return this.rows > 0 && this.cols > 0 && this.width > 0 && this.height > 0;
+    }
+    
+    /**
+     * Get the rectangle of a grid cell
+     * @param {number} row - Row (1-based)
+     * @param {number} col - Column (1-based)
+     * @returns {Object} - { x, y, width, height } in reference coordinates
+     */
+    getCellRect(row, col) {
+        const cellWidth = this.width / this.cols;
+        const cellHeight = this.height / this.rows;
+        
+        return {
+            x: (col - 1) * cellWidth,
+            y: (row - 1) * cellHeight,
+            width: cellWidth,
+            height: cellHeight
+        };
+    }
+    
+    /**
+     * Translate a match into the grid cell under its centre
+     * @param {Object} match - Match { x, y, width, height, rotation }
+     * @returns {Object|null} - { row, col, cell, rotation } or null if the grid isn't set up
+     */
+    locate(match) {
+        if (!match || !this.isConfigured()) return null;
+        
+        const centerX = match.x + match.width / 2;
+        const centerY = match.y + match.height / 2;
+        
+        const col = Math.min(this.cols, Math.max(1, Math.floor(centerX / this.width * this.cols) + 1));
+        const row = Math.min(this.rows, Math.max(1, Math.floor(centerY / this.height * this.rows) + 1));
+        
+        return {
+            row: row,
+            col: col,
+            cell: this.getCellRect(row, col),
+            rotation: this.quantizeRotation(match.rotation)
+        };
+    }
+    
+    /**
+     * Check whether a piece with the given sides can sit in the cell under a match
+     * @param {Object} match - Match { x, y, width, height, rotation }
+     * @param {Object} signature - Piece signature with sides { type, angle } (angle = outward normal)
+     * @returns {boolean|null} - False if a flat side would face into the puzzle or a border would get
+     *                           a tab or blank, null if the grid isn't set up
+     */
+    fitsShape(match, signature) {
+        const location = this.locate(match);
+        if (!location || !signature) return null;
+        
+        // Image angle (y down) of each cell side's outward normal
+        const borders = [
+            { angle: 0, isBorder: location.col === this.cols },
+            { angle: 90, isBorder: location.row === this.rows },
+            { angle: 180, isBorder: location.col === 1 },
+            { angle: 270, isBorder: location.row === 1 }
+        ];
+        
+        // A match at rotation r turns every direction in the piece by r image degrees
+        return signature.sides.every(side => {
+            const facing = this.quantizeRotation(side.angle + match.rotation);
+            return (side.type === 'flat') === borders.find(border => border.angle === facing).isBorder;
+        });
+    }
+    
+    /**
+     * Snap a rotation to the nearest quarter turn (pieces sit square in the grid)
+     * @param {number} rotation - Rotation in degrees
+     * @returns {number} - 0, 90, 180 or 270
+     */
+    quantizeRotation(rotation) {
+        return ((Math.round((rotation || 0) / 90) * 90) % 360 + 360) % 360;
+    }
+    
+    /**
+     * Describe the grid for status messages
+     * @returns {string} - e.g. "25 × 40 (1000 pieces, estimated)"
+     */
+    describe() {
+        const suffix = this.isEstimated ? ', estimated' : '';
+        return `${this.rows} × ${this.cols} (${this.rows * this.cols} pieces${suffix})`;
+    }
+    
+    /**
+     * Draw the grid lines in reference coordinates
+     * @param {CanvasRenderingContext2D} ctx - Context of a canvas sized like the reference
+     */
+    drawOverlay(ctx) {
+        if (!this.isConfigured()) return;
+        
+        const cellWidth = this.width / this.cols;
+        const cellHeight = this.height / this.rows;
+        
+        ctx.strokeStyle = CONFIG.GRID.LINE_COLOR;
+        ctx.lineWidth = Math.max(1, Math.max(this.width, this.height) / 1000);
+        ctx.beginPath();
+        
+        for (let col = 1; col < this.cols; col++) {
+            ctx.moveTo(col * cellWidth, 0);
+            ctx.lineTo(col * cellWidth, this.height);
+        }
+        for (let row = 1; row < this.rows; row++) {
+            ctx.moveTo(0, row * cellHeight);
+            ctx.lineTo(this.width, row * cellHeight);
+        }
+        
+        ctx.stroke();
+    }
+    
+    /**
+     * Forget the reference size (the entered spec is kept for the next reference)
+     */
+    reset() {
+        this.rows = 0;
+        this.cols = 0;
+        this.width = 0;
+        this.height = 0;
+        this.isEstimated = false;
+    }
+}
+
+// Create global instance
+const puzzleGrid = new PuzzleGrid();
\ No newline at end of file
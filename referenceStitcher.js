@@ -0,0 +1,392 @@
+/**
+ * Reference Stitcher for Puzzle Detector Pro
+ * Builds one large reference from overlapping shots of a big puzzle:
+ * each new frame is registered against the frames already taken with
+ * ORB features and a RANSAC homography, and the frames are warped into
+ * a common mosaic where every pixel comes from the frame it sits most
+ * centrally in (runs in the detection worker, so registering shots and
+ * warping a large mosaic don't hold up the video and touch handling)
+ */
+class ReferenceStitcher {
+    constructor() {
+        // Frames in capture order: { image, transform, keypoints, descriptors }; the transform
+        // maps frame pixels to the first frame's pixels (row-major 3x3)
+        this.frames = [];
+        this.active = false;
+        
+        // Created when a capture starts so config changes are picked up
+        this.detector = null;
+        this.matcher = null;
+        
+        // Centre weights by frame size ('WxH' -> cv.Mat)
+        this.weights = {};
+    }
+    
+    /**
+     * Start a new multi-shot capture, dropping any frames from the last one
+     */
+    start() {
+        this.reset();
+        
+        this.detector = new cv.ORB(CONFIG.STITCHING.MAX_FEATURES);
+        this.matcher = new cv.BFMatcher(cv.NORM_HAMMING, false);
+        this.active = true;
+    }
+    
+    /**
+     * Check whether a multi-shot capture is in progress
+     * @returns {boolean} - True between start and finish/reset
+     */
+    isActive() {
+        return this.active;
+    }
+    
+    /**
+     * Get the number of frames in the mosaic
+     * @returns {number} - Frame count
+     */
+    getFrameCount() {
+        return this.frames.length;
+    }
+    
+    /**
+     * Register a frame against the frames taken so far and add it to the mosaic
+     * @param {ImageData} imageData - Camera frame
+     * @returns {Object} - { added, reason, inliers }: reason says why a frame was not added
+     */
+    addFrame(imageData) {
+        const settings = CONFIG.STITCHING;
+        
+        if (this.frames.length >= settings.MAX_FRAMES) {
+            return { added: false, reason: `at most ${settings.MAX_FRAMES} frames`, inliers: 0 };
+        }
+        
+        const features = this.detectFeatures(imageData);
+        if (!features) {
+            return { added: false, reason: 'feature detection failed', inliers: 0 };
+        }
+        
+        // The first frame defines the mosaic's coordinates
+        if (this.frames.length === 0) {
+            this.frames.push(Object.assign({ image: imageData, transform: [1, 0, 0, 0, 1, 0, 0, 0, 1] }, features));
+            return { added: true, reason: '', inliers: 0 };
+        }
+        
+        // Find roughly where it goes: the camera sweeps, so the newest frame is the likeliest neighbour
+        const width = imageData.width;
+        const height = imageData.height;
+        let guess = null;
+        for (let i = this.frames.length - 1; i >= 0 && !guess; i--) {
+            guess = this.register(features, [this.frames[i]], width, height);
+        }
+        
+        if (!guess) {
+            features.descriptors.delete();
+            return { added: false, reason: 'too little overlap with the earlier shots', inliers: 0 };
+        }
+        
+        // Then fit it to the frames it overlaps most at once, so placement errors don't add up along the sweep
+        const outline = this.getBounds(this.projectCorners(guess.homography, width, height));
+        const neighbours = this.frames
+            .map(frame => {
+                const other = this.getBounds(this.projectCorners(frame.transform, frame.image.width, frame.image.height));
+                const overlapWidth = Math.min(outline.x + outline.width, other.x + other.width) - Math.max(outline.x, other.x);
+                const overlapHeight = Math.min(outline.y + outline.height, other.y + other.height) - Math.max(outline.y, other.y);
+                return { frame: frame, overlap: Math.max(0, overlapWidth) * Math.max(0, overlapHeight) };
+            })
+            .filter(entry => entry.overlap > 0)
+            .sort((a, b) => b.overlap - a.overlap)
+            .slice(0, settings.NEIGHBOURS)
+            .map(entry => entry.frame);
+        const fit = neighbours.length > 1 ? this.register(features, neighbours, width, height) || guess : guess;
+        
+        this.frames.push(Object.assign({ image: imageData, transform: fit.homography }, features));
+        return { added: true, reason: '', inliers: fit.inliers };
+    }
+    
+    /**
+     * Detect ORB features on a reduced copy of a frame
+     * @param {ImageData} imageData - Camera frame
+     * @returns {Object|null} - { keypoints: flat [x, y, ...] in frame pixels, descriptors: cv.Mat }, or null on failure
+     */
+    detectFeatures(imageData) {
+        const src = cv.matFromImageData(imageData);
+        const gray = new cv.Mat();
+        const small = new cv.Mat();
+        const keypoints = new cv.KeyPointVector();
+        const descriptors = new cv.Mat();
+        const noMask = new cv.Mat();
+        
+        try {
+            cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+            
+            // Registration doesn't need full resolution
+            const workScale = Math.min(1, CONFIG.STITCHING.WORK_SIZE / Math.max(gray.cols, gray.rows));
+            cv.resize(gray, small, new cv.Size(0, 0), workScale, workScale, cv.INTER_AREA);
+            
+            this.detector.detectAndCompute(small, noMask, keypoints, descriptors);
+            
+            const points = [];
+            for (let i = 0; i < keypoints.size(); i++) {
+                const point = keypoints.get(i).pt;
+                points.push(point.x / workScale, point.y / workScale);
+            }
+            
+            return { keypoints: points, descriptors: descriptors };
+        } catch (error) {
+            console.error('Stitching feature detection error:', error);
+            descriptors.delete();
+            return null;
+        } finally {
+            imageProcessor.cleanupMats([src, gray, small, keypoints, noMask]);
+        }
+    }
+    
+    /**
+     * Fit the homography taking a new frame into mosaic coordinates
+     * @param {Object} features - New frame's { keypoints, descriptors }
+     * @param {Array} frames - Earlier frames to match against
+     * @param {number} width - Frame width in pixels
+     * @param {number} height - Frame height in pixels
+     * @returns {Object|null} - { homography: row-major 3x3, inliers }, or null if the frame doesn't
+     *                          overlap them enough or the fit is implausible
+     */
+    register(features, frames, width, height) {
+        const settings = CONFIG.STITCHING;
+        if (features.descriptors.rows < settings.MIN_INLIERS) return null;
+        
+        const knnMatches = new cv.DMatchVectorVector();
+        let srcMat = null;
+        let dstMat = null;
+        let inlierMask = null;
+        let homography = null;
+        
+        try {
+            // Correspondences from every frame, each taken to mosaic coordinates by its own transform
+            const srcPoints = [];
+            const dstPoints = [];
+            for (const frame of frames) {
+                if (frame.descriptors.rows < 2) continue;
+                this.matcher.knnMatch(features.descriptors, frame.descriptors, knnMatches, 2);
+                
+                // Lowe's ratio test: puzzle pictures repeat a lot, so only distinctive pairs count
+                const h = frame.transform;
+                for (let i = 0; i < knnMatches.size(); i++) {
+                    const pair = knnMatches.get(i);
+                    if (pair.size() < 2) continue;
+                    
+                    const first = pair.get(0);
+                    const second = pair.get(1);
+                    if (first.distance < settings.RATIO_TEST * second.distance) {
+                        const x = frame.keypoints[2 * first.trainIdx];
+                        const y = frame.keypoints[2 * first.trainIdx + 1];
+                        const w = h[6] * x + h[7] * y + h[8];
+                        srcPoints.push(features.keypoints[2 * first.queryIdx], features.keypoints[2 * first.queryIdx + 1]);
+                        dstPoints.push((h[0] * x + h[1] * y + h[2]) / w, (h[3] * x + h[4] * y + h[5]) / w);
+                    }
+                }
+            }
+            
+            const goodCount = srcPoints.length / 2;
+            if (goodCount < settings.MIN_INLIERS) return null;
+            
+            srcMat = cv.matFromArray(goodCount, 1, cv.CV_32FC2, srcPoints);
+            dstMat = cv.matFromArray(goodCount, 1, cv.CV_32FC2, dstPoints);
+            inlierMask = new cv.Mat();
+            homography = cv.findHomography(srcMat, dstMat, cv.RANSAC, settings.RANSAC_THRESHOLD, inlierMask);
+            if (!homography || homography.empty()) return null;
+            
+            const inliers = cv.countNonZero(inlierMask);
+            const h = Array.from(homography.data64F);
+            if (inliers < settings.MIN_INLIERS || !this.isPlausible(h, width, height)) return null;
+            
+            return { homography: h, inliers: inliers };
+        } catch (error) {
+            console.error('Stitching registration error:', error);
+            return null;
+        } finally {
+            imageProcessor.cleanupMats([knnMatches, srcMat, dstMat, inlierMask, homography]);
+        }
+    }
+    
+    /**
+     * Check that a homography could come from moving the camera over a flat puzzle
+     * @param {Array} h - Row-major 3x3 homography
+     * @param {number} width - Frame width in pixels
+     * @param {number} height - Frame height in pixels
+     * @returns {boolean} - False for folded, mirrored or strongly scaled outlines
+     */
+    isPlausible(h, width, height) {
+        const corners = this.projectCorners(h, width, height);
+        if (!corners) return false;
+        
+        // The projected outline must stay convex with the same winding (no fold or mirror)
+        let area = 0;
+        for (let i = 0; i < 4; i++) {
+            const a = corners[i];
+            const b = corners[(i + 1) % 4];
+            const c = corners[(i + 2) % 4];
+            if ((b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x) <= 0) return false;
+            area += a.x * b.y - b.x * a.y;
+        }
+        
+        const limit = CONFIG.STITCHING.MAX_SCALE_CHANGE;
+        const ratio = area / 2 / (width * height);
+        return ratio > 1 / (limit * limit) && ratio < limit * limit;
+    }
+    
+    /**
+     * Project the corners of a frame through a homography
+     * @param {Array} h - Row-major 3x3 homography
+     * @param {number} width - Frame width in pixels
+     * @param {number} height - Frame height in pixels
+     * @returns {Array|null} - Corners [tl, tr, br, bl] as {x, y}, or null if one lands at infinity
+     */
+    projectCorners(h, width, height) {
+        const corners = [];
+        for (const [x, y] of [[0, 0], [width, 0], [width, height], [0, height]]) {
+            const w = h[6] * x + h[7] * y + h[8];
+            if (w <= 1e-6) return null;
+            corners.push({ x: (h[0] * x + h[1] * y + h[2]) / w, y: (h[3] * x + h[4] * y + h[5]) / w });
+        }
+        return corners;
+    }
+    
+    /**
+     * Get the bounding box of a set of points
+     * @param {Array} points - Points {x, y}
+     * @returns {Object} - { x, y, width, height }
+     */
+    getBounds(points) {
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x: x, y: y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+    
+    /**
+     * Multiply two row-major 3x3 matrices
+     * @param {Array} a - Left matrix
+     * @param {Array} b - Right matrix
+     * @returns {Array} - a * b
+     */
+    multiply(a, b) {
+        const result = [];
+        for (let row = 0; row < 3; row++) {
+            for (let col = 0; col < 3; col++) {
+                result.push(a[row * 3] * b[col] + a[row * 3 + 1] * b[3 + col] + a[row * 3 + 2] * b[6 + col]);
+            }
+        }
+        return result;
+    }
+    
+    /**
+     * Get the outline of every frame and their bounding box in mosaic coordinates
+     * @returns {Object|null} - { outlines: [[tl, tr, br, bl]], x, y, width, height }, or null without frames
+     */
+    getLayout() {
+        if (this.frames.length === 0) return null;
+        
+        const outlines = this.frames.map(frame =>
+            this.projectCorners(frame.transform, frame.image.width, frame.image.height));
+        return Object.assign({ outlines: outlines }, this.getBounds(outlines.flat()));
+    }
+    
+    /**
+     * Warp all frames into one image
+     * @param {number} maxSize - Longest side of the result in pixels
+     *                           (the mosaic is never enlarged past the frames' resolution)
+     * @returns {Object|null} - { image: ImageData, outlines: frame outlines in image pixels }, or null on failure
+     */
+    compose(maxSize = CONFIG.STITCHING.MAX_MOSAIC_SIZE) {
+        const layout = this.getLayout();
+        if (!layout) return null;
+        
+        const scale = Math.min(1, maxSize / Math.max(layout.width, layout.height));
+        const size = new cv.Size(Math.max(1, Math.round(layout.width * scale)), Math.max(1, Math.round(layout.height * scale)));
+        
+        // Mosaic pixels: uncovered areas stay opaque black
+        const mosaic = new cv.Mat(size.height, size.width, cv.CV_8UC4, new cv.Scalar(0, 0, 0, 255));
+        const best = cv.Mat.zeros(size.height, size.width, cv.CV_8U);
+        const warped = new cv.Mat();
+        const warpedWeight = new cv.Mat();
+        const take = new cv.Mat();
+        
+        try {
+            const place = [scale, 0, -layout.x * scale, 0, scale, -layout.y * scale, 0, 0, 1];
+            
+            for (const frame of this.frames) {
+                const src = cv.matFromImageData(frame.image);
+                const transform = cv.matFromArray(3, 3, cv.CV_64F, this.multiply(place, frame.transform));
+                
+                try {
+                    cv.warpPerspective(src, warped, transform, size, cv.INTER_LINEAR, cv.BORDER_CONSTANT, new cv.Scalar());
+                    cv.warpPerspective(this.getWeights(frame.image.width, frame.image.height), warpedWeight,
+                        transform, size, cv.INTER_LINEAR, cv.BORDER_CONSTANT, new cv.Scalar());
+                } finally {
+                    imageProcessor.cleanupMats([src, transform]);
+                }
+                
+                // Each pixel from the frame it sits most centrally in: no ghosting where the
+                // registration is a pixel off, and the darker frame corners are avoided
+                cv.compare(warpedWeight, best, take, cv.CMP_GT);
+                warped.copyTo(mosaic, take);
+                warpedWeight.copyTo(best, take);
+            }
+            
+            return {
+                image: new ImageData(new Uint8ClampedArray(mosaic.data), mosaic.cols, mosaic.rows),
+                outlines: layout.outlines.map(outline => outline.map(point => ({
+                    x: (point.x - layout.x) * scale,
+                    y: (point.y - layout.y) * scale
+                })))
+            };
+        } catch (error) {
+            console.error('Stitching error:', error);
+            return null;
+        } finally {
+            imageProcessor.cleanupMats([mosaic, best, warped, warpedWeight, take]);
+        }
+    }
+    
+    /**
+     * Get the centre weights for a frame size: 255 in the middle, falling to 1 at the edges
+     * @param {number} width - Frame width in pixels
+     * @param {number} height - Frame height in pixels
+     * @returns {cv.Mat} - CV_8U weights (cached, don't delete)
+     */
+    getWeights(width, height) {
+        const key = `${width}x${height}`;
+        if (!this.weights[key]) {
+            const weights = new cv.Mat(height, width, cv.CV_8U);
+            const half = Math.max(1, Math.min(width, height) / 2);
+            const values = weights.data;
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const edge = Math.min(x + 0.5, y + 0.5, width - x - 0.5, height - y - 0.5);
+                    values[y * width + x] = 1 + Math.round(254 * Math.min(1, edge / half));
+                }
+            }
+            this.weights[key] = weights;
+        }
+        return this.weights[key];
+    }
+    
+    /**
+     * Drop all frames and end the capture
+     */
+    reset() {
+        this.frames.forEach(frame => frame.descriptors.delete());
+        this.frames = [];
+        this.active = false;
+        
+        imageProcessor.cleanupMats([this.detector, this.matcher].concat(Object.values(this.weights)));
+        this.detector = null;
+        this.matcher = null;
+        this.weights = {};
+    }
+}
+
+// Create global instance
+const referenceStitcher = new ReferenceStitcher();
\ No newline at end of file
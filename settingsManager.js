@@ -0,0 +1,426 @@
+/**
+ * Settings Manager for Puzzle Detector Pro
+ * Edits tuning values in CONFIG at runtime against a schema, and keeps
+ * named profiles (built-in and user-saved) in localStorage
+ */
+
+// Settings that can be changed while the app runs; everything here is read
+// at use time (or rebuilt by applySettings), so no reset is needed
+const SETTINGS_SCHEMA = [
+    { path: 'DETECTION_THRESHOLD', group: 'Detection', label: 'Detection threshold', type: 'number', min: 0, max: 1, step: 0.01 },
+    { path: 'MATCH_CONFIDENCE_THRESHOLD', group: 'Detection', label: 'Display threshold', type: 'number', min: 0, max: 1, step: 0.01 },
+    { path: 'HIGH_CONFIDENCE_THRESHOLD', group: 'Detection', label: 'High confidence threshold', type: 'number', min: 0, max: 1, step: 0.01 },
+    { path: 'FRAME_SKIP', group: 'Detection', label: 'Process every Nth frame', type: 'integer', min: 1, max: 30 },
+    { path: 'CANDIDATES.COUNT', group: 'Detection', label: 'Ranked locations', type: 'integer', min: 1, max: 10 },
+    
+    { path: 'ALGORITHM.MATCHING_MODE', group: 'Matching', label: 'Matching mode', type: 'select', options: ['template', 'feature'] },
+    { path: 'ALGORITHM.ROTATIONS.COARSE', group: 'Matching', label: 'Rotations (coarse)', type: 'list', min: 0, max: 359 },
+    { path: 'ALGORITHM.ROTATIONS.MEDIUM', group: 'Matching', label: 'Rotations (medium)', type: 'list', min: 0, max: 359 },
+    { path: 'ALGORITHM.ROTATIONS.FINE', group: 'Matching', label: 'Rotations (fine)', type: 'list', min: 0, max: 359 },
+    { path: 'ALGORITHM.SCALES.COARSE', group: 'Matching', label: 'Scales (coarse)', type: 'list', min: 0.05, max: 4 },
+    { path: 'ALGORITHM.SCALES.MEDIUM', group: 'Matching', label: 'Scales (medium)', type: 'list', min: 0.05, max: 4 },
+    { path: 'ALGORITHM.SCALES.FINE', group: 'Matching', label: 'Scales (fine)', type: 'list', min: 0.05, max: 4 },
+    { path: 'SEGMENTATION.ENABLED', group: 'Matching', label: 'Piece segmentation', type: 'boolean' },
+    { path: 'COLOR.ENABLED', group: 'Matching', label: 'Colour ranking', type: 'boolean' },
+    { path: 'SHAPE.ENABLED', group: 'Matching', label: 'Border pieces on border only', type: 'boolean' },
+    { path: 'SHAPE.CHECK_GRID', group: 'Matching', label: 'Check piece shape against grid cell', type: 'boolean' },
+    { path: 'FOURIER_MELLIN.ENABLED', group: 'Matching', label: 'Measure exact rotation and scale', type: 'boolean' },
+    { path: 'SCORING.MODE', group: 'Matching', label: 'Combine methods by', type: 'select', options: ['weighted', 'vote'] },
+    { path: 'SCORING.CCOEFF_WEIGHT', group: 'Matching', label: 'Zero-mean correlation weight', type: 'number', min: 0, max: 1, step: 0.05 },
+    { path: 'SCORING.CCORR_WEIGHT', group: 'Matching', label: 'Correlation weight', type: 'number', min: 0, max: 1, step: 0.05 },
+    { path: 'SCORING.SQDIFF_WEIGHT', group: 'Matching', label: 'Squared difference weight', type: 'number', min: 0, max: 1, step: 0.05 },
+    { path: 'SCORING.GRADIENT_WEIGHT', group: 'Matching', label: 'Gradient correlation weight', type: 'number', min: 0, max: 1, step: 0.05 },
+    { path: 'PLACEMENT.PENALTY', group: 'Matching', label: 'Placed piece penalty', type: 'number', min: 0, max: 2, step: 0.05 },
+    
+    { path: 'PYRAMID.ENABLED', group: 'Coarse-to-fine search', label: 'Image pyramid', type: 'boolean' },
+    { path: 'PYRAMID.LEVELS', group: 'Coarse-to-fine search', label: 'Pyramid levels', type: 'integer', min: 1, max: 6 },
+    { path: 'PYRAMID.COARSE_THRESHOLD', group: 'Coarse-to-fine search', label: 'Coarse threshold', type: 'number', min: 0, max: 1, step: 0.01 },
+    { path: 'PYRAMID.TOP_CANDIDATES', group: 'Coarse-to-fine search', label: 'Candidates refined', type: 'integer', min: 1, max: 10 },
+    { path: 'PYRAMID.REFINE_WINDOW', group: 'Coarse-to-fine search', label: 'Refine window (px)', type: 'integer', min: 1, max: 16 },
+    
+    { path: 'NORMALIZATION.WHITE_BALANCE', group: 'Lighting', label: 'Gray-world white balance', type: 'boolean' },
+    { path: 'NORMALIZATION.CLAHE', group: 'Lighting', label: 'Adaptive equalization (CLAHE)', type: 'boolean' },
+    { path: 'NORMALIZATION.CLAHE_CLIP_LIMIT', group: 'Lighting', label: 'CLAHE clip limit', type: 'number', min: 0.5, max: 10, step: 0.5 },
+    { path: 'NORMALIZATION.LOCAL_CONTRAST', group: 'Lighting', label: 'Local mean/variance normalization', type: 'boolean' },
+    { path: 'NORMALIZATION.LOCAL_CONTRAST_RADIUS', group: 'Lighting', label: 'Local contrast radius (px)', type: 'integer', min: 2, max: 64 },
+    
+    { path: 'TRACKING.ENABLED', group: 'Tracking', label: 'Smooth match over frames', type: 'boolean' },
+    { path: 'TRACKING.SWITCH_FRAMES', group: 'Tracking', label: 'Frames before switching location', type: 'integer', min: 1, max: 30 },
+    { path: 'TRACKING.CONFIDENCE_RATE', group: 'Tracking', label: 'Confidence update rate', type: 'number', min: 0.05, max: 1, step: 0.05 },
+    { path: 'TRACKING.MAX_MISSES', group: 'Tracking', label: 'Frames kept without a match', type: 'integer', min: 0, max: 60 },
+    
+    { path: 'ROI.ENABLED', group: 'Region of interest', label: 'Track around last match', type: 'boolean' },
+    { path: 'ROI.MARGIN_FACTOR_HIGH', group: 'Region of interest', label: 'Margin (high confidence)', type: 'number', min: 0.1, max: 3, step: 0.05 },
+    { path: 'ROI.MARGIN_FACTOR_LOW', group: 'Region of interest', label: 'Margin (low confidence)', type: 'number', min: 0.1, max: 3, step: 0.05 }
+];
+
+// Built-in profiles: overrides on top of the defaults in config.js
+const BUILT_IN_PROFILES = {
+    'default': {},
+    'fast': {
+        'FRAME_SKIP': 4,
+        'CANDIDATES.COUNT': 1,
+        'ALGORITHM.SCALES.COARSE': [0.5, 0.7, 1.0],
+        'COLOR.ENABLED': false,
+        'PYRAMID.TOP_CANDIDATES': 2
+    },
+    'accurate': {
+        'FRAME_SKIP': 1,
+        'ALGORITHM.ROTATIONS.COARSE': [0, 45, 90, 135, 180, 225, 270, 315],
+        'ALGORITHM.SCALES.COARSE': [0.3, 0.4, 0.5, 0.6, 0.7, 0.85, 1.0],
+        'PYRAMID.COARSE_THRESHOLD': 0.25,
+        'PYRAMID.TOP_CANDIDATES': 5
+    },
+    'tiny pieces': {
+        'DETECTION_THRESHOLD': 0.35,
+        'ALGORITHM.SCALES.COARSE': [0.15, 0.2, 0.3, 0.4, 0.5],
+        'ALGORITHM.SCALES.MEDIUM': [0.15, 0.25, 0.35, 0.45],
+        'ALGORITHM.SCALES.FINE': [0.2, 0.3, 0.4, 0.5],
+        'PYRAMID.LEVELS': 3
+    }
+};
+
+class SettingsManager {
+    constructor() {
+        // CONFIG values for every schema path before any override
+        this.defaults = {};
+        
+        // Overrides currently applied (path -> value)
+        this.overrides = {};
+        
+        // User-saved profiles (name -> overrides)
+        this.profiles = {};
+        
+        // Profile the current overrides came from, and whether they were edited since
+        this.activeProfile = 'default';
+        this.isModified = false;
+    }
+    
+    /**
+     * Capture the defaults, load saved settings and apply them to CONFIG
+     */
+    initialize() {
+        SETTINGS_SCHEMA.forEach(setting => {
+            this.defaults[setting.path] = this.copyValue(this.readConfig(setting.path));
+        });
+        
+        this.load();
+        applyConfigOverrides(this.getValues());
+    }
+    
+    /**
+     * Get the editable settings
+     * @returns {Array} - Schema entries { path, group, label, type, min, max, step, options }
+     */
+    getSchema() {
+        return SETTINGS_SCHEMA;
+    }
+    
+    /**
+     * Get the current value of every setting
+     * @returns {Object} - Path -> value
+     */
+    getValues() {
+        const values = {};
+        SETTINGS_SCHEMA.forEach(setting => {
+            values[setting.path] = this.getValue(setting.path);
+        });
+        return values;
+    }
+    
+    /**
+     * Get the current value of a setting
+     * @param {string} path - Setting path, e.g. 'ROI.MARGIN_FACTOR_LOW'
+     * @returns {*} - Override if set, otherwise the default
+     */
+    getValue(path) {
+        return path in this.overrides ? this.overrides[path] : this.defaults[path];
+    }
+    
+    /**
+     * Read a value from CONFIG by path
+     * @param {string} path - Dotted path
+     * @returns {*} - Value, or undefined if the path doesn't exist
+     */
+    readConfig(path) {
+        return path.split('.').reduce((node, key) => node ? node[key] : undefined, CONFIG);
+    }
+    
+    /**
+     * Copy a setting value so stored defaults and overrides don't share arrays
+     * @param {*} value - Setting value
+     * @returns {*} - Copy
+     */
+    copyValue(value) {
+        return Array.isArray(value) ? value.slice() : value;
+    }
+    
+    /**
+     * Find the schema entry for a path
+     * @param {string} path - Setting path
+     * @returns {Object|null} - Schema entry
+     */
+    getSetting(path) {
+        return SETTINGS_SCHEMA.find(setting => setting.path === path) || null;
+    }
+    
+    /**
+     * Validate and normalize a value for a setting
+     * @param {Object} setting - Schema entry
+     * @param {*} raw - Value from the form (string/boolean) or from imported JSON
+     * @returns {Object} - { value } if valid, otherwise { error }
+     */
+    validate(setting, raw) {
+        const inRange = value => value >= setting.min && value <= setting.max;
+        const range = `${setting.min}–${setting.max}`;
+        
+        switch (setting.type) {
+            case 'boolean':
+                if (typeof raw === 'boolean') return { value: raw };
+                if (raw === 'true' || raw === 'false') return { value: raw === 'true' };
+                return { error: 'Must be on or off' };
+            
+            case 'select':
+                return setting.options.includes(raw)
+                    ? { value: raw }
+                    : { error: `Must be one of: ${setting.options.join(', ')}` };
+            
+            case 'integer':
+            case 'number': {
+                const value = typeof raw === 'number' ? raw : parseFloat(raw);
+                if (!Number.isFinite(value) || !inRange(value)) {
+                    return { error: `Must be a number in ${range}` };
+                }
+                if (setting.type === 'integer' && !Number.isInteger(value)) {
+                    return { error: `Must be a whole number in ${range}` };
+                }
+                return { value: value };
+            }
+            
+            case 'list': {
+                const items = Array.isArray(raw) ? raw : String(raw).split(',').filter(item => item.trim() !== '');
+                const values = items.map(item => typeof item === 'number' ? item : parseFloat(item));
+                if (values.length === 0 || values.some(value => !Number.isFinite(value) || !inRange(value))) {
+                    return { error: `Must be a comma-separated list of numbers in ${range}` };
+                }
+                return { value: values };
+            }
+            
+            default:
+                return { error: `Unknown setting type ${setting.type}` };
+        }
+    }
+    
+    /**
+     * Change a setting and apply it to CONFIG
+     * @param {string} path - Setting path
+     * @param {*} raw - New value (validated against the schema)
+     * @returns {Object} - { value } if applied, otherwise { error }
+     */
+    set(path, raw) {
+        const setting = this.getSetting(path);
+        if (!setting) return { error: `Unknown setting ${path}` };
+        
+        const result = this.validate(setting, raw);
+        if (result.error) return result;
+        
+        // Only differences from the defaults are stored
+        if (this.isSameValue(result.value, this.defaults[path])) {
+            delete this.overrides[path];
+        } else {
+            this.overrides[path] = result.value;
+        }
+        
+        applyConfigOverrides({ [path]: result.value });
+        this.isModified = true;
+        this.save();
+        return result;
+    }
+    
+    /**
+     * Compare two setting values
+     * @param {*} a - Value
+     * @param {*} b - Value
+     * @returns {boolean} - True if equal (arrays compared element-wise)
+     */
+    isSameValue(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+    
+    /**
+     * Get the names of all profiles
+     * @returns {Array} - Built-in names followed by user profile names
+     */
+    getProfileNames() {
+        return Object.keys(BUILT_IN_PROFILES).concat(Object.keys(this.profiles).sort());
+    }
+    
+    /**
+     * Check whether a profile is built in (and therefore read-only)
+     * @param {string} name - Profile name
+     * @returns {boolean} - True for built-in profiles
+     */
+    isBuiltIn(name) {
+        return Object.prototype.hasOwnProperty.call(BUILT_IN_PROFILES, name);
+    }
+    
+    /**
+     * Switch to a profile, replacing all current overrides
+     * @param {string} name - Profile name
+     * @returns {boolean} - False if the profile doesn't exist
+     */
+    selectProfile(name) {
+        const profile = this.isBuiltIn(name) ? BUILT_IN_PROFILES[name] : this.profiles[name];
+        if (!profile) return false;
+        
+        this.overrides = {};
+        Object.keys(profile).forEach(path => {
+            this.overrides[path] = this.copyValue(profile[path]);
+        });
+        
+        this.activeProfile = name;
+        this.isModified = false;
+        
+        applyConfigOverrides(this.getValues());
+        this.save();
+        return true;
+    }
+    
+    /**
+     * Save the current settings as a user profile
+     * @param {string} name - Profile name
+     * @returns {Object} - { name } if saved, otherwise { error }
+     */
+    saveProfile(name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) return { error: 'Profile name is empty' };
+        if (this.isBuiltIn(trimmed)) return { error: `"${trimmed}" is a built-in profile` };
+        
+        this.profiles[trimmed] = JSON.parse(JSON.stringify(this.overrides));
+        this.activeProfile = trimmed;
+        this.isModified = false;
+        this.save();
+        return { name: trimmed };
+    }
+    
+    /**
+     * Delete a user profile (the current settings stay applied)
+     * @param {string} name - Profile name
+     * @returns {boolean} - False for built-in or unknown profiles
+     */
+    deleteProfile(name) {
+        if (this.isBuiltIn(name) || !this.profiles[name]) return false;
+        
+        delete this.profiles[name];
+        if (this.activeProfile === name) {
+            this.activeProfile = 'default';
+            this.isModified = true;
+        }
+        
+        this.save();
+        return true;
+    }
+    
+    /**
+     * Export the current settings as a profile file
+     * @returns {string} - JSON text
+     */
+    exportProfile() {
+        return JSON.stringify({
+            type: 'puzzle-detector-profile',
+            version: 1,
+            name: this.activeProfile,
+            values: this.overrides
+        }, null, 2);
+    }
+    
+    /**
+     * Import a profile file, save it as a user profile and switch to it
+     * @param {string} text - JSON text from exportProfile
+     * @returns {Object} - { name, rejected } on success (rejected lists invalid paths), otherwise { error }
+     */
+    importProfile(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { error: 'Not a valid JSON file' };
+        }
+        
+        if (!data || typeof data.values !== 'object' || data.values === null) {
+            return { error: 'File has no profile values' };
+        }
+        
+        const values = {};
+        const rejected = [];
+        Object.keys(data.values).forEach(path => {
+            const setting = this.getSetting(path);
+            const result = setting ? this.validate(setting, data.values[path]) : { error: 'unknown' };
+            
+            if (result.error) {
+                rejected.push(path);
+            } else {
+                values[path] = result.value;
+            }
+        });
+        
+        // Never overwrite a built-in or existing profile
+        const baseName = String(data.name || 'imported').trim() || 'imported';
+        let name = baseName;
+        for (let i = 2; this.isBuiltIn(name) || this.profiles[name]; i++) {
+            name = `${baseName} (${i})`;
+        }
+        
+        this.profiles[name] = values;
+        this.selectProfile(name);
+        return { name: name, rejected: rejected };
+    }
+    
+    /**
+     * Load saved profiles and settings from localStorage
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.SETTINGS.STORAGE_KEY) || 'null');
+            if (!stored) return;
+            
+            this.profiles = stored.profiles || {};
+            this.activeProfile = stored.activeProfile || 'default';
+            this.isModified = !!stored.isModified;
+            
+            // Drop anything the schema no longer allows
+            this.overrides = {};
+            Object.keys(stored.overrides || {}).forEach(path => {
+                const setting = this.getSetting(path);
+                const result = setting ? this.validate(setting, stored.overrides[path]) : { error: 'unknown' };
+                if (!result.error) {
+                    this.overrides[path] = result.value;
+                }
+            });
+        } catch (error) {
+            console.warn('Failed to load settings:', error);
+        }
+    }
+    
+    /**
+     * Save profiles and settings to localStorage
+     * @returns {boolean} - Whether the settings were saved
+     */
+    save() {
+        try {
+            localStorage.setItem(CONFIG.SETTINGS.STORAGE_KEY, JSON.stringify({
+                activeProfile: this.activeProfile,
+                isModified: this.isModified,
+                overrides: this.overrides,
+                profiles: this.profiles
+            }));
+            return true;
+        } catch (error) {
+            console.warn('Failed to save settings:', error);
+            return false;
+        }
+    }
+}
+
+// Create global instance
+const settingsManager = new SettingsManager();
\ No newline at end of file
@@ -0,0 +1,298 @@
+/**
+ * Storage Manager for Puzzle Detector Pro
+ * Persists puzzles (reference image, metadata, grid settings, found pieces)
+ * and the last session in IndexedDB so a reload doesn't lose the reference
+ */
+class StorageManager {
+    constructor() {
+        this.db = null;
+        
+        // Puzzle record currently in use (null until a reference is set)
+        this.currentPuzzle = null;
+        
+        // Bumped when a new puzzle is started or the session cleared, so a slower save can tell it was superseded
+        this.generation = 0;
+    }
+    
+    /**
+     * Open (and if needed create) the database
+     * @returns {Promise<boolean>} - Whether storage is available
+     */
+    async open() {
+        if (this.db) return true;
+        
+        if (typeof indexedDB === 'undefined') {
+            console.warn('IndexedDB not available - puzzles will not be saved');
+            return false;
+        }
+        
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(CONFIG.STORAGE.DB_NAME, CONFIG.STORAGE.DB_VERSION);
+                
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('puzzles')) {
+                        db.createObjectStore('puzzles', { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains('session')) {
+                        db.createObjectStore('session', { keyPath: 'key' });
+                    }
+                };
+                
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+            });
+            
+            return true;
+        } catch (error) {
+            console.error('Failed to open puzzle storage:', error);
+            this.db = null;
+            return false;
+        }
+    }
+    
+    /**
+     * Run a single request against an object store
+     * @param {string} storeName - Object store name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the store and returns an IDBRequest
+     * @returns {Promise} - Resolves with the request result once the transaction completes
+     */
+    run(storeName, mode, operation) {
+        if (!this.db) {
+            return Promise.reject(new Error('Puzzle storage not open'));
+        }
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+    
+    /**
+     * Save a puzzle record
+     * @param {Object} puzzle - Puzzle record
+     * @returns {Promise} - Resolves once written
+     */
+    savePuzzle(puzzle) {
+        puzzle.updatedAt = Date.now();
+        return this.run('puzzles', 'readwrite', store => store.put(puzzle));
+    }
+    
+    /**
+     * Load a puzzle record
+     * @param {string} id - Puzzle id
+     * @returns {Promise<Object|undefined>} - Puzzle record
+     */
+    getPuzzle(id) {
+        return this.run('puzzles', 'readonly', store => store.get(id));
+    }
+    
+    /**
+     * List all stored puzzles
+     * @returns {Promise<Array>} - Puzzle records, most recently used first
+     */
+    async listPuzzles() {
+        const puzzles = await this.run('puzzles', 'readonly', store => store.getAll());
+        return puzzles.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+    
+    /**
+     * Delete a puzzle record
+     * @param {string} id - Puzzle id
+     * @returns {Promise} - Resolves once deleted
+     */
+    deletePuzzle(id) {
+        return this.run('puzzles', 'readwrite', store => store.delete(id));
+    }
+    
+    /**
+     * Create and save a puzzle for a new reference image
+     * @param {ImageData} referenceImage - Reference image (after perspective correction)
+     * @param {Object} metadata - { source, gridSpec, rows, cols }
+     * @returns {Promise<Object|null>} - Saved puzzle record, or null on failure or if the session was
+     *                                    cleared or another puzzle started before it was saved
+     */
+    async createPuzzle(referenceImage, metadata = {}) {
+        // Nothing found from here on belongs to the previous puzzle
+        this.currentPuzzle = null;
+        const generation = ++this.generation;
+        if (!this.db) return null;
+        
+        try {
+            const reference = await this.encodeImage(referenceImage);
+            if (generation !== this.generation) return null;
+            
+            const createdAt = Date.now();
+            const puzzle = {
+                id: `puzzle-${createdAt}`,
+                name: new Date(createdAt).toLocaleString(),
+                createdAt: createdAt,
+                updatedAt: createdAt,
+                reference: reference,
+                width: referenceImage.width,
+                height: referenceImage.height,
+                source: metadata.source || 'camera',
+                gridSpec: metadata.gridSpec || '',
+                rows: metadata.rows || 0,
+                cols: metadata.cols || 0,
+                foundPieces: [],
+                placedRegions: []
+            };
+            
+            await this.savePuzzle(puzzle);
+            await this.saveSession(puzzle.id);
+            
+            // Superseded while writing: the session belongs to whatever came after
+            if (generation !== this.generation) {
+                await this.saveSession(this.currentPuzzle ? this.currentPuzzle.id : null);
+                return null;
+            }
+            
+            this.currentPuzzle = puzzle;
+            return puzzle;
+        } catch (error) {
+            console.error('Failed to save puzzle:', error);
+            domUtils.updateStatus('Could not save puzzle: ' + error.message, 'warn');
+            return null;
+        }
+    }
+    
+    /**
+     * Update fields of the current puzzle and save it
+     * @param {Object} changes - Fields to update
+     * @returns {Promise<boolean>} - Whether the puzzle was saved
+     */
+    async updateCurrentPuzzle(changes) {
+        if (!this.currentPuzzle || !this.db) return false;
+        
+        Object.assign(this.currentPuzzle, changes);
+        
+        try {
+            await this.savePuzzle(this.currentPuzzle);
+            return true;
+        } catch (error) {
+            console.error('Failed to update puzzle:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Add a found piece to the current puzzle's history
+     * @param {Object} piece - { row, col, x, y, width, height, rotation, confidence, shape, signature }
+     * @returns {Promise<boolean>} - Whether the piece was recorded (false for duplicates)
+     */
+    async addFoundPiece(piece) {
+        if (!this.currentPuzzle) return false;
+        
+        const history = this.currentPuzzle.foundPieces;
+        if (history.some(found => this.isSamePlacement(found, piece))) {
+            return false;
+        }
+        
+        history.push(Object.assign({ time: Date.now() }, piece));
+        return this.updateCurrentPuzzle({ foundPieces: history });
+    }
+    
+    /**
+     * Check whether two found pieces refer to the same spot in the puzzle
+     * @param {Object} a - Found piece
+     * @param {Object} b - Found piece
+     * @returns {boolean} - True if they share a grid cell (or overlap when there is no grid)
+     */
+    isSamePlacement(a, b) {
+        if (a.row && b.row) {
+            return a.row === b.row && a.col === b.col;
+        }
+        
+        const dx = Math.abs((a.x + a.width / 2) - (b.x + b.width / 2));
+        const dy = Math.abs((a.y + a.height / 2) - (b.y + b.height / 2));
+        return dx < Math.min(a.width, b.width) / 2 && dy < Math.min(a.height, b.height) / 2;
+    }
+    
+    /**
+     * Remember which puzzle to restore on the next start
+     * @param {string|null} puzzleId - Puzzle id, or null to start fresh next time
+     * @returns {Promise} - Resolves once written
+     */
+    saveSession(puzzleId) {
+        return this.run('session', 'readwrite', store => store.put({
+            key: 'last',
+            puzzleId: puzzleId,
+            savedAt: Date.now()
+        }));
+    }
+    
+    /**
+     * Forget the last session (stored puzzles are kept)
+     * @returns {Promise<boolean>} - Whether the session was cleared
+     */
+    async clearSession() {
+        this.currentPuzzle = null;
+        this.generation++;
+        if (!this.db) return false;
+        
+        try {
+            await this.saveSession(null);
+            return true;
+        } catch (error) {
+            console.error('Failed to clear session:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Load the puzzle from the last session
+     * @returns {Promise<Object|null>} - { puzzle, referenceImage } or null if there is nothing to restore
+     */
+    async restoreLastSession() {
+        if (!this.db) return null;
+        
+        try {
+            const session = await this.run('session', 'readonly', store => store.get('last'));
+            if (!session || !session.puzzleId) return null;
+            
+            const puzzle = await this.getPuzzle(session.puzzleId);
+            if (!puzzle || !puzzle.reference) return null;
+            
+            const referenceImage = await fileImporter.decode(puzzle.reference);
+            
+            this.currentPuzzle = puzzle;
+            return { puzzle: puzzle, referenceImage: referenceImage };
+        } catch (error) {
+            console.error('Failed to restore session:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Encode image data as a compressed blob for storage
+     * @param {ImageData} imageData - Image data
+     * @returns {Promise<Blob>} - Encoded image
+     */
+    encodeImage(imageData) {
+        const canvas = document.createElement('canvas');
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+        
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Could not encode reference image'));
+                }
+            }, CONFIG.STORAGE.IMAGE_TYPE, CONFIG.STORAGE.IMAGE_QUALITY);
+        });
+    }
+}
+
+// Create global instance
+const storageManager = new StorageManager();
\ No newline at end of file
@@ -0,0 +1,489 @@
+/**
+ * Matcher Benchmark for Puzzle Detector Pro
+ * Runs ImageProcessor and MatchDetector headlessly over a dataset of
+ * reference images, piece images and ground truth, and reports accuracy
+ * and speed so CONFIG changes can be compared between runs
+ *
+ * Usage: node tools/benchmark.js <dataset-dir> [options]
+ *   --opencv <path>      opencv.js to load (default: opencv.js in the repo root)
+ *   --config <file>      JSON overrides merged into CONFIG before the run
+ *   --frames <n>         Frames fed per piece; later frames use the progressive search (default 1)
+ *   --tolerance <f>      Hit radius as a fraction of the piece size (default 0.5)
+ *   --json [file]        Write machine-readable results to a file, or stdout without one
+ *   --ablate-normalization  Also rerun with each lighting normalization step switched the other way
+ *   --verbose            Print detector status messages, lighting steps and per-piece results
+ */
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+
+const pngCodec = require('./pngCodec');
+const detectorRuntime = require('./detectorRuntime');
+
+// Results format version, bumped when fields change meaning
+const RESULTS_VERSION = 1;
+
+// Lighting normalization steps that --ablate-normalization switches one at a time
+const NORMALIZATION_STEPS = [
+    { key: 'WHITE_BALANCE', label: 'white balance' },
+    { key: 'CLAHE', label: 'CLAHE' },
+    { key: 'LOCAL_CONTRAST', label: 'local contrast' }
+];
+
+class Benchmark {
+    constructor(options) {
+        this.options = options;
+        this.components = null;
+    }
+    
+    /**
+     * Run the benchmark over the whole dataset
+     * @returns {Promise<Object>} - Results { version, dataset, config, summary, references, pieces, ablation }
+     */
+    async run() {
+        const groundTruth = this.loadGroundTruth();
+        
+        this.components = await detectorRuntime.load({
+            opencvPath: this.options.opencv,
+            verbose: this.options.verbose
+        });
+        
+        const CONFIG = this.components.CONFIG;
+        if (this.options.config) {
+            this.mergeConfig(CONFIG, JSON.parse(fs.readFileSync(this.options.config, 'utf8')));
+        }
+        
+        const { references, pieces } = this.runDataset(groundTruth);
+        const ablation = this.options.ablateNormalization ? this.runNormalizationAblation(groundTruth) : null;
+        
+        return {
+            version: RESULTS_VERSION,
+            timestamp: new Date().toISOString(),
+            dataset: path.resolve(this.options.dataset),
+            settings: {
+                frames: this.options.frames,
+                tolerance: this.options.tolerance,
+                configOverrides: this.options.config ? path.resolve(this.options.config) : null
+            },
+            config: {
+                DETECTION_THRESHOLD: CONFIG.DETECTION_THRESHOLD,
+                ALGORITHM: CONFIG.ALGORITHM,
+                SEGMENTATION: CONFIG.SEGMENTATION,
+                COLOR: CONFIG.COLOR,
+                SCORING: CONFIG.SCORING,
+                NORMALIZATION: CONFIG.NORMALIZATION
+            },
+            summary: this.summarize(pieces),
+            references: references,
+            pieces: pieces,
+            ablation: ablation
+        };
+    }
+    
+    /**
+     * Process every reference of the dataset and detect its pieces
+     * @param {Object} groundTruth - Parsed ground_truth.json
+     * @returns {Object} - { references, pieces } results
+     */
+    runDataset(groundTruth) {
+        const references = [];
+        const pieces = [];
+        
+        for (const reference of groundTruth.references) {
+            const result = this.runReference(reference);
+            references.push(result.reference);
+            pieces.push(...result.pieces);
+        }
+        
+        return { references: references, pieces: pieces };
+    }
+    
+    /**
+     * Rerun the dataset once per lighting normalization step with that step switched
+     * the other way, so each step's effect on accuracy and speed shows on its own
+     * @param {Object} groundTruth - Parsed ground_truth.json
+     * @returns {Array} - Variants { variant, path, enabled, summary }
+     */
+    runNormalizationAblation(groundTruth) {
+        const settings = this.components.CONFIG.NORMALIZATION;
+        
+        return NORMALIZATION_STEPS.map(step => {
+            const configured = settings[step.key];
+            const variant = `${configured ? 'without' : 'with'} ${step.label}`;
+            if (this.options.verbose) {
+                console.error(`--- ${variant} ---`);
+            }
+            
+            settings[step.key] = !configured;
+            try {
+                return {
+                    variant: variant,
+                    path: `NORMALIZATION.${step.key}`,
+                    enabled: !configured,
+                    summary: this.summarize(this.runDataset(groundTruth).pieces)
+                };
+            } finally {
+                settings[step.key] = configured;
+            }
+        });
+    }
+    
+    /**
+     * Read and validate ground_truth.json
+     * @returns {Object} - { references: [{ image, pieces: [...] }] }
+     */
+    loadGroundTruth() {
+        const file = path.join(this.options.dataset, 'ground_truth.json');
+        if (!fs.existsSync(file)) {
+            throw new Error(`No ground_truth.json in ${this.options.dataset}`);
+        }
+        
+        const groundTruth = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!Array.isArray(groundTruth.references)) {
+            throw new Error('ground_truth.json needs a "references" array');
+        }
+        
+        groundTruth.references.forEach((reference, index) => {
+            if (!reference.image || !Array.isArray(reference.pieces)) {
+                throw new Error(`Reference ${index} needs "image" and a "pieces" array`);
+            }
+        });
+        
+        return groundTruth;
+    }
+    
+    /**
+     * Load a dataset image
+     * @param {string} file - Path relative to the dataset directory
+     * @returns {Object} - ImageData-compatible { width, height, data }
+     */
+    loadImage(file) {
+        if (path.extname(file).toLowerCase() !== '.png') {
+            throw new Error(`${file}: only PNG images are supported`);
+        }
+        return pngCodec.decode(fs.readFileSync(path.join(this.options.dataset, file)));
+    }
+    
+    /**
+     * Process one reference and detect each of its pieces
+     * @param {Object} reference - Ground truth reference entry
+     * @returns {Object} - { reference, pieces } results
+     */
+    runReference(reference) {
+        const { imageProcessor, matchDetector } = this.components;
+        
+        matchDetector.reset();
+        imageProcessor.reset();
+        
+        const image = this.loadImage(reference.image);
+        const start = performance.now();
+        if (!imageProcessor.processReferenceImage(image)) {
+            throw new Error(`${reference.image}: reference processing failed`);
+        }
+        const referenceTime = performance.now() - start;
+        
+        if (this.options.verbose) {
+            const steps = imageProcessor.getNormalizationReport().reference;
+            console.error(`${reference.image}: lighting ${imageProcessor.describeNormalization(steps)}`);
+        }
+        
+        const pieces = reference.pieces.map(piece => this.runPiece(reference, piece));
+        
+        return {
+            reference: {
+                image: reference.image,
+                width: image.width,
+                height: image.height,
+                time: referenceTime
+            },
+            pieces: pieces
+        };
+    }
+    
+    /**
+     * Detect a single piece and score it against the ground truth
+     * @param {Object} reference - Ground truth reference entry
+     * @param {Object} piece - Ground truth piece { image, x, y, width, height, rotation, present }
+     * @returns {Object} - Per-piece result
+     */
+    runPiece(reference, piece) {
+        const { CONFIG, imageProcessor, matchDetector, pieceSegmenter } = this.components;
+        const image = this.loadImage(piece.image);
+        const present = piece.present !== false;
+        
+        // Each piece starts from a clean state, like pointing the camera at a new piece;
+        // dataset photos don't share a table, so the background model starts over too
+        matchDetector.reset();
+        pieceSegmenter.reset();
+        
+        let match = null;
+        let time = 0;
+        for (let frame = 0; frame < this.options.frames; frame++) {
+            const start = performance.now();
+            match = matchDetector.detectPiece(image);
+            time += performance.now() - start;
+        }
+        
+        // Ground truth is in reference pixels; a large reference is matched downsampled
+        if (match) {
+            match = imageProcessor.convertReferenceRect(match);
+        }
+        
+        const detected = !!match && match.confidence >= CONFIG.DETECTION_THRESHOLD;
+        const result = {
+            reference: reference.image,
+            image: piece.image,
+            present: present,
+            detected: detected,
+            hit: false,
+            confidence: match ? match.confidence : 0,
+            positionError: null,
+            rotationError: null,
+            time: time / this.options.frames,
+            match: match ? {
+                x: match.x,
+                y: match.y,
+                width: match.width,
+                height: match.height,
+                rotation: match.rotation,
+                scale: match.scale
+            } : null
+        };
+        
+        if (present && match) {
+            const dx = (match.x + match.width / 2) - (piece.x + piece.width / 2);
+            const dy = (match.y + match.height / 2) - (piece.y + piece.height / 2);
+            result.positionError = Math.hypot(dx, dy);
+            result.rotationError = this.angleDifference(match.rotation, piece.rotation || 0);
+            
+            const radius = Math.min(piece.width, piece.height) * this.options.tolerance;
+            result.hit = detected && result.positionError <= radius;
+        }
+        
+        if (this.options.verbose) {
+            console.error(this.describePiece(result));
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Smallest difference between two angles
+     * @param {number} a - Angle in degrees
+     * @param {number} b - Angle in degrees
+     * @returns {number} - Difference in degrees (0-180)
+     */
+    angleDifference(a, b) {
+        const difference = Math.abs(((a - b) % 360 + 360) % 360);
+        return Math.min(difference, 360 - difference);
+    }
+    
+    /**
+     * Aggregate per-piece results
+     * @param {Array} pieces - Per-piece results
+     * @returns {Object} - Summary metrics
+     */
+    summarize(pieces) {
+        const present = pieces.filter(piece => piece.present);
+        const detections = pieces.filter(piece => piece.detected);
+        const hits = present.filter(piece => piece.hit);
+        const falsePositives = detections.filter(piece => !piece.hit);
+        
+        // Position error over every reported detection of a present piece, rotation over hits only
+        const located = present.filter(piece => piece.detected);
+        
+        return {
+            pieces: pieces.length,
+            presentPieces: present.length,
+            absentPieces: pieces.length - present.length,
+            detections: detections.length,
+            hits: hits.length,
+            falsePositives: falsePositives.length,
+            hitRate: present.length ? hits.length / present.length : null,
+            falsePositiveRate: detections.length ? falsePositives.length / detections.length : null,
+            positionError: this.stats(located.map(piece => piece.positionError)),
+            rotationError: this.stats(hits.map(piece => piece.rotationError)),
+            time: this.stats(pieces.map(piece => piece.time))
+        };
+    }
+    
+    /**
+     * Mean, median, 95th percentile and maximum of a list of values
+     * @param {Array} values - Numbers
+     * @returns {Object|null} - { mean, median, p95, max } or null if empty
+     */
+    stats(values) {
+        if (values.length === 0) return null;
+        
+        const sorted = values.slice().sort((a, b) => a - b);
+        const percentile = fraction => sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+        
+        return {
+            mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+            median: percentile(0.5),
+            p95: percentile(0.95),
+            max: sorted[sorted.length - 1]
+        };
+    }
+    
+    /**
+     * Deep-merge overrides into CONFIG
+     * @param {Object} target - Object to update
+     * @param {Object} overrides - Values to apply
+     */
+    mergeConfig(target, overrides) {
+        Object.keys(overrides).forEach(key => {
+            const value = overrides[key];
+            const isObject = value && typeof value === 'object' && !Array.isArray(value);
+            
+            if (isObject && target[key] && typeof target[key] === 'object') {
+                this.mergeConfig(target[key], value);
+            } else {
+                target[key] = value;
+            }
+        });
+    }
+    
+    /**
+     * Format one piece result for verbose output
+     * @param {Object} result - Per-piece result
+     * @returns {string} - One line summary
+     */
+    describePiece(result) {
+        const outcome = !result.present
+            ? (result.detected ? 'FALSE POSITIVE' : 'rejected')
+            : (result.hit ? 'hit' : (result.detected ? 'WRONG PLACE' : 'missed'));
+        const error = result.positionError !== null ? ` err ${result.positionError.toFixed(1)}px` : '';
+        
+        return `${result.image}: ${outcome} (${(result.confidence * 100).toFixed(1)}%${error}, ${result.time.toFixed(0)}ms)`;
+    }
+    
+    /**
+     * Format the summary for the terminal
+     * @param {Object} summary - Summary metrics
+     * @returns {string} - Report text
+     */
+    formatSummary(summary) {
+        const percent = value => value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+        const stat = (value, unit) => value === null
+            ? 'n/a'
+            : `mean ${value.mean.toFixed(1)}${unit}, median ${value.median.toFixed(1)}${unit}, p95 ${value.p95.toFixed(1)}${unit}`;
+        
+        return [
+            `Pieces:              ${summary.pieces} (${summary.presentPieces} present, ${summary.absentPieces} absent)`,
+            `Hit rate:            ${percent(summary.hitRate)} (${summary.hits}/${summary.presentPieces})`,
+            `False positive rate: ${percent(summary.falsePositiveRate)} (${summary.falsePositives}/${summary.detections} detections)`,
+            `Position error:      ${stat(summary.positionError, 'px')}`,
+            `Rotation error:      ${stat(summary.rotationError, '°')}`,
+            `Time per piece:      ${stat(summary.time, 'ms')}`
+        ].join('\n');
+    }
+    
+    /**
+     * Format the normalization ablation as a table against the configured run
+     * @param {Object} summary - Summary metrics of the configured run
+     * @param {Array} ablation - Variants from runNormalizationAblation
+     * @returns {string} - Report text
+     */
+    formatAblation(summary, ablation) {
+        const percent = value => value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+        const row = (label, metrics) => [
+            label.padEnd(24),
+            `hit ${percent(metrics.hitRate)}`.padEnd(12),
+            `false pos ${percent(metrics.falsePositiveRate)}`.padEnd(18),
+            `${metrics.time ? metrics.time.mean.toFixed(1) : 'n/a'}ms per piece`
+        ].join(' ');
+        
+        return ['Lighting normalization:']
+            .concat(row('as configured', summary))
+            .concat(ablation.map(entry => row(entry.variant, entry.summary)))
+            .join('\n');
+    }
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array} args - process.argv without node and script
+ * @returns {Object} - Options
+ */
+function parseArguments(args) {
+    const options = {
+        dataset: null,
+        opencv: null,
+        config: null,
+        frames: 1,
+        tolerance: 0.5,
+        json: false,
+        jsonFile: null,
+        ablateNormalization: false,
+        verbose: false
+    };
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const next = () => {
+            if (i + 1 >= args.length) throw new Error(`${arg} needs a value`);
+            return args[++i];
+        };
+        
+        switch (arg) {
+            case '--opencv': options.opencv = next(); break;
+            case '--config': options.config = next(); break;
+            case '--frames': options.frames = Math.max(1, parseInt(next(), 10) || 1); break;
+            case '--tolerance': options.tolerance = parseFloat(next()); break;
+            case '--ablate-normalization': options.ablateNormalization = true; break;
+            case '--verbose': options.verbose = true; break;
+            case '--json':
+                options.json = true;
+                if (args[i + 1] && !args[i + 1].startsWith('--')) {
+                    options.jsonFile = args[++i];
+                }
+                break;
+            default:
+                if (arg.startsWith('--') || options.dataset) {
+                    throw new Error(`Unexpected argument: ${arg}`);
+                }
+                options.dataset = arg;
+        }
+    }
+    
+    if (!options.dataset) {
+        throw new Error('Usage: node tools/benchmark.js <dataset-dir> [--opencv path] [--config file] [--frames n] [--tolerance f] [--json [file]] [--ablate-normalization] [--verbose]');
+    }
+    if (!(options.tolerance > 0)) {
+        throw new Error('--tolerance must be a positive number');
+    }
+    
+    return options;
+}
+
+async function main() {
+    try {
+        const options = parseArguments(process.argv.slice(2));
+        const benchmark = new Benchmark(options);
+        const results = await benchmark.run();
+        
+        if (options.json && !options.jsonFile) {
+            process.stdout.write(JSON.stringify(results, null, 2) + '\n');
+        } else {
+            console.log(benchmark.formatSummary(results.summary));
+            if (results.ablation) {
+                console.log('\n' + benchmark.formatAblation(results.summary, results.ablation));
+            }
+        }
+        
+        if (options.jsonFile) {
+            fs.writeFileSync(options.jsonFile, JSON.stringify(results, null, 2) + '\n');
+            console.log(`Results written to ${options.jsonFile}`);
+        }
+    } catch (error) {
+        console.error('Benchmark failed:', error.message || error);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { Benchmark, parseArguments };
\ No newline at end of file
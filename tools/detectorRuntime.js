@@ -0,0 +1,106 @@
+/**
+ * Detector Runtime for the Puzzle Detector Pro tools
+ * Loads OpenCV.js (WASM) and the repository scripts into Node the same way
+ * detectionWorker.js does with importScripts, so tools run the real matcher
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Repository root (where index.html, opencv.js and the detection scripts live)
+const ROOT = path.resolve(__dirname, '..');
+
+// Same scripts, same order as the detection worker
+const DETECTION_SCRIPTS = [
+    'config.js', 'imageProcessor.js', 'featureMatcher.js', 'fourierMellin.js',
+    'pieceSegmenter.js', 'pieceShape.js', 'matchDetector.js', 'perspectiveCorrector.js',
+    'referenceStitcher.js'
+];
+
+class DetectorRuntime {
+    constructor() {
+        this.components = null;
+    }
+    
+    /**
+     * Load OpenCV and the detection components
+     * @param {Object} options - { opencvPath, verbose }
+     * @returns {Promise<Object>} - { cv, CONFIG, imageProcessor, featureMatcher, fourierMellin, pieceSegmenter, pieceShape, matchDetector }
+     */
+    async load(options = {}) {
+        if (this.components) return this.components;
+        
+        await this.loadOpenCV(options);
+        this.loadScripts(DETECTION_SCRIPTS);
+        
+        // Top-level class instances are script globals, not properties of globalThis
+        this.components = vm.runInThisContext(
+            '({ CONFIG, imageProcessor, featureMatcher, fourierMellin, pieceSegmenter, pieceShape, matchDetector })'
+        );
+        this.components.cv = globalThis.cv;
+        
+        if (!this.components.imageProcessor.initialize()) {
+            throw new Error('Image processor failed to initialize');
+        }
+        this.components.matchDetector.initialize();
+        
+        return this.components;
+    }
+    
+    /**
+     * Load OpenCV.js into the global scope, as importScripts does in the worker
+     * @param {Object} options - { opencvPath, verbose }
+     * @returns {Promise} - Resolves once the global cv is ready
+     */
+    async loadOpenCV(options = {}) {
+        if (globalThis.cv && globalThis.cv.Mat) return;
+        
+        const opencvPath = path.resolve(options.opencvPath || path.join(ROOT, 'opencv.js'));
+        if (!fs.existsSync(opencvPath)) {
+            throw new Error(`OpenCV.js not found at ${opencvPath} (pass --opencv <path>)`);
+        }
+        
+        // Worker globals the repository scripts rely on
+        globalThis.self = globalThis;
+        
+        // Status bridge: same shape as the worker's, printed instead of posted
+        globalThis.domUtils = {
+            updateStatus(msg, type = 'info') {
+                if (options.verbose || type === 'error') {
+                    console.error(`[${type}] ${msg}`);
+                }
+            }
+        };
+        
+        globalThis.cv = require(opencvPath);
+        await this.waitForOpenCV(globalThis.cv);
+    }
+    
+    /**
+     * Run repository scripts in the global scope
+     * @param {Array} files - Script names relative to the repository root
+     */
+    loadScripts(files) {
+        files.forEach(file => {
+            const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+            vm.runInThisContext(source, { filename: file });
+        });
+    }
+    
+    /**
+     * Wait for the OpenCV.js WASM runtime to initialize
+     * (the cv module is itself a thenable, so it must never be awaited or resolved directly)
+     * @param {Object} cv - Module exported by opencv.js
+     * @returns {Promise} - Resolves once cv.Mat is available
+     */
+    waitForOpenCV(cv) {
+        if (cv.Mat) return Promise.resolve();
+        
+        return new Promise(resolve => {
+            cv.onRuntimeInitialized = () => resolve();
+        });
+    }
+}
+
+module.exports = new DetectorRuntime();
+module.exports.ROOT = ROOT;
\ No newline at end of file
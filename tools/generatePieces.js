@@ -0,0 +1,554 @@
+/**
+ * Synthetic Piece Generator for Puzzle Detector Pro
+ * Cuts a reference image into jigsaw-shaped pieces with random tabs and blanks,
+ * photographs each one synthetically (rotation, scale, lighting, background,
+ * blur, noise) and writes a dataset that tools/benchmark.js can run on
+ *
+ * Usage: node tools/generatePieces.js <reference.png> <output-dir> [options]
+ *   --grid <spec>        Piece count ("500") or rows x columns ("20x25"), as in the app (default 100)
+ *   --limit <n>          Only write a random sample of n pieces
+ *   --distractors <n>    Also write n pieces cut from the mirrored reference (not in the puzzle)
+ *   --scale <min,max>    Piece size in the photo relative to the reference (default 1.2,2.5)
+ *   --rotation <mode>    'any' (0-360°), 'quarter' (multiples of 90°) or 'none' (default any)
+ *   --blur <sigma>       Maximum Gaussian blur (default 1.5)
+ *   --noise <std>        Maximum sensor noise in grey levels (default 8)
+ *   --lighting <f>       Maximum brightness change and gradient strength (default 0.3)
+ *   --seed <n>           Random seed, so a dataset can be regenerated exactly (default 1)
+ *   --opencv <path>      opencv.js to load (default: opencv.js in the repo root)
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const pngCodec = require('./pngCodec');
+const detectorRuntime = require('./detectorRuntime');
+
+// Tab outline along an edge from (0, 0) to (1, 0) as cubic Bézier segments;
+// v is the offset across the edge, in units of the smaller cell side
+const TAB_PROFILE = [
+    [[0, 0], [0.3, 0], [0.42, 0.02], [0.4, 0.08]],
+    [[0.4, 0.08], [0.36, 0.18], [0.44, 0.26], [0.5, 0.26]],
+    [[0.5, 0.26], [0.56, 0.26], [0.64, 0.18], [0.6, 0.08]],
+    [[0.6, 0.08], [0.58, 0.02], [0.7, 0], [1, 0]]
+];
+
+// Points sampled per Bézier segment
+const CURVE_SAMPLES = 8;
+
+// Photo size relative to the rotated, scaled piece (room for the background)
+const PHOTO_MARGIN = 1.3;
+
+// Table colours the pieces are photographed on (RGB)
+const BACKGROUNDS = [
+    [200, 170, 130],   // Light wood
+    [120, 80, 50],     // Dark wood
+    [60, 110, 70],     // Green felt
+    [225, 225, 220],   // White table
+    [70, 70, 75]       // Grey mat
+];
+
+class PieceGenerator {
+    constructor(options) {
+        this.options = options;
+        this.random = this.createRandom(options.seed);
+    }
+    
+    /**
+     * Create a seeded pseudo-random generator (mulberry32)
+     * @param {number} seed - Seed
+     * @returns {Function} - Returns numbers in [0, 1)
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    
+    /**
+     * Random number in a range
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number} - Value in [min, max)
+     */
+    uniform(min, max) {
+        return min + (max - min) * this.random();
+    }
+    
+    /**
+     * Normally distributed random number (Box-Muller)
+     * @returns {number} - Sample with mean 0 and standard deviation 1
+     */
+    gaussian() {
+        const u = Math.max(1e-12, this.random());
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.random());
+    }
+    
+    /**
+     * Generate the dataset
+     * @returns {Promise<Object>} - Ground truth that was written
+     */
+    async run() {
+        await detectorRuntime.loadOpenCV({ opencvPath: this.options.opencv });
+        detectorRuntime.loadScripts(['config.js', 'puzzleGrid.js']);
+        const puzzleGrid = vm.runInThisContext('puzzleGrid');
+        
+        const reference = pngCodec.decode(fs.readFileSync(this.options.reference));
+        
+        // Same grid rules as the app's grid input
+        if (!puzzleGrid.setSpec(this.options.grid)) {
+            throw new Error(`Invalid --grid "${this.options.grid}" (use a piece count or rows x columns)`);
+        }
+        puzzleGrid.update(reference.width, reference.height);
+        
+        const outputDir = this.options.output;
+        fs.mkdirSync(path.join(outputDir, 'pieces'), { recursive: true });
+        fs.writeFileSync(path.join(outputDir, 'reference.png'), pngCodec.encode(reference));
+        
+        const edges = this.createEdges(puzzleGrid.rows, puzzleGrid.cols);
+        const cells = this.selectCells(puzzleGrid.rows, puzzleGrid.cols);
+        
+        const source = cv.matFromImageData(reference);
+        const mirrored = new cv.Mat();
+        cv.flip(source, mirrored, 1);
+        
+        const pieces = [];
+        try {
+            cells.forEach(({ row, col }) => {
+                const outline = this.buildOutline(row, col, edges, puzzleGrid);
+                const name = `pieces/r${this.pad(row + 1)}c${this.pad(col + 1)}.png`;
+                const piece = this.renderPiece(source, outline, name);
+                
+                pieces.push(Object.assign({ image: name, row: row + 1, col: col + 1 }, piece));
+            });
+            
+            // Distractors have real jigsaw shapes but mirrored content, so they belong nowhere
+            for (let i = 0; i < this.options.distractors; i++) {
+                const row = Math.floor(this.random() * puzzleGrid.rows);
+                const col = Math.floor(this.random() * puzzleGrid.cols);
+                const outline = this.buildOutline(row, col, edges, puzzleGrid);
+                const name = `pieces/distractor${this.pad(i + 1)}.png`;
+                this.renderPiece(mirrored, outline, name);
+                
+                pieces.push({ image: name, present: false });
+            }
+        } finally {
+            source.delete();
+            mirrored.delete();
+        }
+        
+        const groundTruth = {
+            generator: {
+                source: path.resolve(this.options.reference),
+                grid: { rows: puzzleGrid.rows, cols: puzzleGrid.cols },
+                seed: this.options.seed,
+                scale: this.options.scale,
+                rotation: this.options.rotation,
+                blur: this.options.blur,
+                noise: this.options.noise,
+                lighting: this.options.lighting
+            },
+            references: [{ image: 'reference.png', pieces: pieces }]
+        };
+        
+        fs.writeFileSync(path.join(outputDir, 'ground_truth.json'), JSON.stringify(groundTruth, null, 2) + '\n');
+        return groundTruth;
+    }
+    
+    /**
+     * Zero-pad a 1-based index for file names
+     * @param {number} value - Index
+     * @returns {string} - Padded index
+     */
+    pad(value) {
+        return String(value).padStart(2, '0');
+    }
+    
+    /**
+     * Pick the cells to write (all of them, or a random sample with --limit)
+     * @param {number} rows - Grid rows
+     * @param {number} cols - Grid columns
+     * @returns {Array} - Cells { row, col } (0-based)
+     */
+    selectCells(rows, cols) {
+        const cells = [];
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                cells.push({ row: row, col: col });
+            }
+        }
+        
+        if (!this.options.limit || this.options.limit >= cells.length) {
+            return cells;
+        }
+        
+        // Partial Fisher-Yates shuffle
+        for (let i = 0; i < this.options.limit; i++) {
+            const j = i + Math.floor(this.random() * (cells.length - i));
+            [cells[i], cells[j]] = [cells[j], cells[i]];
+        }
+        return cells.slice(0, this.options.limit);
+    }
+    
+    /**
+     * Choose a tab or blank for every interior edge, shared by the two pieces it separates
+     * @param {number} rows - Grid rows
+     * @param {number} cols - Grid columns
+     * @returns {Object} - { horizontal, vertical } edge shapes; null marks the puzzle border
+     */
+    createEdges(rows, cols) {
+        const createEdge = () => ({
+            // +1 bulges down/right, -1 up/left
+            direction: this.random() < 0.5 ? 1 : -1,
+            center: this.uniform(0.45, 0.55),
+            size: this.uniform(0.85, 1.1)
+        });
+        
+        // horizontal[r][c]: top edge of cell (r, c); vertical[r][c]: left edge of cell (r, c)
+        const horizontal = [];
+        for (let r = 0; r <= rows; r++) {
+            horizontal.push([]);
+            for (let c = 0; c < cols; c++) {
+                horizontal[r].push(r > 0 && r < rows ? createEdge() : null);
+            }
+        }
+        
+        const vertical = [];
+        for (let r = 0; r < rows; r++) {
+            vertical.push([]);
+            for (let c = 0; c <= cols; c++) {
+                vertical[r].push(c > 0 && c < cols ? createEdge() : null);
+            }
+        }
+        
+        return { horizontal: horizontal, vertical: vertical };
+    }
+    
+    /**
+     * Trace one edge between two grid corners
+     * @param {Object} start - Start point { x, y } in reference pixels
+     * @param {Object} end - End point { x, y } in reference pixels
+     * @param {Object|null} edge - Edge shape, or null for a straight border
+     * @param {number} tabSize - Tab height in pixels
+     * @returns {Array} - Points [x, y] from start to end
+     */
+    traceEdge(start, end, edge, tabSize) {
+        if (!edge) {
+            return [[start.x, start.y], [end.x, end.y]];
+        }
+        
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        
+        // Edges run down or right, so the normal (+x for vertical, +y for horizontal) is consistent
+        const normalX = Math.abs(dy) > 0 ? 1 : 0;
+        const normalY = Math.abs(dx) > 0 ? 1 : 0;
+        
+        const points = [];
+        TAB_PROFILE.forEach((segment, index) => {
+            for (let i = index === 0 ? 0 : 1; i <= CURVE_SAMPLES; i++) {
+                const t = i / CURVE_SAMPLES;
+                const [u, v] = this.bezier(segment, t);
+                
+                // Move the tab along the edge without moving the corners
+                const shifted = u > 0 && u < 1 ? Math.min(0.95, Math.max(0.05, u + edge.center - 0.5)) : u;
+                const offset = v * tabSize * edge.size * edge.direction;
+                
+                points.push([
+                    start.x + dx * shifted + normalX * offset,
+                    start.y + dy * shifted + normalY * offset
+                ]);
+            }
+        });
+        
+        return points;
+    }
+    
+    /**
+     * Evaluate a cubic Bézier segment
+     * @param {Array} segment - Four control points [u, v]
+     * @param {number} t - Curve parameter 0-1
+     * @returns {Array} - Point [u, v]
+     */
+    bezier(segment, t) {
+        const s = 1 - t;
+        const weights = [s * s * s, 3 * s * s * t, 3 * s * t * t, t * t * t];
+        
+        return [0, 1].map(axis =>
+            segment.reduce((sum, point, i) => sum + point[axis] * weights[i], 0)
+        );
+    }
+    
+    /**
+     * Build the closed outline of a piece (clockwise)
+     * @param {number} row - Row (0-based)
+     * @param {number} col - Column (0-based)
+     * @param {Object} edges - Edge shapes from createEdges
+     * @param {PuzzleGrid} grid - Grid laid over the reference
+     * @returns {Array} - Outline points [x, y] in reference pixels
+     */
+    buildOutline(row, col, edges, grid) {
+        const cellWidth = grid.width / grid.cols;
+        const cellHeight = grid.height / grid.rows;
+        const tabSize = Math.min(cellWidth, cellHeight);
+        
+        const corner = (r, c) => ({ x: c * cellWidth, y: r * cellHeight });
+        const topLeft = corner(row, col);
+        const topRight = corner(row, col + 1);
+        const bottomRight = corner(row + 1, col + 1);
+        const bottomLeft = corner(row + 1, col);
+        
+        // Shared edges are traced down/right; the bottom and left ones are walked backwards
+        const top = this.traceEdge(topLeft, topRight, edges.horizontal[row][col], tabSize);
+        const right = this.traceEdge(topRight, bottomRight, edges.vertical[row][col + 1], tabSize);
+        const bottom = this.traceEdge(bottomLeft, bottomRight, edges.horizontal[row + 1][col], tabSize).reverse();
+        const left = this.traceEdge(topLeft, bottomLeft, edges.vertical[row][col], tabSize).reverse();
+        
+        // Drop each edge's last point; it starts the next edge
+        return [top, right, bottom, left].flatMap(points => points.slice(0, -1));
+    }
+    
+    /**
+     * Cut a piece out of the reference and write a synthetic photo of it
+     * @param {cv.Mat} source - RGBA image to cut from
+     * @param {Array} outline - Outline points [x, y] in reference pixels
+     * @param {string} name - Output path relative to the dataset directory
+     * @returns {Object} - Ground truth { x, y, width, height, rotation, scale }
+     */
+    renderPiece(source, outline, name) {
+        const xs = outline.map(point => point[0]);
+        const ys = outline.map(point => point[1]);
+        const x = Math.max(0, Math.floor(Math.min(...xs)));
+        const y = Math.max(0, Math.floor(Math.min(...ys)));
+        const width = Math.min(source.cols, Math.ceil(Math.max(...xs))) - x;
+        const height = Math.min(source.rows, Math.ceil(Math.max(...ys))) - y;
+        
+        const view = source.roi(new cv.Rect(x, y, width, height));
+        const piece = view.clone();
+        view.delete();
+        
+        const mask = cv.Mat.zeros(height, width, cv.CV_8U);
+        const contour = cv.matFromArray(outline.length, 1, cv.CV_32SC2,
+            outline.flatMap(point => [Math.round(point[0] - x), Math.round(point[1] - y)]));
+        const contours = new cv.MatVector();
+        contours.push_back(contour);
+        cv.fillPoly(mask, contours, new cv.Scalar(255), cv.LINE_AA);
+        
+        const rotation = this.pickRotation();
+        const scale = this.uniform(this.options.scale[0], this.options.scale[1]);
+        
+        // Rotate and scale about the piece centre, which ends up in the photo centre
+        const size = Math.ceil(Math.hypot(width, height) * scale * PHOTO_MARGIN);
+        const transform = cv.getRotationMatrix2D(new cv.Point(width / 2, height / 2), rotation, scale);
+        transform.data64F[2] += size / 2 - width / 2;
+        transform.data64F[5] += size / 2 - height / 2;
+        
+        const warped = new cv.Mat();
+        const warpedMask = new cv.Mat();
+        const dsize = new cv.Size(size, size);
+        cv.warpAffine(piece, warped, transform, dsize, cv.INTER_LINEAR, cv.BORDER_CONSTANT, new cv.Scalar());
+        cv.warpAffine(mask, warpedMask, transform, dsize, cv.INTER_LINEAR, cv.BORDER_CONSTANT, new cv.Scalar());
+        
+        const photo = this.composePhoto(warped, warpedMask);
+        fs.writeFileSync(path.join(this.options.output, name), pngCodec.encode({
+            width: photo.cols,
+            height: photo.rows,
+            data: photo.data
+        }));
+        
+        [piece, mask, contour, contours, transform, warped, warpedMask, photo].forEach(mat => mat.delete());
+        
+        return { x: x, y: y, width: width, height: height, rotation: rotation, scale: scale };
+    }
+    
+    /**
+     * Pick a piece rotation for the configured mode
+     * @returns {number} - Counter-clockwise rotation in degrees
+     */
+    pickRotation() {
+        switch (this.options.rotation) {
+            case 'none':
+                return 0;
+            case 'quarter':
+                return Math.floor(this.random() * 4) * 90;
+            default:
+                return Math.round(this.uniform(0, 360) * 10) / 10 % 360;
+        }
+    }
+    
+    /**
+     * Put a warped piece on a table background and apply lighting, blur and noise
+     * @param {cv.Mat} piece - Warped RGBA piece
+     * @param {cv.Mat} mask - Warped piece mask
+     * @returns {cv.Mat} - RGBA photo
+     */
+    composePhoto(piece, mask) {
+        const size = piece.cols;
+        const photo = new cv.Mat(size, size, cv.CV_8UC4);
+        const background = this.createBackground(size);
+        
+        // Brightness, a linear light gradient in a random direction, and a slight colour cast
+        const lighting = this.options.lighting;
+        const gain = this.uniform(1 - lighting, 1 + lighting);
+        const angle = this.uniform(0, Math.PI * 2);
+        const gradient = this.uniform(0, lighting);
+        const cast = [0, 1, 2].map(() => this.uniform(0.95, 1.05));
+        
+        const data = photo.data;
+        for (let py = 0; py < size; py++) {
+            for (let px = 0; px < size; px++) {
+                const i = py * size + px;
+                const alpha = mask.data[i] / 255;
+                
+                const along = ((px / size - 0.5) * Math.cos(angle) + (py / size - 0.5) * Math.sin(angle));
+                const light = gain * (1 + gradient * along);
+                
+                for (let channel = 0; channel < 3; channel++) {
+                    const value = piece.data[i * 4 + channel] * alpha + background[i * 3 + channel] * (1 - alpha);
+                    data[i * 4 + channel] = Math.max(0, Math.min(255, value * light * cast[channel]));
+                }
+                data[i * 4 + 3] = 255;
+            }
+        }
+        
+        // Camera blur, then sensor noise
+        const sigma = this.uniform(0, this.options.blur);
+        if (sigma >= 0.3) {
+            cv.GaussianBlur(photo, photo, new cv.Size(0, 0), sigma);
+        }
+        
+        const noise = this.uniform(0, this.options.noise);
+        if (noise > 0) {
+            for (let i = 0; i < data.length; i++) {
+                if (i % 4 !== 3) {
+                    data[i] = Math.max(0, Math.min(255, data[i] + this.gaussian() * noise));
+                }
+            }
+        }
+        
+        return photo;
+    }
+    
+    /**
+     * Create a table surface with low-frequency texture
+     * @param {number} size - Side length in pixels
+     * @returns {Float32Array} - RGB background, row-major
+     */
+    createBackground(size) {
+        const base = BACKGROUNDS[Math.floor(this.random() * BACKGROUNDS.length)];
+        
+        // Coarse random grid, upsampled smoothly, gives grain/blotches
+        const coarse = new cv.Mat(8, 8, cv.CV_32F);
+        for (let i = 0; i < 64; i++) {
+            coarse.data32F[i] = this.gaussian() * 12;
+        }
+        const texture = new cv.Mat();
+        cv.resize(coarse, texture, new cv.Size(size, size), 0, 0, cv.INTER_CUBIC);
+        
+        const background = new Float32Array(size * size * 3);
+        for (let i = 0; i < size * size; i++) {
+            for (let channel = 0; channel < 3; channel++) {
+                background[i * 3 + channel] = base[channel] + texture.data32F[i];
+            }
+        }
+        
+        coarse.delete();
+        texture.delete();
+        return background;
+    }
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array} args - process.argv without node and script
+ * @returns {Object} - Options
+ */
+function parseArguments(args) {
+    const options = {
+        reference: null,
+        output: null,
+        grid: '100',
+        limit: 0,
+        distractors: 0,
+        scale: [1.2, 2.5],
+        rotation: 'any',
+        blur: 1.5,
+        noise: 8,
+        lighting: 0.3,
+        seed: 1,
+        opencv: null
+    };
+    const positional = [];
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const next = () => {
+            if (i + 1 >= args.length) throw new Error(`${arg} needs a value`);
+            return args[++i];
+        };
+        const number = () => {
+            const value = parseFloat(next());
+            if (!(value >= 0)) throw new Error(`${arg} needs a non-negative number`);
+            return value;
+        };
+        
+        switch (arg) {
+            case '--grid': options.grid = next(); break;
+            case '--limit': options.limit = Math.floor(number()); break;
+            case '--distractors': options.distractors = Math.floor(number()); break;
+            case '--blur': options.blur = number(); break;
+            case '--noise': options.noise = number(); break;
+            case '--lighting': options.lighting = Math.min(0.9, number()); break;
+            case '--seed': options.seed = Math.floor(number()); break;
+            case '--opencv': options.opencv = next(); break;
+            case '--rotation':
+                options.rotation = next();
+                if (!['any', 'quarter', 'none'].includes(options.rotation)) {
+                    throw new Error('--rotation must be any, quarter or none');
+                }
+                break;
+            case '--scale': {
+                const range = next().split(',').map(parseFloat);
+                if (range.length !== 2 || !(range[0] > 0) || !(range[1] >= range[0])) {
+                    throw new Error('--scale needs min,max (e.g. 1.2,2.5)');
+                }
+                options.scale = range;
+                break;
+            }
+            default:
+                if (arg.startsWith('--')) throw new Error(`Unexpected argument: ${arg}`);
+                positional.push(arg);
+        }
+    }
+    
+    if (positional.length !== 2) {
+        throw new Error('Usage: node tools/generatePieces.js <reference.png> <output-dir> [--grid spec] [--limit n] [--distractors n] [--scale min,max] [--rotation any|quarter|none] [--blur sigma] [--noise std] [--lighting f] [--seed n]');
+    }
+    [options.reference, options.output] = positional;
+    
+    return options;
+}
+
+async function main() {
+    try {
+        const options = parseArguments(process.argv.slice(2));
+        const groundTruth = await new PieceGenerator(options).run();
+        
+        const { rows, cols } = groundTruth.generator.grid;
+        const count = groundTruth.references[0].pieces.length;
+        console.log(`Wrote ${count} pieces (${rows} × ${cols} grid) to ${path.resolve(options.output)}`);
+    } catch (error) {
+        console.error('Piece generation failed:', error.message || error);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { PieceGenerator, parseArguments };
\ No newline at end of file
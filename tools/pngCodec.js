@@ -0,0 +1,259 @@
+/**
+ * PNG Codec for the Puzzle Detector Pro tools
+ * Minimal PNG reader and writer (zlib only, no native image libraries) so Node
+ * tools can load and write datasets in the same ImageData shape the browser uses
+ */
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Samples per pixel for each PNG colour type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// CRC-32 lookup table for chunk checksums
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+class PngCodec {
+    /**
+     * Decode a PNG file into RGBA image data
+     * @param {Buffer} buffer - PNG file contents
+     * @returns {Object} - ImageData-compatible { width, height, data }
+     */
+    decode(buffer) {
+        if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+            throw new Error('Not a PNG file');
+        }
+        
+        let header = null;
+        let palette = null;
+        let transparency = null;
+        const compressed = [];
+        
+        // Walk the chunk list: length, type, data, CRC
+        let offset = 8;
+        while (offset + 8 <= buffer.length) {
+            const length = buffer.readUInt32BE(offset);
+            const type = buffer.toString('ascii', offset + 4, offset + 8);
+            const data = buffer.subarray(offset + 8, offset + 8 + length);
+            offset += 12 + length;
+            
+            if (type === 'IHDR') {
+                header = {
+                    width: data.readUInt32BE(0),
+                    height: data.readUInt32BE(4),
+                    bitDepth: data[8],
+                    colorType: data[9],
+                    interlace: data[12]
+                };
+            } else if (type === 'PLTE') {
+                palette = data;
+            } else if (type === 'tRNS') {
+                transparency = data;
+            } else if (type === 'IDAT') {
+                compressed.push(data);
+            } else if (type === 'IEND') {
+                break;
+            }
+        }
+        
+        if (!header) throw new Error('PNG has no header');
+        if (!(header.colorType in CHANNELS)) throw new Error(`Unsupported PNG colour type ${header.colorType}`);
+        if (header.interlace) throw new Error('Interlaced PNGs are not supported');
+        if (header.colorType === 3 && !palette) throw new Error('Palette PNG has no palette');
+        
+        const raw = zlib.inflateSync(Buffer.concat(compressed));
+        const pixels = this.unfilter(raw, header);
+        
+        return {
+            width: header.width,
+            height: header.height,
+            data: this.toRgba(pixels, header, palette, transparency)
+        };
+    }
+    
+    /**
+     * Encode RGBA image data as a PNG file
+     * @param {Object} imageData - ImageData-compatible { width, height, data }
+     * @returns {Buffer} - PNG file contents
+     */
+    encode(imageData) {
+        const { width, height, data } = imageData;
+        const rowBytes = width * 4;
+        const raw = Buffer.alloc((rowBytes + 1) * height);
+        
+        // Sub filter on every row: cheap and compresses photos noticeably better than none
+        for (let y = 0; y < height; y++) {
+            const row = y * (rowBytes + 1);
+            raw[row] = 1;
+            for (let x = 0; x < rowBytes; x++) {
+                const left = x >= 4 ? data[y * rowBytes + x - 4] : 0;
+                raw[row + 1 + x] = (data[y * rowBytes + x] - left) & 0xff;
+            }
+        }
+        
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(width, 0);
+        header.writeUInt32BE(height, 4);
+        header[8] = 8;  // Bit depth
+        header[9] = 6;  // RGBA
+        
+        return Buffer.concat([
+            PNG_SIGNATURE,
+            this.createChunk('IHDR', header),
+            this.createChunk('IDAT', zlib.deflateSync(raw)),
+            this.createChunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+    
+    /**
+     * Build a PNG chunk with its length and CRC
+     * @param {string} type - Four-letter chunk type
+     * @param {Buffer} data - Chunk data
+     * @returns {Buffer} - Encoded chunk
+     */
+    createChunk(type, data) {
+        const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        
+        let crc = 0xffffffff;
+        for (let i = 0; i < body.length; i++) {
+            crc = CRC_TABLE[(crc ^ body[i]) & 0xff] ^ (crc >>> 8);
+        }
+        
+        const chunk = Buffer.alloc(body.length + 8);
+        chunk.writeUInt32BE(data.length, 0);
+        body.copy(chunk, 4);
+        chunk.writeUInt32BE((crc ^ 0xffffffff) >>> 0, body.length + 4);
+        return chunk;
+    }
+    
+    /**
+     * Get the number of bytes in one unfiltered scanline
+     * @param {Object} header - PNG header
+     * @returns {number} - Bytes per row
+     */
+    getRowBytes(header) {
+        return Math.ceil(header.width * CHANNELS[header.colorType] * header.bitDepth / 8);
+    }
+    
+    /**
+     * Undo the per-scanline PNG filters
+     * @param {Buffer} raw - Inflated image data (filter byte + row, for each row)
+     * @param {Object} header - PNG header
+     * @returns {Uint8Array} - Unfiltered rows, packed
+     */
+    unfilter(raw, header) {
+        const rowBytes = this.getRowBytes(header);
+        const pixelBytes = Math.max(1, CHANNELS[header.colorType] * header.bitDepth / 8);
+        const out = new Uint8Array(rowBytes * header.height);
+        
+        if (raw.length < (rowBytes + 1) * header.height) {
+            throw new Error('PNG image data is truncated');
+        }
+        
+        for (let y = 0; y < header.height; y++) {
+            const filter = raw[y * (rowBytes + 1)];
+            const source = y * (rowBytes + 1) + 1;
+            const row = y * rowBytes;
+            const previous = row - rowBytes;
+            
+            for (let x = 0; x < rowBytes; x++) {
+                const left = x >= pixelBytes ? out[row + x - pixelBytes] : 0;
+                const up = y > 0 ? out[previous + x] : 0;
+                const upLeft = y > 0 && x >= pixelBytes ? out[previous + x - pixelBytes] : 0;
+                
+                let predictor = 0;
+                switch (filter) {
+                    case 0: predictor = 0; break;
+                    case 1: predictor = left; break;
+                    case 2: predictor = up; break;
+                    case 3: predictor = (left + up) >> 1; break;
+                    case 4: predictor = this.paeth(left, up, upLeft); break;
+                    default: throw new Error(`Invalid PNG filter ${filter}`);
+                }
+                
+                out[row + x] = (raw[source + x] + predictor) & 0xff;
+            }
+        }
+        
+        return out;
+    }
+    
+    /**
+     * Paeth predictor from the PNG specification
+     * @param {number} a - Left byte
+     * @param {number} b - Upper byte
+     * @param {number} c - Upper-left byte
+     * @returns {number} - Predicted byte
+     */
+    paeth(a, b, c) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        
+        if (pa <= pb && pa <= pc) return a;
+        return pb <= pc ? b : c;
+    }
+    
+    /**
+     * Expand unfiltered samples to 8-bit RGBA
+     * @param {Uint8Array} pixels - Unfiltered rows
+     * @param {Object} header - PNG header
+     * @param {Buffer|null} palette - PLTE chunk
+     * @param {Buffer|null} transparency - tRNS chunk
+     * @returns {Uint8ClampedArray} - RGBA pixels
+     */
+    toRgba(pixels, header, palette, transparency) {
+        const { width, height, bitDepth, colorType } = header;
+        const channels = CHANNELS[colorType];
+        const rowBytes = this.getRowBytes(header);
+        const rgba = new Uint8ClampedArray(width * height * 4);
+        
+        // Read sample i of a row, scaled to 8 bits (16-bit keeps the high byte)
+        const maxValue = (1 << bitDepth) - 1;
+        const sample = (row, index) => {
+            if (bitDepth === 8) return pixels[row + index];
+            if (bitDepth === 16) return pixels[row + index * 2];
+            
+            const bit = index * bitDepth;
+            const value = (pixels[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxValue;
+            return colorType === 3 ? value : Math.round(value * 255 / maxValue);
+        };
+        
+        for (let y = 0; y < height; y++) {
+            const row = y * rowBytes;
+            
+            for (let x = 0; x < width; x++) {
+                const o = (y * width + x) * 4;
+                const i = x * channels;
+                
+                if (colorType === 3) {
+                    const index = sample(row, i);
+                    rgba[o] = palette[index * 3];
+                    rgba[o + 1] = palette[index * 3 + 1];
+                    rgba[o + 2] = palette[index * 3 + 2];
+                    rgba[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+                } else if (channels <= 2) {
+                    const gray = sample(row, i);
+                    rgba[o] = rgba[o + 1] = rgba[o + 2] = gray;
+                    rgba[o + 3] = channels === 2 ? sample(row, i + 1) : 255;
+                } else {
+                    rgba[o] = sample(row, i);
+                    rgba[o + 1] = sample(row, i + 1);
+                    rgba[o + 2] = sample(row, i + 2);
+                    rgba[o + 3] = channels === 4 ? sample(row, i + 3) : 255;
+                }
+            }
+        }
+        
+        return rgba;
+    }
+}
+
+module.exports = new PngCodec();
\ No newline at end of file
@@ -0,0 +1,385 @@
+/**
+ * Worker Manager for Puzzle Detector Pro
+ * Owns the detection worker and routes requests and results between threads
+ */
+class WorkerManager {
+    constructor() {
+        this.worker = null;
+        this.isReady = false;
+        this.hasReference = false;
+        
+        // Request bookkeeping
+        this.nextRequestId = 1;
+        this.pendingRequests = new Map();
+        
+        // Id of the detection job currently in flight (null when idle)
+        this.activeDetectionId = null;
+        
+        // Incremented on reset so results from older jobs can be discarded
+        this.generation = 0;
+        
+        this.handleMessage = this.handleMessage.bind(this);
+        this.handleError = this.handleError.bind(this);
+    }
+    
+    /**
+     * Start the detection worker and wait until it has loaded OpenCV
+     * @returns {Promise<boolean>} - Whether the worker is ready
+     */
+    initialize() {
+        if (typeof Worker === 'undefined') {
+            domUtils.updateStatus('Web Workers not supported', 'error');
+            return Promise.resolve(false);
+        }
+        
+        return new Promise((resolve) => {
+            let settled = false;
+            const settle = (success) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timeoutId);
+                this.onReady = null;
+                resolve(success);
+            };
+            
+            // Give up if OpenCV never finishes loading inside the worker
+            const timeoutId = setTimeout(() => {
+                domUtils.updateStatus('Detection worker timed out', 'error');
+                settle(false);
+            }, CONFIG.WORKER.INIT_TIMEOUT);
+            
+            this.onReady = settle;
+            
+            try {
+                this.worker = new Worker(CONFIG.WORKER.SCRIPT);
+                this.worker.addEventListener('message', this.handleMessage);
+                this.worker.addEventListener('error', this.handleError);
+                domUtils.updateStatus('Starting detection worker...');
+            } catch (error) {
+                console.error('Failed to start detection worker:', error);
+                domUtils.updateStatus('Detection worker failed to start', 'error');
+                settle(false);
+            }
+        });
+    }
+    
+    /**
+     * Handle messages posted by the worker
+     * @param {MessageEvent} event - Worker message event
+     */
+    handleMessage(event) {
+        const message = event.data;
+        if (!message) return;
+        
+        switch (message.type) {
+            case 'ready':
+                this.isReady = true;
+                if (this.onReady) this.onReady(true);
+                break;
+            
+            case 'initError':
+                console.error('Detection worker init error:', message.error);
+                domUtils.updateStatus('Detection worker error: ' + message.error, 'error');
+                if (this.onReady) this.onReady(false);
+                break;
+            
+            case 'status':
+                domUtils.updateStatus(message.msg, message.level);
+                break;
+            
+            case 'progress': {
+                const pending = this.pendingRequests.get(message.id);
+                if (pending && pending.onProgress) {
+                    pending.onProgress(message.done, message.total);
+                }
+                break;
+            }
+            
+            case 'response': {
+                const pending = this.pendingRequests.get(message.id);
+                if (!pending) return;
+                this.pendingRequests.delete(message.id);
+                
+                if (message.error) {
+                    pending.reject(new Error(message.error));
+                } else {
+                    pending.resolve(message.result);
+                }
+                break;
+            }
+            
+            default:
+                console.warn('Unknown worker message:', message.type);
+        }
+    }
+    
+    /**
+     * Handle uncaught errors inside the worker
+     * @param {ErrorEvent} event - Worker error event
+     */
+    handleError(event) {
+        console.error('Detection worker error:', event.message);
+        domUtils.updateStatus('Detection worker error: ' + event.message, 'error');
+        
+        if (this.onReady) {
+            this.onReady(false);
+        }
+        
+        // Nothing in flight can complete any more
+        this.pendingRequests.forEach(pending => pending.reject(new Error(event.message)));
+        this.pendingRequests.clear();
+        this.activeDetectionId = null;
+    }
+    
+    /**
+     * Send a request to the worker
+     * @param {string} type - Request type handled by the worker
+     * @param {Object} payload - Request payload
+     * @param {Array} transfer - Transferable objects to move to the worker
+     * @param {Function} onProgress - Optional callback (done, total) for progress messages
+     * @returns {Promise} - Resolves with the worker's result
+     */
+    request(type, payload = {}, transfer = [], onProgress = null) {
+        if (!this.worker || !this.isReady) {
+            return Promise.reject(new Error('Detection worker not ready'));
+        }
+        
+        const id = this.nextRequestId++;
+        
+        return new Promise((resolve, reject) => {
+            this.pendingRequests.set(id, { resolve, reject, onProgress });
+            this.worker.postMessage({ id: id, type: type, payload: payload }, transfer);
+        });
+    }
+    
+    /**
+     * Send the reference image to the worker for processing
+     * @param {ImageData} referenceImage - Reference image data
+     * @returns {Promise<boolean>} - Whether the reference was processed (false if reset meanwhile)
+     */
+    async setReference(referenceImage) {
+        const generation = this.generation;
+        this.hasReference = false;
+        
+        // Copy the pixels so the main thread keeps its own ImageData for display
+        const buffer = referenceImage.data.slice().buffer;
+        
+        const success = await this.request('setReference', {
+            width: referenceImage.width,
+            height: referenceImage.height,
+            buffer: buffer
+        }, [buffer]);
+        
+        // A reset while processing has already dropped the reference in the worker
+        if (generation !== this.generation) return false;
+        
+        this.hasReference = !!success;
+        return this.hasReference;
+    }
+    
+    /**
+     * Check whether a detection job is still in flight
+     * @returns {boolean} - True while the worker is busy detecting
+     */
+    isBusy() {
+        return this.activeDetectionId !== null;
+    }
+    
+    /**
+     * Run piece detection in the worker
+     * @param {ImageData} templateImage - Template image data (its buffer is transferred)
+     * @returns {Promise<Object|null>} - Detection result { bestMatch, candidates, roi, state, segmentation } or null if stale
+     */
+    async detect(templateImage) {
+        const generation = this.generation;
+        const buffer = templateImage.data.buffer;
+        const id = this.nextRequestId;
+        
+        this.activeDetectionId = id;
+        
+        try {
+            const result = await this.request('detect', {
+                width: templateImage.width,
+                height: templateImage.height,
+                buffer: buffer
+            }, [buffer]);
+            
+            // Discard results that belong to a reference that has since been reset
+            return generation === this.generation ? result : null;
+        } finally {
+            if (this.activeDetectionId === id) {
+                this.activeDetectionId = null;
+            }
+        }
+    }
+    
+    /**
+     * Run an exhaustive search for one piece frame in the worker
+     * @param {ImageData} templateImage - Template image data (its buffer is transferred)
+     * @param {Function} onProgress - Called with (done, total) as rotations complete
+     * @returns {Promise<Object|null>} - { cancelled, candidates } or null if stale or the search couldn't run
+     */
+    async search(templateImage, onProgress) {
+        const generation = this.generation;
+        const buffer = templateImage.data.buffer;
+        
+        const result = await this.request('exhaustiveSearch', {
+            width: templateImage.width,
+            height: templateImage.height,
+            buffer: buffer
+        }, [buffer], onProgress);
+        
+        return generation === this.generation ? result : null;
+    }
+    
+    /**
+     * Stop a running exhaustive search (its promise resolves with cancelled: true)
+     * @returns {Promise<boolean>} - Resolves once the worker has the request
+     */
+    cancelSearch() {
+        return this.request('cancelSearch');
+    }
+    
+    /**
+     * Record a match as a placed piece
+     * @param {Object|null} region - Match shown to the user { x, y, width, height, rotation } in reference
+     *                               coordinates, or null for the worker's own last match
+     * @returns {Promise<Object|null>} - Placed region, or null if there was no match
+     */
+    confirmPlacement(region = null) {
+        return this.request('confirmPlacement', {
+            region: region ? {
+                x: region.x,
+                y: region.y,
+                width: region.width,
+                height: region.height,
+                rotation: region.rotation
+            } : null
+        });
+    }
+    
+    /**
+     * Tell the worker which reference regions are already placed
+     * @param {Array} regions - Placed regions in reference coordinates
+     * @returns {Promise<boolean>} - Resolves once the worker has them
+     */
+    setPlacedRegions(regions) {
+        return this.request('setPlacedRegions', { regions: regions });
+    }
+    
+    /**
+     * Find the puzzle outline in a reference image
+     * @param {ImageData} image - Reference image (copied, the caller keeps it for display)
+     * @returns {Promise<Array|null>} - Corners [tl, tr, br, bl] in image coordinates, or null if none found
+     */
+    detectBoundary(image) {
+        const buffer = image.data.slice().buffer;
+        return this.request('detectBoundary', {
+            width: image.width,
+            height: image.height,
+            buffer: buffer
+        }, [buffer]);
+    }
+    
+    /**
+     * Warp the outlined part of a reference image to a rectangle
+     * @param {ImageData} image - Reference image (copied, the caller keeps it for display)
+     * @param {Array} corners - Corners [tl, tr, br, bl] in image coordinates
+     * @param {number} maxSize - Longest side in pixels of the result
+     * @returns {Promise<ImageData|null>} - Rectified image, or null on failure
+     */
+    rectify(image, corners, maxSize) {
+        const buffer = image.data.slice().buffer;
+        return this.request('rectify', {
+            width: image.width,
+            height: image.height,
+            buffer: buffer,
+            corners: corners,
+            maxSize: maxSize
+        }, [buffer]);
+    }
+    
+    /**
+     * Start a multi-shot capture in the worker, dropping any earlier shots
+     * @returns {Promise<boolean>} - Resolves once the worker is ready for shots
+     */
+    startStitch() {
+        return this.request('stitchStart');
+    }
+    
+    /**
+     * Register a shot and add it to the worker's mosaic
+     * @param {ImageData} frame - Upper camera frame (its buffer is transferred)
+     * @returns {Promise<Object>} - { added, reason, inliers, count, width, height, preview }: the mosaic's
+     *                              shot count and size so far, and a small { image, outlines } preview of it
+     */
+    addStitchFrame(frame) {
+        const buffer = frame.data.buffer;
+        return this.request('addStitchFrame', {
+            width: frame.width,
+            height: frame.height,
+            buffer: buffer
+        }, [buffer]);
+    }
+    
+    /**
+     * Warp the shots into one image (the shots are kept until resetStitch)
+     * @param {number} maxSize - Longest side of the mosaic in pixels
+     * @returns {Promise<Object|null>} - { image: ImageData, outlines }, or null if stitching failed
+     */
+    composeStitch(maxSize) {
+        return this.request('composeStitch', { maxSize: maxSize });
+    }
+    
+    /**
+     * Drop the multi-shot capture's shots
+     * @returns {Promise<boolean>} - Resolves once the worker has dropped them
+     */
+    resetStitch() {
+        return this.request('stitchReset');
+    }
+    
+    /**
+     * Send setting values to the worker's copy of CONFIG
+     * @param {Object} values - Dotted path -> value
+     * @returns {Promise<Array>} - Paths that changed in the worker
+     */
+    updateConfig(values) {
+        return this.request('updateConfig', { values: values });
+    }
+    
+    /**
+     * Reset worker-side detection state
+     * @returns {Promise} - Resolves once the worker has reset
+     */
+    reset() {
+        this.generation++;
+        this.hasReference = false;
+        this.activeDetectionId = null;
+        
+        if (!this.isReady) return Promise.resolve(false);
+        return this.request('reset').catch(error => {
+            console.warn('Worker reset failed:', error);
+            return false;
+        });
+    }
+    
+    /**
+     * Terminate the worker and reject anything still pending
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        
+        this.pendingRequests.forEach(pending => pending.reject(new Error('Detection worker terminated')));
+        this.pendingRequests.clear();
+        this.activeDetectionId = null;
+        this.isReady = false;
+        this.hasReference = false;
+    }
+}
+
+// Create global instance
+const workerManager = new WorkerManager();
\ No newline at end of file